@@ -4,9 +4,18 @@
 
 import { 
   convertFHIRToHL7, 
+  convertFHIRToHL7Order,
+  convertFHIRChangeToHL7,
+  convertFHIRToHL7Batch,
+  convertHL7ToFHIR,
+  parseHL7Batch,
   validateFHIRResource, 
+  validateHL7Message,
+  validateFHIRStructure,
   getSampleFHIRPatient,
-  getSampleFHIRBundle
+  getSampleFHIRBundle,
+  DEFAULT_TRIGGER_EVENT_RULES,
+  MemoryStateStore
 } from './src/fhirToHl7Service.js';
 
 // Example 1: Using the sample Patient
@@ -233,3 +242,859 @@ console.log('HL7 Message (with multiple Observations):');
 console.log(hl7MultipleObs);
 console.log('\n---\n');
 console.log('Note: Multiple OBX segments are created with sequential set IDs (OBX-1)');
+
+console.log('\n\n');
+
+// Example 7: Escaping delimiter characters
+console.log('=== Example 7: Escaping Delimiter Characters ===\n');
+const patientWithDelimiters = {
+  resourceType: 'Patient',
+  id: 'patient-2',
+  name: [{ family: "O'NEIL", given: ['ANN'] }],
+  gender: 'female',
+  address: [{
+    line: ['APT 3 & 4'],
+    city: 'SPRINGFIELD',
+    state: 'IL'
+  }]
+};
+
+const hl7Escaped = convertFHIRToHL7(patientWithDelimiters);
+console.log('HL7 Message (address line contains "&"):');
+console.log(hl7Escaped);
+console.log('\n---\n');
+
+const hl7CustomDelimiters = convertFHIRToHL7(patientWithDelimiters, { encodingCharacters: '^~\\&#' });
+console.log('HL7 Message (with truncation character declared in MSH-2):');
+console.log(hl7CustomDelimiters);
+
+console.log('\n\n');
+
+// Example 8: HL7 back to FHIR
+console.log('=== Example 8: HL7 to FHIR ===\n');
+const roundTripBundle = convertHL7ToFHIR(hl7Message);
+console.log('FHIR Bundle (from the Example 2 HL7 message):');
+roundTripBundle.entry.forEach((entry, index) => {
+  console.log(`  ${index + 1}. ${entry.resource.resourceType} (${entry.resource.id})`);
+});
+console.log('\n---\n');
+console.log('HL7 Message (converted back from the FHIR Bundle):');
+console.log(convertFHIRToHL7(roundTripBundle));
+
+console.log('\n\n');
+
+// Example 9: Structured message object
+console.log('=== Example 9: Structured Message Object ===\n');
+const messageObject = convertFHIRToHL7(sampleBundle, { returnObject: true });
+console.log(`PID-5.1 (family name): ${messageObject.get('PID-5.1')}`);
+console.log(`PID-3[2].1 (second identifier): ${messageObject.get('PID-3[2].1')}`);
+console.log(`PV1-3 (location): ${messageObject.get('PV1-3')}`);
+
+messageObject.set('PV1-3.2', '102');
+messageObject.set('PID-3[1].4', 'HOSPITAL');
+console.log('\n---\n');
+console.log('Updated PID and PV1 segments:');
+console.log(messageObject.getSegment('PID').toString());
+console.log(messageObject.getSegment('PV1').toString());
+
+console.log('\n\n');
+
+// Example 10: ORU^R01 results message
+console.log('=== Example 10: ORU^R01 Results Message ===\n');
+const resultsBundle = {
+  resourceType: 'Bundle',
+  type: 'collection',
+  entry: [
+    { resource: getSampleFHIRPatient() },
+    {
+      resource: {
+        resourceType: 'DiagnosticReport',
+        id: 'report-1',
+        status: 'final',
+        identifier: [{ system: 'http://lab.example.org/filler', value: 'LAB-2024-0001' }],
+        category: [{
+          coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0074', code: 'LAB' }]
+        }],
+        code: {
+          coding: [{ system: 'http://loinc.org', code: '24321-2', display: 'Basic metabolic panel' }]
+        },
+        subject: { reference: 'Patient/patient-1' },
+        effectiveDateTime: '2024-01-01T07:30:00',
+        issued: '2024-01-01T09:15:00',
+        result: [
+          { reference: 'Observation/glucose' },
+          { reference: 'Observation/sodium' }
+        ],
+        conclusion: 'Results within normal limits'
+      }
+    },
+    {
+      resource: {
+        resourceType: 'Observation',
+        id: 'sodium',
+        status: 'final',
+        code: { coding: [{ system: 'http://loinc.org', code: '2951-2', display: 'Sodium' }] },
+        valueQuantity: { value: 140, unit: 'mmol/L' }
+      }
+    },
+    {
+      resource: {
+        resourceType: 'Observation',
+        id: 'glucose',
+        status: 'final',
+        code: { coding: [{ system: 'http://loinc.org', code: '2345-7', display: 'Glucose' }] },
+        valueQuantity: { value: 95, unit: 'mg/dL' },
+        note: [{ text: 'Fasting sample' }]
+      }
+    }
+  ]
+};
+
+const hl7Results = convertFHIRToHL7(resultsBundle);
+console.log('HL7 Message (DiagnosticReport detected):');
+console.log(hl7Results);
+console.log('\n---\n');
+console.log('Segments:');
+hl7Results.split('\r').forEach((segment, index) => {
+  console.log(`  ${index + 1}. ${segment.split('|')[0]}`);
+});
+
+console.log('\n\n');
+
+// Example 11: Order messages from ServiceRequest
+console.log('=== Example 11: ORM^O01 / OML^O21 Order Messages ===\n');
+const orderBundle = {
+  resourceType: 'Bundle',
+  type: 'collection',
+  entry: [
+    { resource: getSampleFHIRPatient() },
+    {
+      resource: {
+        resourceType: 'Practitioner',
+        id: 'practitioner-1',
+        name: [{ family: 'SMITH', given: ['ANNA'], prefix: ['DR'] }]
+      }
+    },
+    {
+      resource: {
+        resourceType: 'Specimen',
+        id: 'specimen-1',
+        accessionIdentifier: { system: 'http://lab.example.org/accession', value: 'ACC-778' },
+        type: {
+          coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0487', code: 'BLD', display: 'Whole blood' }]
+        },
+        collection: { collectedDateTime: '2024-01-02T08:00:00' }
+      }
+    },
+    {
+      resource: {
+        resourceType: 'ServiceRequest',
+        id: 'order-1',
+        status: 'active',
+        intent: 'order',
+        priority: 'stat',
+        identifier: [{ system: 'http://ehr.example.org/orders', value: 'ORD-1001' }],
+        code: {
+          coding: [{ system: 'http://loinc.org', code: '24323-8', display: 'Comprehensive metabolic panel' }]
+        },
+        subject: { reference: 'Patient/patient-1' },
+        requester: { reference: 'Practitioner/practitioner-1' },
+        authoredOn: '2024-01-02T07:45:00',
+        occurrenceDateTime: '2024-01-02T08:00:00',
+        reasonCode: [{
+          coding: [{ system: 'http://hl7.org/fhir/sid/icd-10-cm', code: 'R73.9', display: 'Hyperglycemia, unspecified' }]
+        }],
+        specimen: [{ reference: 'Specimen/specimen-1' }]
+      }
+    }
+  ]
+};
+
+console.log('HL7 Message (ORM^O01):');
+console.log(convertFHIRToHL7Order(orderBundle));
+console.log('\n---\n');
+console.log('HL7 Message (OML^O21):');
+console.log(convertFHIRToHL7Order(orderBundle, { messageType: 'OML^O21' }));
+
+console.log('\n\n');
+
+// Example 12: VXU^V04 immunization message
+console.log('=== Example 12: VXU^V04 Immunization Message ===\n');
+const immunizationBundle = {
+  resourceType: 'Bundle',
+  type: 'collection',
+  entry: [
+    { resource: getSampleFHIRPatient() },
+    {
+      resource: {
+        resourceType: 'Practitioner',
+        id: 'nurse-1',
+        name: [{ family: 'JONES', given: ['MARY'] }]
+      }
+    },
+    {
+      resource: {
+        resourceType: 'Organization',
+        id: 'manufacturer-1',
+        identifier: [{ system: 'http://hl7.org/fhir/sid/mvx', value: 'PMC' }],
+        name: 'Sanofi Pasteur'
+      }
+    },
+    {
+      resource: {
+        resourceType: 'Immunization',
+        id: 'immunization-1',
+        status: 'completed',
+        identifier: [{ system: 'http://ehr.example.org/immunizations', value: 'IMM-65930' }],
+        vaccineCode: {
+          coding: [
+            { system: 'http://hl7.org/fhir/sid/ndc', code: '49281-0421-50', display: 'Fluzone Quadrivalent' },
+            { system: 'http://hl7.org/fhir/sid/cvx', code: '150', display: 'Influenza, injectable, quadrivalent, preservative free' }
+          ]
+        },
+        patient: { reference: 'Patient/patient-1' },
+        occurrenceDateTime: '2024-10-01T10:30:00',
+        recorded: '2024-10-01T10:45:00',
+        primarySource: true,
+        manufacturer: { reference: 'Organization/manufacturer-1' },
+        lotNumber: 'UT1234AA',
+        expirationDate: '2025-06-30',
+        site: {
+          coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ActSite', code: 'LA', display: 'Left arm' }]
+        },
+        route: {
+          coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-RouteOfAdministration', code: 'IM', display: 'Intramuscular' }]
+        },
+        doseQuantity: { value: 0.5, unit: 'mL', system: 'http://unitsofmeasure.org', code: 'mL' },
+        performer: [{
+          function: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0443', code: 'AP' }] },
+          actor: { reference: 'Practitioner/nurse-1' }
+        }],
+        programEligibility: [{
+          coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0064', code: 'V02', display: 'VFC eligible - Medicaid/Medicaid Managed Care' }]
+        }],
+        education: [{ documentType: '253088698300017211150720', publicationDate: '2015-08-07', presentationDate: '2024-10-01' }]
+      }
+    }
+  ]
+};
+
+const hl7Immunization = convertFHIRToHL7(immunizationBundle, { sendingFacility: 'CLINIC-01', receivingApplication: 'IIS' });
+console.log('HL7 Message (Immunization detected):');
+console.log(hl7Immunization);
+
+console.log('\n\n');
+
+// Example 13: SIU scheduling message
+console.log('=== Example 13: SIU Scheduling Message ===\n');
+const appointmentBundle = {
+  resourceType: 'Bundle',
+  type: 'collection',
+  entry: [
+    { resource: getSampleFHIRPatient() },
+    {
+      resource: {
+        resourceType: 'Practitioner',
+        id: 'practitioner-1',
+        name: [{ family: 'SMITH', given: ['ANNA'], prefix: ['DR'] }]
+      }
+    },
+    {
+      resource: {
+        resourceType: 'Location',
+        id: 'location-1',
+        name: 'CARDIOLOGY CLINIC'
+      }
+    },
+    {
+      resource: {
+        resourceType: 'Appointment',
+        id: 'appointment-1',
+        status: 'booked',
+        identifier: [{ system: 'http://scheduling.example.org/appointments', value: 'APT-5521' }],
+        serviceType: [{
+          coding: [{ system: 'http://example.org/services', code: 'CARDIO-FU', display: 'Cardiology follow-up' }]
+        }],
+        appointmentType: {
+          coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0276', code: 'FOLLOWUP', display: 'A follow up visit' }]
+        },
+        start: '2024-03-05T09:00:00Z',
+        end: '2024-03-05T09:30:00Z',
+        comment: 'Bring current medication list',
+        participant: [
+          { actor: { reference: 'Patient/patient-1' }, status: 'accepted' },
+          {
+            type: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ParticipationType', code: 'ATND', display: 'attender' }] }],
+            actor: { reference: 'Practitioner/practitioner-1' },
+            status: 'accepted'
+          },
+          { actor: { reference: 'Location/location-1' }, status: 'accepted' }
+        ]
+      }
+    }
+  ]
+};
+
+console.log('HL7 Message (Appointment booked):');
+console.log(convertFHIRToHL7(appointmentBundle));
+console.log('\n---\n');
+const cancelledAppointment = appointmentBundle.entry.map(entry =>
+  entry.resource.resourceType === 'Appointment' ? { ...entry.resource, status: 'cancelled' } : entry.resource
+);
+console.log('HL7 Message (Appointment cancelled):');
+console.log(convertFHIRToHL7(cancelledAppointment));
+
+console.log('\n\n');
+
+// Example 14: MDM^T02 document message
+console.log('=== Example 14: MDM^T02 Document Message ===\n');
+const noteText = 'Progress note\nPatient reports improved mobility.\nContinue physical therapy twice weekly.';
+const documentBundle = {
+  resourceType: 'Bundle',
+  type: 'collection',
+  entry: [
+    { resource: getSampleFHIRPatient() },
+    {
+      resource: {
+        resourceType: 'Practitioner',
+        id: 'practitioner-1',
+        name: [{ family: 'SMITH', given: ['ANNA'], prefix: ['DR'] }]
+      }
+    },
+    {
+      resource: {
+        resourceType: 'DocumentReference',
+        id: 'document-1',
+        status: 'current',
+        docStatus: 'final',
+        masterIdentifier: { system: 'http://ehr.example.org/documents', value: 'DOC-9001' },
+        type: {
+          coding: [{ system: 'http://loinc.org', code: '11506-3', display: 'Progress note' }]
+        },
+        author: [{ reference: 'Practitioner/practitioner-1' }],
+        authenticator: { reference: 'Practitioner/practitioner-1' },
+        date: '2024-02-01T15:00:00Z',
+        content: [{
+          attachment: {
+            contentType: 'text/plain',
+            data: Buffer.from(noteText).toString('base64'),
+            title: 'progress-note.txt'
+          }
+        }]
+      }
+    }
+  ]
+};
+
+console.log('HL7 Message (DocumentReference detected):');
+console.log(convertFHIRToHL7(documentBundle));
+
+console.log('\n\n');
+
+// Example 15: Insurance segments from Coverage
+console.log('=== Example 15: IN1/IN2 Insurance Segments ===\n');
+const insuranceBundle = {
+  resourceType: 'Bundle',
+  type: 'collection',
+  entry: [
+    { resource: getSampleFHIRPatient() },
+    {
+      resource: {
+        resourceType: 'Organization',
+        id: 'payor-1',
+        identifier: [{ system: 'http://payers.example.org/ids', value: 'ACME01' }],
+        name: 'ACME HEALTH INSURANCE',
+        telecom: [{ system: 'phone', value: '800-555-0100' }],
+        address: [{ line: ['1 INSURANCE WAY'], city: 'HARTFORD', state: 'CT', postalCode: '06101' }]
+      }
+    },
+    {
+      resource: {
+        resourceType: 'Coverage',
+        id: 'coverage-secondary',
+        status: 'active',
+        order: 2,
+        subscriberId: 'SEC-778',
+        relationship: { coding: [{ code: 'self' }] },
+        beneficiary: { reference: 'Patient/patient-1' },
+        payor: [{ display: 'STATE MEDICAID' }]
+      }
+    },
+    {
+      resource: {
+        resourceType: 'Coverage',
+        id: 'coverage-primary',
+        status: 'active',
+        order: 1,
+        subscriberId: 'W123456789',
+        relationship: { coding: [{ code: 'self' }] },
+        beneficiary: { reference: 'Patient/patient-1' },
+        period: { start: '2024-01-01', end: '2024-12-31' },
+        payor: [{ reference: 'Organization/payor-1' }],
+        class: [
+          { type: { coding: [{ code: 'group' }] }, value: 'GRP-100', name: 'ACME EMPLOYEES' },
+          { type: { coding: [{ code: 'plan' }] }, value: 'PPO-GOLD', name: 'GOLD PPO' }
+        ]
+      }
+    }
+  ]
+};
+
+const hl7Insurance = convertFHIRToHL7(insuranceBundle);
+console.log('Insurance segments (sorted by Coverage.order):');
+hl7Insurance.split('\r').filter(segment => /^IN[12]\|/.test(segment)).forEach(segment => {
+  console.log(segment);
+});
+
+console.log('\n\n');
+
+// Example 16: Guarantor segments from Account
+console.log('=== Example 16: GT1 Guarantor Segments ===\n');
+const guarantorBundle = {
+  resourceType: 'Bundle',
+  type: 'collection',
+  entry: [
+    { resource: getSampleFHIRPatient() },
+    {
+      resource: {
+        resourceType: 'RelatedPerson',
+        id: 'spouse-1',
+        patient: { reference: 'Patient/patient-1' },
+        relationship: [{
+          coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-RoleCode', code: 'WIFE', display: 'wife' }]
+        }],
+        name: [{ family: 'DOE', given: ['JANE'] }],
+        gender: 'female',
+        birthDate: '1982-04-12',
+        telecom: [{ system: 'phone', value: '555-123-4567', use: 'home' }]
+      }
+    },
+    {
+      resource: {
+        resourceType: 'Account',
+        id: 'account-1',
+        status: 'active',
+        subject: [{ reference: 'Patient/patient-1' }],
+        guarantor: [
+          { party: { reference: 'RelatedPerson/spouse-1' }, onHold: false, period: { start: '2024-01-01' } },
+          { party: { reference: 'Patient/patient-1' } }
+        ]
+      }
+    }
+  ]
+};
+
+const hl7Guarantor = convertFHIRToHL7(guarantorBundle);
+console.log('Guarantor segments:');
+hl7Guarantor.split('\r').filter(segment => segment.startsWith('GT1|')).forEach(segment => {
+  console.log(segment);
+});
+
+console.log('\n\n');
+
+// Example 17: PD1 and PV2 segments
+console.log('=== Example 17: PD1 Primary Care and PV2 Visit Details ===\n');
+const visitBundle = {
+  resourceType: 'Bundle',
+  type: 'collection',
+  entry: [
+    {
+      resource: {
+        ...getSampleFHIRPatient(),
+        generalPractitioner: [{ reference: 'Practitioner/gp-1' }],
+        managingOrganization: { reference: 'Organization/clinic-1' }
+      }
+    },
+    {
+      resource: {
+        resourceType: 'Practitioner',
+        id: 'gp-1',
+        name: [{ family: 'BROWN', given: ['LISA'], prefix: ['DR'] }]
+      }
+    },
+    {
+      resource: {
+        resourceType: 'Organization',
+        id: 'clinic-1',
+        identifier: [{ system: 'http://example.org/facilities', value: 'CLINIC-01' }],
+        name: 'GOOD HEALTH CLINIC'
+      }
+    },
+    {
+      resource: {
+        resourceType: 'Encounter',
+        id: 'encounter-1',
+        status: 'in-progress',
+        class: { system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'IMP' },
+        priority: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ActPriority', code: 'UR' }] },
+        subject: { reference: 'Patient/patient-1' },
+        period: { start: '2024-01-01T10:00:00', end: '2024-01-04T10:00:00' },
+        length: { value: 72, unit: 'h', system: 'http://unitsofmeasure.org', code: 'h' },
+        reasonCode: [{
+          coding: [{ system: 'http://snomed.info/sct', code: '233604007', display: 'Pneumonia' }]
+        }],
+        hospitalization: {
+          specialArrangement: [{
+            coding: [{ system: 'http://terminology.hl7.org/CodeSystem/encounter-special-arrangements', code: 'wheel', display: 'Wheelchair' }]
+          }]
+        }
+      }
+    }
+  ]
+};
+
+const hl7Visit = convertFHIRToHL7(visitBundle);
+hl7Visit.split('\r').filter(segment => /^(PD1|PV2)\|/.test(segment)).forEach(segment => {
+  console.log(segment);
+});
+
+console.log('\n\n');
+
+// Example 18: ADT transfer, merge and explicit events
+console.log('=== Example 18: ADT Transfer, Merge and Explicit Events ===\n');
+const transferBundle = getSampleFHIRBundle();
+const transferEncounter = transferBundle.entry.find(entry => entry.resource.resourceType === 'Encounter').resource;
+transferEncounter.location = [
+  { location: { display: 'ER^1^A' }, status: 'completed' },
+  { location: { display: 'ICU^101^A' }, status: 'active' }
+];
+const hl7Transfer = convertFHIRToHL7(transferBundle);
+console.log('Transfer (completed and active locations):');
+hl7Transfer.split('\r').filter(segment => /^(MSH|PV1)\|/.test(segment)).forEach(segment => {
+  console.log(segment);
+});
+
+const survivingPatient = getSampleFHIRPatient();
+const priorPatient = {
+  resourceType: 'Patient',
+  id: 'patient-old',
+  identifier: [{ system: 'http://hospital.example.org/mrn', value: 'MRN000111' }],
+  name: [{ family: 'DOE', given: ['JON'] }],
+  link: [{ other: { reference: 'Patient/patient-1' }, type: 'replaced-by' }]
+};
+console.log('\nMerge (Patient.link replaced-by):');
+console.log(convertFHIRToHL7([priorPatient, survivingPatient]));
+
+console.log('\nLeave of absence (options.messageType ADT^A21):');
+console.log(convertFHIRToHL7(getSampleFHIRBundle(), { messageType: 'ADT^A21' }).split('\r')[0]);
+
+console.log('\n\n');
+
+// Example 19: Custom trigger event rules
+console.log('=== Example 19: Custom Trigger Event Rules ===\n');
+const cancelledBundle = getSampleFHIRBundle();
+cancelledBundle.entry.find(entry => entry.resource.resourceType === 'Encounter').resource.status = 'cancelled';
+console.log('Default rules (cancelled Encounter):');
+console.log(convertFHIRToHL7(cancelledBundle).split('\r')[0]);
+
+const hl7Cancelled = convertFHIRToHL7(cancelledBundle, {
+  triggerEventRules: [
+    { when: { encounterStatus: ['cancelled'] }, messageType: 'ADT^A11' },
+    ...DEFAULT_TRIGGER_EVENT_RULES
+  ]
+});
+console.log('\nCustom rule (cancelled Encounter -> ADT^A11):');
+console.log(hl7Cancelled.split('\r').map(segment => segment.substring(0, 3)).join(', '));
+console.log(hl7Cancelled.split('\r')[0]);
+
+console.log('\n\n');
+
+// Example 20: Events from resource changes
+console.log('=== Example 20: Events from Resource Changes ===\n');
+const stateStore = new MemoryStateStore();
+const admittedBundle = getSampleFHIRBundle();
+const admittedEncounter = admittedBundle.entry.find(entry => entry.resource.resourceType === 'Encounter').resource;
+console.log('First version (no previous state):', convertFHIRChangeToHL7(admittedBundle, { stateStore }).split('\r')[0].split('|')[8]);
+console.log('Same version again:', convertFHIRChangeToHL7(admittedBundle, { stateStore }));
+
+admittedEncounter.location = [{ location: { display: 'WARD^5^B' }, status: 'active' }];
+const hl7Moved = convertFHIRChangeToHL7(admittedBundle, { stateStore });
+console.log('Location changed:', hl7Moved.split('\r')[0].split('|')[8]);
+console.log(hl7Moved.split('\r').find(segment => segment.startsWith('PV1|')));
+
+admittedEncounter.status = 'finished';
+console.log('Status in-progress -> finished:', convertFHIRChangeToHL7(admittedBundle, { stateStore }).split('\r')[0].split('|')[8]);
+
+console.log('\n\n');
+
+// Example 21: Resolving references in a transaction Bundle
+console.log('=== Example 21: Reference Resolution ===\n');
+const referenceBundle = {
+  resourceType: 'Bundle',
+  type: 'transaction',
+  entry: [
+    { fullUrl: 'urn:uuid:5b3a1c2e-0000-4000-8000-000000000001', resource: getSampleFHIRPatient() },
+    {
+      fullUrl: 'urn:uuid:5b3a1c2e-0000-4000-8000-000000000002',
+      resource: { resourceType: 'Practitioner', id: 'dr-smith', name: [{ family: 'SMITH', given: ['ANNA'] }] }
+    },
+    {
+      fullUrl: 'http://example.org/fhir/Location/bed-4',
+      resource: {
+        resourceType: 'Location',
+        id: 'bed-4',
+        name: '4',
+        physicalType: { coding: [{ code: 'bd' }] },
+        partOf: { reference: 'Location/room-212' }
+      }
+    },
+    {
+      resource: {
+        resourceType: 'Location',
+        id: 'room-212',
+        name: '212',
+        physicalType: { coding: [{ code: 'ro' }] },
+        partOf: { reference: 'Location/ward-2w' }
+      }
+    },
+    {
+      resource: {
+        resourceType: 'Location',
+        id: 'ward-2w',
+        name: '2W',
+        physicalType: { coding: [{ code: 'wa' }] },
+        managingOrganization: { display: 'GENERAL HOSPITAL' }
+      }
+    },
+    {
+      resource: {
+        resourceType: 'Encounter',
+        id: 'encounter-ref',
+        status: 'in-progress',
+        class: { code: 'IMP' },
+        contained: [{ resourceType: 'Practitioner', id: 'consultant', name: [{ family: 'JONES', given: ['LEE'] }] }],
+        location: [{ location: { reference: 'http://example.org/fhir/Location/bed-4' }, status: 'active' }],
+        participant: [
+          { type: [{ coding: [{ code: 'ATND' }] }], individual: { reference: 'urn:uuid:5b3a1c2e-0000-4000-8000-000000000002' } },
+          { type: [{ coding: [{ code: 'CON' }] }], individual: { reference: '#consultant' } },
+          { type: [{ coding: [{ code: 'REF' }] }], individual: { identifier: { value: 'NPI1234' }, display: 'DR REFERRER' } }
+        ]
+      }
+    }
+  ]
+};
+const hl7References = convertFHIRToHL7(referenceBundle);
+console.log(hl7References.split('\r').find(segment => segment.startsWith('PV1|')));
+
+console.log('\n\n');
+
+// Example 22: Local codes translated with ConceptMaps
+console.log('=== Example 22: Terminology Mapping with ConceptMaps ===\n');
+const localCodeBundle = getSampleFHIRBundle();
+const localEncounter = localCodeBundle.entry.find(entry => entry.resource.resourceType === 'Encounter').resource;
+localEncounter.class = { system: 'http://hospital.example.org/encounter-class', code: 'INPT' };
+localEncounter.hospitalization = { admitSource: { coding: [{ system: 'http://hospital.example.org/admit-source', code: 'WALKIN' }] } };
+const localPatient = localCodeBundle.entry.find(entry => entry.resource.resourceType === 'Patient').resource;
+localPatient.maritalStatus = { coding: [{ system: 'http://hospital.example.org/marital-status', code: 'MARR' }] };
+
+const { message: hl7Mapped, report: mappingReport } = convertFHIRToHL7(localCodeBundle, {
+  conceptMaps: [
+    {
+      resourceType: 'ConceptMap',
+      id: 'encounter-class-to-v2',
+      status: 'active',
+      group: [{
+        source: 'http://hospital.example.org/encounter-class',
+        target: 'http://terminology.hl7.org/CodeSystem/v2-0004',
+        element: [{ code: 'INPT', target: [{ code: 'I', equivalence: 'equivalent' }] }]
+      }]
+    },
+    { table: '0002', mappings: { MARR: 'M' } }
+  ],
+  returnReport: true
+});
+console.log('PID-16:', hl7Mapped.split('\r').find(segment => segment.startsWith('PID|')).split('|')[16]);
+console.log('PV1-2:', hl7Mapped.split('\r').find(segment => segment.startsWith('PV1|')).split('|')[2]);
+console.log('Unmapped codes:', JSON.stringify(mappingReport.unmappedCodes));
+
+console.log('\n\n');
+
+// Example 23: Local coding systems and alternate codes
+console.log('=== Example 23: Coding System Names ===\n');
+const localLabBundle = getSampleFHIRBundle();
+const localObservation = localLabBundle.entry.find(entry => entry.resource.resourceType === 'Observation').resource;
+localObservation.code = {
+  coding: [
+    { system: 'http://hospital.example.org/lab-codes', code: 'HR', display: 'Pulse' },
+    { system: 'http://loinc.org', code: '8867-4', display: 'Heart rate' }
+  ]
+};
+const hl7LocalLab = convertFHIRToHL7(localLabBundle, {
+  codingSystems: { 'http://hospital.example.org/lab-codes': '99LAB' }
+});
+const localObx = hl7LocalLab.split('\r').find(segment => segment.startsWith('OBX|'));
+console.log('OBX-3:', localObx.split('|')[3]);
+console.log('Back to FHIR:', JSON.stringify(convertHL7ToFHIR(hl7LocalLab).entry.find(entry => entry.resource.resourceType === 'Observation').resource.code));
+
+console.log('\n\n');
+
+// Example 24: Encoding for different HL7 versions
+console.log('=== Example 24: HL7 Versions ===\n');
+const versionBundle = getSampleFHIRBundle();
+versionBundle.entry.find(entry => entry.resource.resourceType === 'Patient').resource.name[0].suffix = ['JR', 'MD'];
+['2.3', '2.5.1', '2.7'].forEach(versionId => {
+  const segments = convertFHIRToHL7(versionBundle, { versionId }).split('\r');
+  const pid = segments.find(segment => segment.startsWith('PID|')).split('|');
+  console.log(`${versionId}: last field MSH-${segments[0].split('|').length}, PID-5 ${pid[5]}, PID-19 '${pid[19]}'`);
+});
+
+console.log('\n\n');
+
+// Example 25: Conformance validation
+console.log('=== Example 25: Validating HL7 Messages ===\n');
+const receivedMessage = [
+  'MSH|^~\\&|LAB|HOSPITAL|EHR|CLINIC|20240101120000||ADT^A01|CTRL-1|P|2.5',
+  'EVN|A01|20240101120000',
+  'PID|1||MRN123^^^HOSP^MR||DOE^JANE||1985-02-03|F',
+  'AL1|1|DA|PEN^Penicillin',
+  'PV1|1|I'
+].join('\r');
+const validation = validateHL7Message(receivedMessage);
+console.log('Valid:', validation.valid);
+validation.errors.forEach(error => console.log(`Error ${error.code} at ${error.location}: ${error.message}`));
+
+const strictBundle = getSampleFHIRBundle();
+strictBundle.entry.find(entry => entry.resource.resourceType === 'Patient').resource.identifier = [];
+try {
+  convertFHIRToHL7(strictBundle, { strict: true });
+} catch (error) {
+  console.log('Strict mode:', error.message);
+}
+
+console.log('\n\n');
+
+// Example 26: FHIR R4 structural validation
+console.log('=== Example 26: Validating FHIR Input ===\n');
+const badEncounterBundle = getSampleFHIRBundle();
+const badEncounter = badEncounterBundle.entry.find(entry => entry.resource.resourceType === 'Encounter').resource;
+delete badEncounter.status;
+badEncounter.period.start = '2024-01-01T10:00:00';
+const outcome = validateFHIRStructure(badEncounterBundle);
+outcome.issue.forEach(issue => console.log(`${issue.severity} (${issue.code}) at ${issue.expression[0]}: ${issue.diagnostics}`));
+try {
+  convertFHIRToHL7(badEncounterBundle, { validateInput: true });
+} catch (error) {
+  console.log('Rejected:', error.outcome.issue.length, 'issues');
+}
+
+console.log('\n\n');
+
+// Example 27: Data-loss report
+console.log('=== Example 27: Data-Loss Report ===\n');
+const lossBundle = getSampleFHIRBundle();
+lossBundle.entry.find(entry => entry.resource.resourceType === 'Patient').resource.telecom.push({ system: 'email', value: 'john.doe@example.com' });
+lossBundle.entry.find(entry => entry.resource.resourceType === 'Observation').resource.referenceRange = [{ low: { value: 60 }, high: { value: 100 } }];
+delete lossBundle.entry.find(entry => entry.resource.resourceType === 'Observation').resource.status;
+const { report: lossReport } = convertFHIRToHL7(lossBundle, { returnReport: true, versionId: '2.7' });
+lossReport.unmappedElements
+  .filter(({ path }) => /telecom|referenceRange|category/.test(path))
+  .forEach(({ resource, path }) => console.log(`Not sent: ${resource} ${path}`));
+lossReport.defaultedValues.forEach(({ field, value, resource }) => console.log(`Defaulted: ${field} = ${value} (${resource})`));
+lossReport.truncatedValues.forEach(({ field, value, reason }) => console.log(`Truncated: ${field} '${value}' (${reason})`));
+
+console.log('\n\n');
+
+// Example 28: Date/time precision and receiver timezone
+console.log('=== Example 28: Dates and Times ===\n');
+const timeBundle = getSampleFHIRBundle();
+timeBundle.entry.find(entry => entry.resource.resourceType === 'Patient').resource.birthDate = '1980-05';
+timeBundle.entry.find(entry => entry.resource.resourceType === 'Encounter').resource.period.start = '2024-01-01T10:00:00.25-05:00';
+[undefined, 'Europe/Berlin'].forEach(timezone => {
+  const segments = convertFHIRToHL7(timeBundle, { timezone }).split('\r');
+  const pid = segments.find(segment => segment.startsWith('PID|')).split('|');
+  const pv1 = segments.find(segment => segment.startsWith('PV1|')).split('|');
+  console.log(`${timezone || 'sender offsets'}: PID-7 ${pid[7]}, PV1-44 ${pv1[44]}`);
+});
+
+console.log('\n\n');
+
+// Example 29: HL7 batch file from a Bundle with several patients
+console.log('=== Example 29: HL7 Batch File ===\n');
+const exportBundle = getSampleFHIRBundle();
+exportBundle.entry.push(
+  { fullUrl: 'urn:uuid:patient-2', resource: { resourceType: 'Patient', id: 'patient-2', identifier: [{ value: 'MRN987654321' }], name: [{ family: 'ROE', given: ['RICHARD'] }], gender: 'male' } },
+  { resource: { resourceType: 'Condition', id: 'condition-2', subject: { reference: 'urn:uuid:patient-2' }, code: { coding: [{ system: 'http://hl7.org/fhir/sid/icd-10', code: 'E11.9', display: 'Type 2 diabetes mellitus' }] } } }
+);
+const batchFile = convertFHIRToHL7Batch([exportBundle, getSampleFHIRPatient()], { fileControlId: 'EXPORT1', fileName: 'adt-export', batchSize: 2 });
+batchFile.split('\r').filter(segment => !/^(EVN|NK1|PV1|OBX|AL1|DG1)\|/.test(segment)).forEach(segment => console.log(segment));
+const parsedBatch = parseHL7Batch(batchFile);
+parsedBatch.batches.forEach(({ batchControlId, messages }) => {
+  const patients = messages.map(message => convertHL7ToFHIR(message).entry[0].resource.name[0].family);
+  console.log(`Batch ${batchControlId}: ${patients.join(', ')}`);
+});
+
+console.log('\n\n');
+
+// Example 30: One message per patient and encounter
+console.log('=== Example 30: Splitting by Patient and Encounter ===\n');
+const splitBundle = getSampleFHIRBundle();
+splitBundle.entry.push(
+  { resource: { resourceType: 'Encounter', id: 'encounter-2', status: 'finished', class: { system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'AMB' }, subject: { reference: 'Patient/patient-1' }, period: { start: '2024-02-01T09:00:00Z', end: '2024-02-01T09:30:00Z' } } },
+  { resource: { resourceType: 'Observation', id: 'observation-2', status: 'final', code: { coding: [{ system: 'http://loinc.org', code: '8310-5', display: 'Body temperature' }] }, encounter: { reference: 'Encounter/encounter-2' }, valueQuantity: { value: 37.2, unit: 'Cel', system: 'http://unitsofmeasure.org', code: 'Cel' } } },
+  { resource: { resourceType: 'Patient', id: 'patient-2', identifier: [{ value: 'MRN987654321' }], name: [{ family: 'ROE', given: ['JANE'] }] } },
+  { resource: { resourceType: 'Observation', id: 'observation-orphan', status: 'final', code: { coding: [{ system: 'http://loinc.org', code: '29463-7', display: 'Body weight' }] }, valueQuantity: { value: 70, unit: 'kg' } } }
+);
+const splitResults = convertFHIRToHL7(splitBundle, { splitMessages: true, returnReport: true });
+splitResults.forEach(({ message }, index) => {
+  const segments = message.split('\r');
+  const pid = segments.find(segment => segment.startsWith('PID|')).split('|');
+  const pv1 = segments.find(segment => segment.startsWith('PV1|')).split('|');
+  const observations = segments.filter(segment => segment.startsWith('OBX|')).map(segment => segment.split('|')[3].split('^')[1]);
+  console.log(`Message ${index + 1}: ${segments[0].split('|')[8]} ${pid[5].split('^')[0]}, PV1-2 ${pv1[2]}, OBX: ${observations.join(', ') || 'none'}`);
+});
+console.log('Unlinked:', splitResults[0].report.unlinkedResources.join(', '));
+
+console.log('\n\n');
+
+// Example 31: FHIR messaging - MessageHeader drives MSH, ACK becomes a response
+console.log('=== Example 31: FHIR Messaging ===\n');
+const messagingBundle = getSampleFHIRBundle();
+messagingBundle.type = 'message';
+messagingBundle.identifier = { system: 'urn:ietf:rfc:3986', value: 'urn-msg-42' };
+messagingBundle.entry.unshift(
+  { fullUrl: 'urn:uuid:messageheader-1', resource: {
+    resourceType: 'MessageHeader',
+    id: 'messageheader-1',
+    eventCoding: { system: 'http://terminology.hl7.org/CodeSystem/v2-0003', code: 'A08' },
+    source: { name: 'EHR', endpoint: 'https://ehr.example.org/fhir' },
+    sender: { reference: 'Organization/general-hospital' },
+    destination: [{ name: 'LAB', endpoint: 'https://lab.example.org/hl7', receiver: { display: 'City Lab' } }],
+    focus: [{ reference: 'Patient/patient-1' }]
+  } },
+  { resource: { resourceType: 'Organization', id: 'general-hospital', name: 'General Hospital' } }
+);
+console.log(convertFHIRToHL7(messagingBundle).split('\r')[0]);
+console.log(convertFHIRToHL7(messagingBundle, { receivingApplication: 'LIS' }).split('\r')[0]);
+const ackBundle = convertHL7ToFHIR('MSH|^~\\&|LAB|City Lab|EHR|General Hospital|20240101120000+0000||ACK^A08^ACK|ACK42|P|2.5\rMSA|AE|urn-msg-42\rERR||PID^1^3|101^Required field missing^HL70357|E||||Patient identifier list is empty');
+console.log(JSON.stringify(ackBundle.entry[0].resource.response));
+ackBundle.entry[1].resource.issue.forEach(issue => console.log(`${issue.severity} at ${issue.location[0]}: ${issue.diagnostics}`));
+
+console.log('\n\n');
+
+// Example 32: Date/time observation values in strict mode
+console.log('=== Example 32: Observation valueDateTime (strict) ===\n');
+const onsetBundle = getSampleFHIRBundle();
+const onsetObservation = onsetBundle.entry.find(entry => entry.resource.resourceType === 'Observation').resource;
+delete onsetObservation.valueQuantity;
+onsetObservation.code = { coding: [{ system: 'http://loinc.org', code: '11368-8', display: 'Illness or injury onset date and time' }] };
+onsetObservation.valueDateTime = '2023-12-31T22:15:00Z';
+['2.5', '2.6'].forEach(versionId => {
+  const obx = convertFHIRToHL7(onsetBundle, { strict: true, versionId }).split('\r').find(segment => segment.startsWith('OBX|'));
+  console.log(`${versionId}: ${obx.split('|').slice(0, 6).join('|')}`);
+});
+
+
+console.log('\n\n');
+
+// Example 33: MSH options are escaped and checked against their tables
+console.log('=== Example 33: MSH Options ===\n');
+console.log(convertFHIRToHL7(getSampleFHIRBundle(), {
+  sendingApplication: 'Lab|Results',
+  processingId: 'T',
+  messageProfileIdentifier: ['Profile^1', 'LOCAL']
+}).split('\r')[0]);
+try {
+  convertFHIRToHL7(getSampleFHIRBundle(), { processingId: 'P|X' });
+} catch (error) {
+  console.log('Rejected:', error.message);
+}
@@ -4,1419 +4,6544 @@
  * This service converts FHIR-compliant resources into HL7 v2.x messages.
  * 
  * Supported FHIR Resources:
- * - Patient (converted to PID segment)
- * - Encounter (converted to PV1 segment)
+ * - Patient (converted to PID segment, with PD1 for primary care)
+ * - Encounter (converted to PV1 segment, with PV2 for visit details)
  * - RelatedPerson (converted to NK1 segment)
  * - Observation (converted to OBX segment)
  * - AllergyIntolerance (converted to AL1 segment)
  * - Condition (converted to DG1 segment)
+ * - Coverage (converted to IN1/IN2 segments, with the payor Organization and subscriber)
+ * - Account (guarantors converted to GT1 segments)
+ * - DiagnosticReport (converted to ORC/OBR segments, with NTE for comments)
+ * - ServiceRequest (converted to ORC/OBR segments, with DG1 for reasons)
+ * - Specimen (converted to SPM segment)
+ * - Immunization (converted to ORC/RXA/RXR segments, with OBX for eligibility and VIS)
+ * - Appointment (converted to SCH segment, with AIS/AIG/AIL/AIP for services and participants)
+ * - DocumentReference (converted to TXA segment, with OBX for the attachments)
  * 
  * HL7 Message types created:
  * - ADT^A01 (Patient Admit) - when Patient and Encounter with status 'in-progress' or 'planned'
  * - ADT^A08 (Patient Update) - when only Patient is present or Encounter status is 'finished'
  * - ADT^A04 (Patient Register) - when Encounter status is 'planned'
  * - ADT^A03 (Patient Discharge) - when Encounter status is 'finished' or 'cancelled'
+ * - ADT^A02 (Transfer) - when an active Encounter has a completed and an active location
+ * - ADT^A11 (Cancel Admit) - when Encounter status is 'entered-in-error'
+ * - ADT^A40 (Merge) - when a Patient is linked 'replaced-by' to another Patient in the input
+ * - Other ADT events (A05, A13, A14, A21, A22, A47) - via options.messageType
+ * - ORU^R01 (Observation Result) - when a DiagnosticReport is present or options.messageType is 'ORU^R01'
+ * - ORM^O01 / OML^O21 (Orders) - via convertFHIRToHL7Order or options.messageType
+ * - VXU^V04 (Vaccination Update) - when an Immunization is present or options.messageType is 'VXU^V04'
+ * - SIU^S12/S13/S14/S15/S26 (Scheduling) - when an Appointment is present, event from Appointment.status
+ * - MDM^T02/T08/T11 (Documents) - when a DocumentReference is present, event from its status
+ * 
+ * The message type is picked by DEFAULT_TRIGGER_EVENT_RULES (the list above),
+ * or by the rules passed in options.triggerEventRules.
+ * convertFHIRChangeToHL7 picks the ADT event from the changes between the
+ * previous and current versions of the Patient and Encounter instead.
+ * 
+ * Segments are encoded for the HL7 version in options.versionId (2.3 to 2.8,
+ * see HL7_VERSION_CHANGES).
+ * 
+ * The reverse direction (convertHL7ToFHIR) parses the same segments back into a
+ * FHIR Bundle using the same code tables.
  */
 
+// Default delimiters declared in MSH-1 and MSH-2. Segment builders always emit
+// these; the message is re-encoded with the caller's delimiters at the end.
+const DEFAULT_FIELD_SEPARATOR = '|'
+const DEFAULT_ENCODING_CHARACTERS = '^~\\&'
+
 /**
- * Converts FHIR dateTime to HL7 date/time format
- * @param {string} fhirDateTime - FHIR dateTime string (YYYY-MM-DDTHH:MM:SS or YYYY-MM-DD)
- * @returns {string} HL7 date/time string (YYYYMMDDHHMMSS or YYYYMMDD)
+ * Parses MSH-1/MSH-2 into a delimiter set
+ * @param {string} fieldSeparator - MSH-1 field separator
+ * @param {string} encodingCharacters - MSH-2 encoding characters (component, repetition, escape, subcomponent and optional truncation)
+ * @returns {Object} Delimiters (field, component, repetition, escape, subcomponent, truncation)
  */
-function convertFHIRDateTimeToHL7(fhirDateTime) {
-  if (!fhirDateTime || fhirDateTime.trim() === '') return ''
-  
-  // Remove timezone and time if present
-  const cleaned = fhirDateTime.trim().split('T')[0]
-  
-  // FHIR format: YYYY-MM-DD
-  const parts = cleaned.split('-')
-  if (parts.length >= 3) {
-    const year = parts[0] || ''
-    const month = parts[1] || '01'
-    const day = parts[2] || '01'
-    
-    let hl7Date = `${year}${month}${day}`
-    
-    // Add time if present in original
-    if (fhirDateTime.includes('T')) {
-      const timePart = fhirDateTime.split('T')[1]
-      if (timePart) {
-        const timeMatch = timePart.match(/(\d{2}):(\d{2}):(\d{2})/)
-        if (timeMatch) {
-          hl7Date += `${timeMatch[1]}${timeMatch[2]}${timeMatch[3]}`
-        }
-      }
-    }
-    
-    return hl7Date
+function parseEncodingCharacters(fieldSeparator = DEFAULT_FIELD_SEPARATOR, encodingCharacters = DEFAULT_ENCODING_CHARACTERS) {
+  if (!fieldSeparator || fieldSeparator.length !== 1) {
+    throw new Error('Field separator must be a single character')
+  }
+  if (!encodingCharacters || encodingCharacters.length < 4 || encodingCharacters.length > 5) {
+    throw new Error('Encoding characters must contain 4 or 5 characters')
+  }
+
+  const characters = [fieldSeparator, ...encodingCharacters]
+  if (new Set(characters).size !== characters.length) {
+    throw new Error('Field separator and encoding characters must all be distinct')
+  }
+
+  return {
+    field: fieldSeparator,
+    component: encodingCharacters[0],
+    repetition: encodingCharacters[1],
+    escape: encodingCharacters[2],
+    subcomponent: encodingCharacters[3],
+    truncation: encodingCharacters[4] || '',
   }
-  
-  return ''
 }
 
+const DEFAULT_DELIMITERS = parseEncodingCharacters()
+
+// Header segments whose fields 1 and 2 are the field separator and encoding characters
+const HEADER_SEGMENT_NAMES = ['MSH', 'FHS', 'BHS']
+
 /**
- * Converts FHIR HumanName to HL7 name format
- * @param {Object} humanName - FHIR HumanName object
- * @returns {string} HL7 name string (Family^Given^Middle^Suffix^Prefix^Degree)
+ * Escapes a text value for use inside an HL7 field, component or subcomponent
+ *
+ * Delimiters become \F\ \S\ \R\ \E\ \T\ (and \P\ for a declared truncation
+ * character), line breaks become \.br\ and other control characters are
+ * written as hex escapes (\Xhh\).
+ * @param {*} value - Value to escape
+ * @param {Object} delimiters - Delimiters from parseEncodingCharacters
+ * @returns {string} Escaped HL7 text
  */
-function convertFHIRNameToHL7(humanName) {
-  if (!humanName) return ''
-  
-  const parts = []
-  
-  // Family name
-  parts.push(humanName.family || '')
-  
-  // Given names - separate first and middle if multiple
-  const givenNames = humanName.given || []
-  if (givenNames.length > 0) {
-    parts.push(givenNames[0] || '') // First given name
-    parts.push(givenNames.length > 1 ? givenNames.slice(1).join(' ') : '') // Middle names
-  } else {
-    parts.push('')
-    parts.push('')
+export function escapeHL7Text(value, delimiters = DEFAULT_DELIMITERS) {
+  if (value === undefined || value === null) return ''
+
+  const text = String(value)
+  const esc = delimiters.escape
+  const sequences = {
+    [delimiters.field]: 'F',
+    [delimiters.component]: 'S',
+    [delimiters.repetition]: 'R',
+    [delimiters.escape]: 'E',
+    [delimiters.subcomponent]: 'T',
   }
-  
-  // Suffix
-  const suffix = humanName.suffix && humanName.suffix.length > 0 ? humanName.suffix[0] : ''
-  parts.push(suffix)
-  
-  // Prefix
-  const prefix = humanName.prefix && humanName.prefix.length > 0 ? humanName.prefix[0] : ''
-  parts.push(prefix)
-  
-  // Degree
-  parts.push('')
-  
-  return parts.join('^')
+  if (delimiters.truncation) {
+    sequences[delimiters.truncation] = 'P'
+  }
+
+  let escaped = ''
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (sequences[char]) {
+      escaped += `${esc}${sequences[char]}${esc}`
+    } else if (char === '\r' || char === '\n') {
+      // Treat CRLF as a single line break
+      if (char === '\r' && text[i + 1] === '\n') i++
+      escaped += `${esc}.br${esc}`
+    } else if (char.charCodeAt(0) < 0x20 || char.charCodeAt(0) === 0x7f) {
+      const hex = char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')
+      escaped += `${esc}X${hex}${esc}`
+    } else {
+      escaped += char
+    }
+  }
+
+  return escaped
 }
 
 /**
- * Converts FHIR Address to HL7 address format
- * @param {Object} address - FHIR Address object
- * @returns {string} HL7 address string (Street^City^State^Zip^Country)
+ * Reverses escapeHL7Text, decoding delimiter, line break and hex escape sequences
+ * @param {string} value - Escaped HL7 text
+ * @param {Object} delimiters - Delimiters from parseEncodingCharacters
+ * @returns {string} Plain text
  */
-function convertFHIRAddressToHL7(address) {
-  if (!address) return ''
-  
-  const parts = []
-  
-  // Street address (combine all lines)
-  const lines = address.line || []
-  parts.push(lines.join(' ') || '')
-  
-  // City
-  parts.push(address.city || '')
-  
-  // State
-  parts.push(address.state || '')
-  
-  // Postal code
-  parts.push(address.postalCode || '')
-  
-  // Country
-  parts.push(address.country || '')
-  
-  return parts.join('^')
+export function unescapeHL7Text(value, delimiters = DEFAULT_DELIMITERS) {
+  if (!value) return ''
+
+  const esc = delimiters.escape
+  if (!value.includes(esc)) return value
+
+  const characters = {
+    F: delimiters.field,
+    S: delimiters.component,
+    R: delimiters.repetition,
+    E: delimiters.escape,
+    T: delimiters.subcomponent,
+    P: delimiters.truncation,
+  }
+
+  let text = ''
+  let i = 0
+  while (i < value.length) {
+    const char = value[i]
+    const end = char === esc ? value.indexOf(esc, i + 1) : -1
+    if (end === -1) {
+      text += char
+      i++
+      continue
+    }
+
+    const sequence = value.substring(i + 1, end)
+    if (characters[sequence]) {
+      text += characters[sequence]
+    } else if (sequence === '.br') {
+      text += '\n'
+    } else if (/^X([0-9A-Fa-f]{2})+$/.test(sequence)) {
+      const hex = sequence.substring(1)
+      for (let h = 0; h < hex.length; h += 2) {
+        text += String.fromCharCode(parseInt(hex.substring(h, h + 2), 16))
+      }
+    } else {
+      // Unknown sequences (formatting commands, character set switches) are kept as-is
+      text += value.substring(i, end + 1)
+    }
+    i = end + 1
+  }
+
+  return text
 }
 
 /**
- * Converts FHIR gender to HL7 administrative sex
- * @param {string} gender - FHIR gender code (male, female, other, unknown)
- * @returns {string} HL7 administrative sex code (M, F, O, U)
+ * Re-encodes a message built with the default delimiters using the delimiters
+ * declared for the outgoing message (MSH-1/MSH-2)
+ * @param {string} message - HL7 message built with the default delimiters
+ * @param {Object} delimiters - Target delimiters from parseEncodingCharacters
+ * @returns {string} HL7 message using the target delimiters
  */
-function convertFHIRGenderToHL7(gender) {
-  if (!gender) return 'U'
-  
+function applyEncodingCharacters(message, delimiters) {
   const mapping = {
-    'male': 'M',
-    'female': 'F',
-    'other': 'O',
-    'unknown': 'U',
+    [DEFAULT_DELIMITERS.field]: delimiters.field,
+    [DEFAULT_DELIMITERS.component]: delimiters.component,
+    [DEFAULT_DELIMITERS.repetition]: delimiters.repetition,
+    [DEFAULT_DELIMITERS.escape]: delimiters.escape,
+    [DEFAULT_DELIMITERS.subcomponent]: delimiters.subcomponent,
+  }
+
+  const targetDelimiters = new Set(Object.values(delimiters).filter(Boolean))
+
+  // Literal data has already been escaped, so every default delimiter left is
+  // structural. Data characters that collide with a target delimiter still need escaping.
+  let encoded = ''
+  for (const char of message) {
+    if (mapping[char] !== undefined) {
+      encoded += mapping[char]
+    } else if (targetDelimiters.has(char)) {
+      encoded += escapeHL7Text(char, delimiters)
+    } else {
+      encoded += char
+    }
+  }
+
+  // MSH-2 (and FHS-2/BHS-2) must list the truncation character too when one is declared
+  if (delimiters.truncation) {
+    const msh2 = `${delimiters.field}${delimiters.component}${delimiters.repetition}${delimiters.escape}${delimiters.subcomponent}`
+    encoded = encoded
+      .split('\r')
+      .map(line => (HEADER_SEGMENT_NAMES.includes(line.slice(0, 3)) && line.startsWith(`${line.slice(0, 3)}${msh2}`)
+        ? `${line.slice(0, 3)}${msh2}${delimiters.truncation}${line.slice(3 + msh2.length)}`
+        : line))
+      .join('\r')
+  }
+
+  return encoded
+}
+
+/**
+ * Parses a location path such as 'PID-5.1', 'PID-3[2].4', 'OBX[2]-5' or 'PID-11.1.2'
+ * @param {string} path - Path (Segment[SegmentRepetition]-Field[FieldRepetition].Component.Subcomponent)
+ * @returns {Object} Path parts (segment, segmentIndex, field, repetition, component, subcomponent); omitted parts are null
+ */
+function parseHL7Path(path) {
+  const match = typeof path === 'string' &&
+    path.match(/^([A-Z][A-Z0-9]{2})(?:\[(\d+)\])?(?:-(\d+)(?:\[(\d+)\])?(?:\.(\d+)(?:\.(\d+))?)?)?$/)
+  if (!match) {
+    throw new Error(`Invalid HL7 path: ${path}`)
   }
   
-  return mapping[gender.toLowerCase()] || 'U'
+  const [, segment, segmentIndex, field, repetition, component, subcomponent] = match
+  const toNumber = value => (value === undefined ? null : parseInt(value, 10))
+  
+  return {
+    segment,
+    segmentIndex: toNumber(segmentIndex) || 1,
+    field: toNumber(field),
+    repetition: toNumber(repetition),
+    component: toNumber(component),
+    subcomponent: toNumber(subcomponent),
+  }
 }
 
 /**
- * Converts FHIR marital status to HL7 code
- * @param {Object} maritalStatus - FHIR CodeableConcept
- * @returns {string} HL7 marital status code
+ * Subcomponent of an HL7 message - the leaf node, holding an unescaped value
  */
-function convertFHIRMaritalStatusToHL7(maritalStatus) {
-  if (!maritalStatus || !maritalStatus.coding) return ''
+export class HL7Subcomponent {
+  /**
+   * @param {string} value - Unescaped value
+   * @param {string} encoded - Encoded text the value was parsed from (optional)
+   * @param {Object} delimiters - Delimiters of the encoded text
+   */
+  constructor(value = '', encoded = null, delimiters = DEFAULT_DELIMITERS) {
+    this.value = value === undefined || value === null ? '' : String(value)
+    
+    // Formatting commands, character set switches and hex escapes can't be
+    // told apart from plain text once unescaped, so the parsed text is kept
+    this.parsed = encoded === null ? null : { encoded, value: this.value, delimiters }
+  }
   
-  // Common FHIR to HL7 marital status mappings
-  const mapping = {
-    'A': 'A', // Annulled
-    'D': 'D', // Divorced
-    'I': 'I', // Interlocutory
-    'L': 'L', // Legally Separated
-    'M': 'M', // Married
-    'P': 'P', // Polygamous
-    'S': 'S', // Never Married
-    'T': 'T', // Domestic partner
-    'W': 'W', // Widowed
-    'UNK': 'U', // Unknown
+  /**
+   * @returns {string} Unescaped value
+   */
+  getValue() {
+    return this.value
   }
   
-  const code = maritalStatus.coding[0]?.code
-  return mapping[code] || code || ''
+  /**
+   * @param {Object} delimiters - Delimiters from parseEncodingCharacters
+   * @returns {string} Escaped value
+   */
+  toString(delimiters = DEFAULT_DELIMITERS) {
+    const parsed = this.parsed
+    const unchanged = parsed && parsed.value === this.value &&
+      ['field', 'component', 'repetition', 'escape', 'subcomponent', 'truncation']
+        .every(name => parsed.delimiters[name] === delimiters[name])
+    return unchanged ? parsed.encoded : escapeHL7Text(this.value, delimiters)
+  }
 }
 
 /**
- * Converts FHIR race/ethnicity extension to HL7 code
- * @param {Array} extensions - FHIR extensions array
- * @param {string} url - Extension URL to find
- * @returns {string} HL7 code
+ * Component of an HL7 field, made up of subcomponents
  */
-function getExtensionValue(extensions, url) {
-  if (!extensions || !Array.isArray(extensions)) return ''
+export class HL7Component {
+  /**
+   * @param {Array<HL7Subcomponent>} subcomponents - Subcomponents
+   */
+  constructor(subcomponents = [new HL7Subcomponent()]) {
+    this.subcomponents = subcomponents
+  }
   
-  const ext = extensions.find(e => e.url === url)
-  if (!ext || !ext.valueCodeableConcept) return ''
+  /**
+   * Parses an encoded component
+   * @param {string} text - Encoded component
+   * @param {Object} delimiters - Delimiters from parseEncodingCharacters
+   * @returns {HL7Component} Component
+   */
+  static parse(text, delimiters = DEFAULT_DELIMITERS) {
+    return new HL7Component(
+      text.split(delimiters.subcomponent).map(sub => new HL7Subcomponent(unescapeHL7Text(sub, delimiters), sub, delimiters))
+    )
+  }
   
-  return ext.valueCodeableConcept.coding?.[0]?.code || ''
+  /**
+   * Builds a component from a value
+   * @param {string|Array<string>} value - Unescaped value, or an array of subcomponent values
+   * @returns {HL7Component} Component
+   */
+  static from(value) {
+    const values = Array.isArray(value) ? value : [value]
+    return new HL7Component(values.map(v => new HL7Subcomponent(v)))
+  }
+  
+  /**
+   * Gets a subcomponent, optionally creating it (and any before it)
+   * @param {number} index - Subcomponent number (1-based)
+   * @param {boolean} create - Create missing subcomponents
+   * @returns {HL7Subcomponent|undefined} Subcomponent
+   */
+  getSubcomponent(index, create = false) {
+    while (create && this.subcomponents.length < index) {
+      this.subcomponents.push(new HL7Subcomponent())
+    }
+    return this.subcomponents[index - 1]
+  }
+  
+  /**
+   * @param {Object} delimiters - Delimiters from parseEncodingCharacters
+   * @returns {string} Unescaped value if simple, encoded subcomponents otherwise
+   */
+  getValue(delimiters = DEFAULT_DELIMITERS) {
+    return this.subcomponents.length === 1 ? this.subcomponents[0].value : this.toString(delimiters)
+  }
+  
+  /**
+   * @param {Object} delimiters - Delimiters from parseEncodingCharacters
+   * @returns {string} Encoded component
+   */
+  toString(delimiters = DEFAULT_DELIMITERS) {
+    return this.subcomponents.map(sub => sub.toString(delimiters)).join(delimiters.subcomponent)
+  }
 }
 
 /**
- * Converts FHIR Identifier to HL7 identifier format
- * @param {Object} identifier - FHIR Identifier object
- * @returns {string} HL7 identifier string (ID^CheckDigit^CheckDigitScheme^AssigningAuthority^IdentifierTypeCode^AssigningFacility)
+ * Field of an HL7 segment, made up of repetitions of components
  */
-function convertFHIRIdentifierToHL7(identifier) {
-  if (!identifier || !identifier.value) return ''
+export class HL7Field {
+  /**
+   * @param {Array<Array<HL7Component>>} repetitions - Components of each repetition
+   */
+  constructor(repetitions = [[new HL7Component()]]) {
+    this.repetitions = repetitions
+  }
   
-  const parts = []
+  /**
+   * Parses an encoded field
+   * @param {string} text - Encoded field
+   * @param {Object} delimiters - Delimiters from parseEncodingCharacters
+   * @returns {HL7Field} Field
+   */
+  static parse(text, delimiters = DEFAULT_DELIMITERS) {
+    return new HL7Field(
+      text.split(delimiters.repetition).map(repetition =>
+        repetition.split(delimiters.component).map(component => HL7Component.parse(component, delimiters))
+      )
+    )
+  }
   
-  // ID value
-  parts.push(identifier.value || '')
+  /**
+   * Builds a single-repetition field from a value
+   * @param {string|Array} value - Unescaped value, or an array of component values (nested arrays are subcomponents)
+   * @returns {HL7Field} Field
+   */
+  static from(value) {
+    return new HL7Field([HL7Field.buildRepetition(value)])
+  }
   
-  // CheckDigit
-  parts.push('')
+  /**
+   * Builds the components of one repetition from a value
+   * @param {string|Array} value - Unescaped value, or an array of component values
+   * @returns {Array<HL7Component>} Components
+   */
+  static buildRepetition(value) {
+    const values = Array.isArray(value) ? value : [value]
+    return values.map(v => HL7Component.from(v))
+  }
   
-  // CheckDigitScheme
-  parts.push('')
+  /**
+   * Adds a repetition to the field
+   * @param {string|Array} value - Unescaped value, or an array of component values
+   * @returns {HL7Field} This field
+   */
+  addRepetition(value) {
+    const isEmpty = this.repetitions.length === 1 && this.getValue() === ''
+    const repetition = HL7Field.buildRepetition(value)
+    if (isEmpty) {
+      this.repetitions[0] = repetition
+    } else {
+      this.repetitions.push(repetition)
+    }
+    return this
+  }
   
-  // AssigningAuthority (from system)
-  let assigningAuthority = ''
-  if (identifier.system) {
-    // Extract authority from system URL if possible
-    const systemParts = identifier.system.split('/')
-    assigningAuthority = systemParts[systemParts.length - 1] || ''
-    // Clean up common patterns
-    assigningAuthority = assigningAuthority.replace(/^http(s)?:\/\//, '').replace(/\/$/, '')
+  /**
+   * Gets the components of a repetition, optionally creating it (and any before it)
+   * @param {number} index - Repetition number (1-based)
+   * @param {boolean} create - Create missing repetitions
+   * @returns {Array<HL7Component>|undefined} Components
+   */
+  getRepetition(index = 1, create = false) {
+    while (create && this.repetitions.length < index) {
+      this.repetitions.push([new HL7Component()])
+    }
+    return this.repetitions[index - 1]
   }
-  parts.push(assigningAuthority)
   
-  // IdentifierTypeCode (from type)
-  let typeCode = ''
-  if (identifier.type && identifier.type.coding && identifier.type.coding.length > 0) {
-    typeCode = identifier.type.coding[0].code || ''
-  } else if (identifier.system) {
-    // Infer from system URL
-    if (identifier.system.includes('ssn') || identifier.system.includes('us-ssn')) {
-      typeCode = 'SS'
-    } else if (identifier.system.includes('mrn') || identifier.system.includes('medical-record')) {
-      typeCode = 'MR'
-    } else if (identifier.system.includes('driver') || identifier.system.includes('dl')) {
-      typeCode = 'DL'
+  /**
+   * Gets a component, optionally creating it (and any before it)
+   * @param {number} index - Component number (1-based)
+   * @param {number} repetition - Repetition number (1-based)
+   * @param {boolean} create - Create missing repetitions and components
+   * @returns {HL7Component|undefined} Component
+   */
+  getComponent(index, repetition = 1, create = false) {
+    const components = this.getRepetition(repetition, create)
+    if (!components) return undefined
+    while (create && components.length < index) {
+      components.push(new HL7Component())
     }
+    return components[index - 1]
   }
-  parts.push(typeCode)
   
-  // AssigningFacility
-  parts.push('')
+  /**
+   * @param {Object} delimiters - Delimiters from parseEncodingCharacters
+   * @returns {string} Unescaped value if simple, encoded field otherwise
+   */
+  getValue(delimiters = DEFAULT_DELIMITERS) {
+    if (this.repetitions.length === 1 && this.repetitions[0].length === 1) {
+      return this.repetitions[0][0].getValue(delimiters)
+    }
+    return this.toString(delimiters)
+  }
   
-  return parts.join('^')
+  /**
+   * @param {Object} delimiters - Delimiters from parseEncodingCharacters
+   * @returns {string} Encoded field
+   */
+  toString(delimiters = DEFAULT_DELIMITERS) {
+    return this.repetitions
+      .map(components => components.map(component => component.toString(delimiters)).join(delimiters.component))
+      .join(delimiters.repetition)
+  }
 }
 
 /**
- * Converts FHIR Practitioner reference to HL7 XCN format
- * @param {Object} practitionerRef - FHIR Practitioner resource or reference
- * @returns {string} HL7 XCN string (ID^Family^Given^Middle^Suffix^Prefix^Degree^IDType^AssigningAuthority)
+ * Segment of an HL7 message. fields[n] holds field n (MSH-1 is the field separator).
  */
-function convertFHIRPractitionerToHL7(practitionerRef) {
-  if (!practitionerRef) return ''
-  
-  // If it's a reference, we can't resolve it, so return empty
-  if (practitionerRef.reference) return ''
+export class HL7Segment {
+  /**
+   * @param {string} name - Segment name (e.g. 'PID')
+   * @param {Array<HL7Field>} fields - Fields indexed by field number (index 0 unused)
+   */
+  constructor(name, fields = []) {
+    this.name = name
+    this.fields = fields
+  }
   
-  // If it's a Practitioner resource
-  if (practitionerRef.resourceType === 'Practitioner') {
-    const parts = []
-    
-    // ID
-    parts.push(practitionerRef.id || '')
+  /**
+   * Parses an encoded segment
+   * @param {string} text - Encoded segment
+   * @param {Object} delimiters - Delimiters from parseEncodingCharacters
+   * @returns {HL7Segment} Segment
+   */
+  static parse(text, delimiters = DEFAULT_DELIMITERS) {
+    const values = text.split(delimiters.field)
+    const name = values[0]
+    const fields = [undefined]
     
-    // Name
-    if (practitionerRef.name && practitionerRef.name.length > 0) {
-      const name = practitionerRef.name[0]
-      parts.push(name.family || '')
-      parts.push(name.given?.[0] || '')
-      parts.push(name.given?.length > 1 ? name.given.slice(1).join(' ') : '')
-      parts.push(name.suffix?.[0] || '')
-      parts.push(name.prefix?.[0] || '')
-      parts.push('') // Degree
+    if (HEADER_SEGMENT_NAMES.includes(name)) {
+      // MSH-1 and MSH-2 (FHS/BHS-1 and -2) hold the delimiters themselves and are never split or unescaped
+      fields.push(HL7Field.from(delimiters.field))
+      fields.push(HL7Field.from(values[1]))
+      values.slice(2).forEach(value => fields.push(HL7Field.parse(value, delimiters)))
     } else {
-      parts.push('', '', '', '', '', '')
+      values.slice(1).forEach(value => fields.push(HL7Field.parse(value, delimiters)))
     }
     
-    // IDType
-    parts.push('')
-    
-    // AssigningAuthority
-    parts.push('')
-    
-    return parts.join('^')
+    return new HL7Segment(name, fields)
   }
   
-  return ''
-}
-
-/**
- * Creates MSH segment for HL7 message
- * @param {string} messageType - Message type (e.g., 'ADT^A01')
- * @param {string} messageControlId - Message control ID
- * @param {Object} options - Optional configuration
- * @returns {string} MSH segment string
- */
-function createMSHSegment(messageType = 'ADT^A01', messageControlId = null, options = {}) {
-  const now = new Date()
-  const timestamp = now.toISOString().replace(/[-:]/g, '').split('.')[0]
-  const controlId = messageControlId || `MSG${timestamp}${Math.floor(Math.random() * 1000)}`
-  
-  const fields = [
-    'MSH',
-    '^~\\&', // Encoding characters
-    options.sendingApplication || 'FHIR-HYDRANT', // Sending Application
-    options.sendingFacility || 'FHIR-HYDRANT-FACILITY', // Sending Facility
-    options.receivingApplication || 'RECEIVING-APP', // Receiving Application
-    options.receivingFacility || 'RECEIVING-FACILITY', // Receiving Facility
-    timestamp, // Date/Time of Message
-    '', // Security
-    messageType, // Message Type
-    controlId, // Message Control ID
-    options.processingId || 'P', // Processing ID (P=Production, T=Test)
-    options.versionId || '2.5', // Version ID
-    '', // Sequence Number
-    '', // Continuation Pointer
-    '', // Accept Acknowledgment Type
-    '', // Application Acknowledgment Type
-    '', // Country Code
-    '', // Character Set
-    '', // Principal Language of Message
-    '', // Alternate Character Set Handling Scheme
-  ]
+  /**
+   * Gets a field, optionally creating it (and any before it)
+   * @param {number} index - Field number (1-based)
+   * @param {boolean} create - Create missing fields
+   * @returns {HL7Field|undefined} Field
+   */
+  getField(index, create = false) {
+    while (create && this.fields.length <= index) {
+      this.fields.push(new HL7Field())
+    }
+    return this.fields[index]
+  }
   
-  return fields.join('|')
+  /**
+   * @param {Object} delimiters - Delimiters from parseEncodingCharacters
+   * @returns {string} Encoded segment
+   */
+  toString(delimiters = DEFAULT_DELIMITERS) {
+    const fields = this.fields.slice(1).map(field => (field ? field.toString(delimiters) : ''))
+    
+    if (HEADER_SEGMENT_NAMES.includes(this.name)) {
+      // MSH-1 is the separator itself and MSH-2 is written verbatim
+      const encodingCharacters = this.fields[2] ? this.fields[2].getValue() : ''
+      return `${this.name}${delimiters.field}${[encodingCharacters, ...fields.slice(2)].join(delimiters.field)}`
+    }
+    
+    return [this.name, ...fields].join(delimiters.field)
+  }
 }
 
 /**
- * Converts FHIR Patient resource to HL7 PID segment
- * @param {Object} patient - FHIR Patient resource
- * @returns {string} HL7 PID segment string
+ * HL7 v2.x message with path accessors (e.g. get('PID-5.1'), set('PV1-3.2', '101')).
+ * Values are held unescaped and escaped on serialization using the delimiters in MSH-1/MSH-2.
  */
-function convertPatientToPID(patient) {
-  if (!patient || patient.resourceType !== 'Patient') {
-    throw new Error('Invalid Patient resource')
+export class HL7Message {
+  /**
+   * @param {Array<HL7Segment>} segments - Segments in message order
+   */
+  constructor(segments = []) {
+    this.segments = segments
   }
   
-  const fields = ['PID']
-  
-  // PID-1: Set ID (always 1 for first patient)
-  fields.push('1')
-  
-  // PID-2: Patient ID (external) - empty
-  fields.push('')
+  /**
+   * Parses an encoded HL7 message
+   * @param {string} message - HL7 message string (segments separated by \r or \n)
+   * @returns {HL7Message} Message
+   */
+  static parse(message) {
+    if (!message || typeof message !== 'string' || message.trim() === '') {
+      throw new Error('HL7 message is required')
+    }
+    
+    const lines = message.split(/\r\n|\r|\n/).filter(line => line.trim() !== '')
+    if (!lines[0].startsWith('MSH')) {
+      throw new Error('HL7 message must start with an MSH segment')
+    }
+    
+    // MSH-1 is the character right after the segment name, MSH-2 runs up to the next separator
+    const fieldSeparator = lines[0][3]
+    const encodingCharacters = lines[0].substring(4).split(fieldSeparator)[0]
+    const delimiters = parseEncodingCharacters(fieldSeparator, encodingCharacters)
+    
+    return new HL7Message(lines.map(line => HL7Segment.parse(line, delimiters)))
+  }
   
-  // PID-3: Patient Identifier List
-  if (patient.identifier && patient.identifier.length > 0) {
-    const identifiers = patient.identifier
-      .map(id => convertFHIRIdentifierToHL7(id))
-      .filter(id => id) // Remove empty identifiers
-    fields.push(identifiers.join('~') || '')
-  } else {
-    fields.push('')
+  /**
+   * Delimiters declared in MSH-1/MSH-2 (defaults when there is no MSH)
+   * @returns {Object} Delimiters (field, component, repetition, escape, subcomponent, truncation)
+   */
+  get delimiters() {
+    const msh = this.getSegment('MSH')
+    if (!msh) return DEFAULT_DELIMITERS
+    
+    const fieldSeparator = msh.fields[1]?.getValue()
+    const encodingCharacters = msh.fields[2]?.getValue()
+    return parseEncodingCharacters(fieldSeparator || undefined, encodingCharacters || undefined)
   }
   
-  // PID-4: Alternate Patient ID - empty
-  fields.push('')
+  /**
+   * Gets a segment by name
+   * @param {string} name - Segment name
+   * @param {number} index - Occurrence of the segment (1-based)
+   * @returns {HL7Segment|undefined} Segment
+   */
+  getSegment(name, index = 1) {
+    return this.getSegments(name)[index - 1]
+  }
   
-  // PID-5: Patient Name
-  if (patient.name && patient.name.length > 0) {
-    const names = patient.name.map(name => convertFHIRNameToHL7(name))
-    fields.push(names.join('~') || '')
-  } else {
-    fields.push('')
+  /**
+   * Gets every segment with a name
+   * @param {string} name - Segment name
+   * @returns {Array<HL7Segment>} Segments
+   */
+  getSegments(name) {
+    return this.segments.filter(segment => segment.name === name)
   }
   
-  // PID-6: Mother's Maiden Name
-  // Look for extension or use empty
-  const mothersMaidenName = patient.extension?.find(
-    ext => ext.url === 'http://hl7.org/fhir/StructureDefinition/patient-mothersMaidenName'
-  )
-  if (mothersMaidenName?.valueString) {
-    fields.push(mothersMaidenName.valueString)
-  } else {
-    fields.push('')
+  /**
+   * Appends a new, empty segment
+   * @param {string} name - Segment name
+   * @returns {HL7Segment} Segment
+   */
+  addSegment(name) {
+    const segment = new HL7Segment(name, [undefined])
+    this.segments.push(segment)
+    return segment
   }
   
-  // PID-7: Date/Time of Birth
-  if (patient.birthDate) {
-    fields.push(convertFHIRDateTimeToHL7(patient.birthDate))
+  /**
+   * Gets the value at a path
+   * @param {string} path - Path such as 'PID-5.1', 'PID-3[2].1' or 'OBX[2]-5'
+   * @returns {string} Unescaped value for simple nodes, encoded text for composite nodes ('' if absent)
+   */
+  get(path) {
+    const { segment, segmentIndex, field, repetition, component, subcomponent } = parseHL7Path(path)
+    const delimiters = this.delimiters
+    
+    const seg = this.getSegment(segment, segmentIndex)
+    if (!seg) return ''
+    if (field === null) return seg.toString(delimiters)
+    
+    const fld = seg.getField(field)
+    if (!fld) return ''
+    if (component === null) {
+      if (repetition === null) return fld.getValue(delimiters)
+      const components = fld.getRepetition(repetition)
+      return components ? new HL7Field([components]).getValue(delimiters) : ''
+    }
+    
+    const comp = fld.getComponent(component, repetition || 1)
+    if (!comp) return ''
+    if (subcomponent === null) return comp.getValue(delimiters)
+    
+    const sub = comp.getSubcomponent(subcomponent)
+    return sub ? sub.getValue() : ''
+  }
+  
+  /**
+   * Sets the value at a path, creating segments, fields, repetitions and components as needed
+   * @param {string} path - Path such as 'PID-5.1' or 'PV1-3.2'
+   * @param {string|Array} value - Unescaped value; at field or component level an array sets the
+   *   components (or subcomponents) individually
+   * @returns {HL7Message} This message
+   */
+  set(path, value) {
+    const { segment, segmentIndex, field, repetition, component, subcomponent } = parseHL7Path(path)
+    if (field === null) {
+      throw new Error(`HL7 path must include a field number: ${path}`)
+    }
+    
+    let seg = this.getSegment(segment, segmentIndex)
+    while (!seg) {
+      this.addSegment(segment)
+      seg = this.getSegment(segment, segmentIndex)
+    }
+    
+    const fld = seg.getField(field, true)
+    if (component === null) {
+      const components = HL7Field.buildRepetition(value)
+      fld.getRepetition(repetition || 1, true)
+      fld.repetitions[(repetition || 1) - 1] = components
+      return this
+    }
+    
+    const comp = fld.getComponent(component, repetition || 1, true)
+    if (subcomponent === null) {
+      comp.subcomponents = HL7Component.from(value).subcomponents
+      return this
+    }
+    
+    comp.getSubcomponent(subcomponent, true).value = value === undefined || value === null ? '' : String(value)
+    return this
+  }
+  
+  /**
+   * Encodes the message using the delimiters declared in MSH-1/MSH-2
+   * @param {string} segmentSeparator - Segment separator (default \r)
+   * @returns {string} HL7 message string
+   */
+  toString(segmentSeparator = '\r') {
+    const delimiters = this.delimiters
+    return this.segments.map(segment => segment.toString(delimiters)).join(segmentSeparator)
+  }
+}
+
+// Code tables shared by the FHIR -> HL7 converters and their HL7 -> FHIR reverses
+
+// FHIR gender -> HL7 administrative sex (table 0001)
+const GENDER_MAP = {
+  'male': 'M',
+  'female': 'F',
+  'other': 'O',
+  'unknown': 'U',
+}
+
+// FHIR v3 MaritalStatus -> HL7 marital status (table 0002)
+const MARITAL_STATUS_MAP = {
+  'A': 'A', // Annulled
+  'D': 'D', // Divorced
+  'I': 'I', // Interlocutory
+  'L': 'L', // Legally Separated
+  'M': 'M', // Married
+  'P': 'P', // Polygamous
+  'S': 'S', // Never Married
+  'T': 'T', // Domestic partner
+  'W': 'W', // Widowed
+  'UNK': 'U', // Unknown
+}
+
+// FHIR Encounter.class (v3 ActCode) -> HL7 patient class (table 0004)
+const PATIENT_CLASS_MAP = {
+  'IMP': 'I', // Inpatient
+  'AMB': 'O', // Outpatient
+  'EMER': 'E', // Emergency
+  'PRENC': 'P', // Pre-admission
+  'OBSENC': 'O', // Observation encounter
+  'NONAC': 'N', // Non-acute inpatient
+  'SS': 'S', // Short stay
+}
+
+// FHIR admit source -> HL7 admission type (table 0007)
+const ADMISSION_TYPE_MAP = {
+  'hosp-trans': 'TR', // Transfer from hospital
+  'emd': 'E', // Emergency department
+  'outp': 'O', // Outpatient
+  'born': 'NB', // Newborn
+  'gp': 'GP', // General practitioner
+}
+
+// FHIR Encounter.location.status -> HL7 bed status (table 0116)
+const BED_STATUS_MAP = {
+  'active': 'O', // Occupied
+  'reserved': 'R', // Reserved
+  'inactive': 'C', // Closed
+}
+
+// FHIR Observation.interpretation -> HL7 abnormal flags (table 0078)
+const ABNORMAL_FLAG_MAP = {
+  'L': 'L', // Low
+  'LL': 'LL', // Critical Low
+  'H': 'H', // High
+  'HH': 'HH', // Critical High
+  'N': 'N', // Normal
+  'A': 'A', // Abnormal
+}
+
+// FHIR Observation.status -> HL7 observation result status (table 0085)
+const OBSERVATION_STATUS_MAP = {
+  'registered': 'I', // Intermediate
+  'preliminary': 'P', // Preliminary
+  'final': 'F', // Final
+  'amended': 'C', // Corrected
+  'corrected': 'C', // Corrected
+  'cancelled': 'X', // Cancelled
+  'entered-in-error': 'E', // Error
+  'unknown': 'U', // Unknown
+}
+
+// FHIR AllergyIntolerance.type -> HL7 allergen type (table 0127)
+const ALLERGEN_TYPE_MAP = {
+  'allergy': 'DA', // Drug allergy
+  'intolerance': 'FA', // Food allergy
+  'environment': 'EA', // Environmental allergy
+  'biologic': 'MA', // Miscellaneous allergy
+}
+
+// FHIR AllergyIntolerance.reaction.severity -> HL7 allergy severity (table 0128)
+const ALLERGY_SEVERITY_MAP = {
+  'mild': 'MI', // Mild
+  'moderate': 'MO', // Moderate
+  'severe': 'SV', // Severe
+}
+
+// FHIR Condition.category -> HL7 diagnosis type (table 0052)
+const DIAGNOSIS_TYPE_MAP = {
+  'encounter-diagnosis': 'A', // Admitting
+  'problem-list-item': 'F', // Final
+  'health-concern': 'W', // Working
+}
+
+// FHIR DiagnosticReport.status -> HL7 result status (table 0123)
+const RESULT_STATUS_MAP = {
+  'registered': 'I', // No results available; specimen received, procedure incomplete
+  'partial': 'A', // Some, but not all, results available
+  'preliminary': 'P', // Preliminary
+  'final': 'F', // Final results
+  'amended': 'C', // Correction to results
+  'corrected': 'C', // Correction to results
+  'appended': 'C', // Correction to results
+  'cancelled': 'X', // No results available; order canceled
+  'entered-in-error': 'X', // No results available; order canceled
+}
+
+// FHIR DiagnosticReport.status -> HL7 order status (table 0038)
+const REPORT_ORDER_STATUS_MAP = {
+  'registered': 'IP', // In process
+  'partial': 'IP', // In process
+  'preliminary': 'IP', // In process
+  'final': 'CM', // Completed
+  'amended': 'CM', // Completed
+  'corrected': 'CM', // Completed
+  'appended': 'CM', // Completed
+  'cancelled': 'CA', // Cancelled
+  'entered-in-error': 'CA', // Cancelled
+}
+
+// FHIR coding system URI -> HL7 name of coding system (table 0396); extended by options.codingSystems.
+// HL7 v2 tables (http://terminology.hl7.org/CodeSystem/v2-nnnn) are named HL7nnnn.
+const CODING_SYSTEM_NAMES = {
+  'http://loinc.org': 'LN', // LOINC
+  'http://snomed.info/sct': 'SCT', // SNOMED CT
+  'http://hl7.org/fhir/sid/icd-10-cm': 'I10', // ICD-10-CM
+  'http://hl7.org/fhir/sid/icd-10': 'I10', // ICD-10
+  'http://www.cms.gov/Medicare/Coding/ICD10': 'I10P', // ICD-10-PCS
+  'http://hl7.org/fhir/sid/icd-9-cm': 'I9CDX', // ICD-9-CM diagnosis
+  'http://www.nlm.nih.gov/research/umls/rxnorm': 'RXNORM', // RxNorm
+  'http://hl7.org/fhir/sid/ndc': 'NDC', // National Drug Codes
+  'http://hl7.org/fhir/sid/cvx': 'CVX', // CDC vaccine codes
+  'http://hl7.org/fhir/sid/mvx': 'MVX', // CDC vaccine manufacturer codes
+  'http://www.ama-assn.org/go/cpt': 'C4', // CPT-4
+  'urn:oid:2.16.840.1.113883.6.285': 'HCPCS', // HCPCS
+  'http://unitsofmeasure.org': 'UCUM', // UCUM units
+  'urn:oid:2.16.840.1.113883.6.238': 'CDCREC', // CDC race and ethnicity
+  'http://nucc.org/provider-taxonomy': 'NUCCPT', // NUCC provider taxonomy
+  'http://www.nlm.nih.gov/research/umls': 'UML', // UMLS
+  // FHIR and v3 code systems have no table 0396 name; these local names fit CWE-3 (12 characters)
+  'http://terminology.hl7.org/CodeSystem/v3-RoleCode': 'V3ROLECODE', // NK1-3 relationship
+  'http://terminology.hl7.org/CodeSystem/v3-ParticipationType': 'V3PARTTYPE', // AIP-4/AIG-4 resource type
+  'http://terminology.hl7.org/CodeSystem/v3-ActCode': 'V3ACTCODE', // Act codes (e.g. in Encounter.type)
+  'http://terminology.hl7.org/CodeSystem/encounter-special-arrangements': 'SPECARRANGE', // PV2-2 accommodation
+  'http://terminology.hl7.org/CodeSystem/service-type': 'SERVICETYPE', // AIS-3 service
+}
+
+/**
+ * Inverts a code table for the HL7 -> FHIR direction
+ * @param {Object} mapping - FHIR code -> HL7 code table
+ * @param {Object} preferred - HL7 code -> FHIR code choices for HL7 codes that several FHIR codes map to
+ * @returns {Object} HL7 code -> FHIR code table
+ */
+function invertMapping(mapping, preferred = {}) {
+  const inverted = {}
+  Object.entries(mapping).forEach(([fhirCode, hl7Code]) => {
+    if (hl7Code && inverted[hl7Code] === undefined) {
+      inverted[hl7Code] = fhirCode
+    }
+  })
+  return { ...inverted, ...preferred }
+}
+
+// HL7 name of coding system (table 0396) -> FHIR coding system URI
+const CODING_SYSTEM_URIS = invertMapping(CODING_SYSTEM_NAMES)
+
+/**
+ * Gets the HL7 table a ConceptMap group targets
+ * @param {string} target - Target system (e.g. 'http://terminology.hl7.org/CodeSystem/v2-0004', 'HL70004' or '0004')
+ * @returns {string} Four-digit table number, or '' if the target isn't an HL7 table
+ */
+function getHL7TableNumber(target) {
+  const match = String(target || '').match(/(?:v2-|HL7|^)(\d{4})$/i)
+  return match ? match[1] : ''
+}
+
+/**
+ * Indexes code mappings by HL7 table
+ * 
+ * Accepts FHIR ConceptMap resources whose groups target an HL7 v2 table
+ * (e.g. http://terminology.hl7.org/CodeSystem/v2-0004) and plain objects
+ * of the form { table: '0004', source: 'http://...', mappings: { code: hl7Code } }.
+ * @param {Array} conceptMaps - ConceptMap resources and plain mapping objects
+ * @returns {Object} HL7 table -> Map of 'system|code' (system empty for any system) -> HL7 code
+ */
+function indexConceptMaps(conceptMaps = []) {
+  const index = {}
+  const add = (table, system, code, target) => {
+    if (!table || !code || !target) return
+    index[table] = index[table] || new Map()
+    const key = `${system || ''}|${code}`
+    if (!index[table].has(key)) index[table].set(key, target)
+  }
+  
+  conceptMaps.forEach(conceptMap => {
+    if (conceptMap.resourceType !== 'ConceptMap') {
+      const table = getHL7TableNumber(conceptMap.table)
+      Object.entries(conceptMap.mappings || {}).forEach(([code, target]) => add(table, conceptMap.source, code, target))
+      return
+    }
+    
+    (conceptMap.group || []).forEach(group => {
+      const table = getHL7TableNumber(group.target || conceptMap.targetUri || conceptMap.targetCanonical)
+      group.element?.forEach(element => {
+        // R4 equivalence / R5 relationship: skip targets that say the codes don't match
+        const target = element.target?.find(t =>
+          t.code && !['unmatched', 'disjoint'].includes(t.equivalence) && t.relationship !== 'not-related-to'
+        )
+        add(table, group.source, element.code, target?.code)
+      })
+    })
+  })
+  
+  return index
+}
+
+const DEFAULT_VERSION_ID = '2.5'
+
+// What changes in the output from one HL7 version to the next; each version
+// inherits everything from the versions before it. fieldCounts covers every
+// segment the builders emit.
+const HL7_VERSION_CHANGES = [
+  ['2.3', {
+    fieldCounts: { // Last field of each segment
+      MSH: 19, EVN: 6, PID: 30, PD1: 12, NK1: 37, PV1: 52, PV2: 37, OBX: 17, AL1: 6, DG1: 19, GT1: 55, IN1: 49,
+      IN2: 72, MRG: 7, ORC: 19, OBR: 43, NTE: 3, RXA: 19, RXR: 4, SCH: 25, RGS: 3, AIS: 10, AIG: 14, AIL: 12, AIP: 12,
+      TXA: 23,
+    },
+    messageStructure: false, // MSH-9.3 (message structure) added in 2.3.1
+    professionalSuffix: false, // XPN-14/XCN-21 added in 2.5; earlier versions send the degree in XPN-6/XCN-7
+    specimenSegment: false, // SPM added in 2.5; earlier OML^O21 messages send the specimen in OBR-15
+    dataTypes: {}, // Data types renamed (OBX-2), and CE fields sent as CWE
+    withdrawnFields: [], // Fields left empty
+  }],
+  ['2.3.1', { fieldCounts: { MSH: 20, PID: 38, ORC: 24, OBR: 45, RXA: 21 }, messageStructure: true }],
+  ['2.4', { fieldCounts: { MSH: 21, EVN: 7, PD1: 21, NK1: 39, PV2: 47, OBX: 19, DG1: 20, ORC: 25, OBR: 47, NTE: 4, RXA: 22, AIS: 12 } }],
+  ['2.5', {
+    fieldCounts: { PID: 39, PV2: 49, OBX: 25, DG1: 21, GT1: 57, IN1: 53, ORC: 30, OBR: 49, RXA: 26, RXR: 6, SCH: 27, SPM: 29 },
+    professionalSuffix: true,
+    specimenSegment: true,
+  }],
+  ['2.5.1', {}],
+  // CE and TS withdrawn in favour of CWE (with coding system versions and original text) and DTM
+  ['2.6', { fieldCounts: { DG1: 26, ORC: 31, OBR: 50, NTE: 8, TXA: 28 }, dataTypes: { CE: 'CWE', TS: 'DTM' } }],
+  ['2.7', {
+    fieldCounts: { MSH: 25, PID: 40, PD1: 22, NK1: 41, PV1: 54, PV2: 50, RXA: 28 },
+    withdrawnFields: ['PID-19', 'PID-20'], // SSN and driver's license go in PID-3
+  }],
+  ['2.7.1', {}],
+  ['2.8', { fieldCounts: { NTE: 9 } }],
+]
+
+// HL7 version (MSH-12) -> output profile
+const HL7_VERSION_PROFILES = {}
+HL7_VERSION_CHANGES.reduce((previous, [versionId, changes]) => {
+  const profile = {
+    ...previous,
+    ...changes,
+    versionId,
+    fieldCounts: { ...previous.fieldCounts, ...changes.fieldCounts },
+    dataTypes: { ...previous.dataTypes, ...changes.dataTypes },
+    withdrawnFields: [...(previous.withdrawnFields || []), ...(changes.withdrawnFields || [])],
+  }
+  HL7_VERSION_PROFILES[versionId] = profile
+  return profile
+}, {})
+
+/**
+ * Gets the output profile of an HL7 version
+ * @param {string} versionId - HL7 version (MSH-12), e.g. '2.3' or '2.5.1'
+ * @returns {Object} Version profile (fieldCounts, messageStructure, professionalSuffix, specimenSegment, dataTypes,
+ *   withdrawnFields)
+ */
+function getVersionProfile(versionId = DEFAULT_VERSION_ID) {
+  const profile = HL7_VERSION_PROFILES[versionId]
+  if (!profile) {
+    throw new Error(`Unsupported HL7 version ${versionId} (supported: ${Object.keys(HL7_VERSION_PROFILES).join(', ')})`)
+  }
+  return profile
+}
+
+/**
+ * Applies the field-level rules of an HL7 version to built segments: drops
+ * fields the version doesn't define, empties withdrawn fields, renames
+ * withdrawn data types in OBX-2 and drops MSH-9.3 where it doesn't exist
+ * @param {Array<string>} segments - HL7 segment strings (default delimiters)
+ * @param {Object} profile - Version profile from getVersionProfile
+ * @param {ConversionContext} context - Conversion context whose report lists the values dropped (optional)
+ * @returns {Array<string>} HL7 segment strings for the version
+ */
+function applyVersionProfile(segments, profile, context = null) {
+  const occurrences = {}
+  return segments.map(segment => {
+    const fields = segment.split('|')
+    const name = fields[0]
+    occurrences[name] = (occurrences[name] || 0) + 1
+    
+    // MSH-1 is the field separator itself, so MSH-n is at index n - 1
+    const offset = name === 'MSH' ? 1 : 0
+    const setField = (field, value) => {
+      if (fields.length > field - offset) fields[field - offset] = value
+    }
+    const dropField = (field, reason) => {
+      const value = fields[field - offset]
+      if (value) context?.reportTruncated(formatHL7Location(name, occurrences[name], field), value, reason)
+    }
+    
+    profile.withdrawnFields
+      .filter(path => path.startsWith(`${name}-`))
+      .forEach(path => {
+        dropField(Number(path.split('-')[1]), `withdrawn in ${profile.versionId}`)
+        setField(Number(path.split('-')[1]), '')
+      })
+    
+    if (name === 'MSH' && !profile.messageStructure) {
+      setField(9, (fields[8] || '').split('^').slice(0, 2).join('^'))
+    }
+    if (name === 'OBX' && profile.dataTypes[fields[2]]) {
+      setField(2, profile.dataTypes[fields[2]])
+    }
+    
+    const fieldCount = profile.fieldCounts[name]
+    if (fieldCount === undefined) {
+      return fields.join('|')
+    }
+    for (let field = fieldCount + 1; field < fields.length + offset; field++) {
+      dropField(field, `not defined in ${profile.versionId}`)
+    }
+    return fields.slice(0, fieldCount - offset + 1).join('|')
+  })
+}
+
+/**
+ * State shared by the segment converters during one conversion: the
+ * caller's code mappings, the profile of the HL7 version being written, the
+ * receiver's timezone and the report of codes that had no mapping and values
+ * that were defaulted or truncated
+ */
+class ConversionContext {
+  /**
+   * @param {Object} options - Conversion options (conceptMaps, codingSystems, versionId, timezone)
+   */
+  constructor(options = {}) {
+    this.version = getVersionProfile(options.versionId)
+    this.codeMappings = indexConceptMaps(options.conceptMaps)
+    this.codingSystems = { ...CODING_SYSTEM_NAMES, ...options.codingSystems }
+    this.timezone = options.timezone || null
+    if (this.timezone) getTimezoneOffset(this.timezone)
+    this.report = {
+      unmappedCodes: [], unmappedCodingSystems: [], unmappedElements: [], defaultedValues: [], truncatedValues: [],
+    }
+  }
+  
+  /**
+   * Falls back to a default when the resources supply no value for a field, noting it in the report
+   * @param {string} field - HL7 field being populated (e.g. 'OBX-11')
+   * @param {string} value - Value from the resources
+   * @param {string} defaultValue - Value to send when there is none
+   * @param {Object} resource - FHIR resource the value comes from (optional)
+   * @returns {string} value, or defaultValue
+   */
+  withDefault(field, value, defaultValue, resource = null) {
+    if (value) return value
+    
+    const source = resource ? { resource: `${resource.resourceType}/${resource.id}` } : {}
+    this.report.defaultedValues.push({ field, value: defaultValue, ...source })
+    return defaultValue
+  }
+  
+  /**
+   * Notes in the report a value that was shortened or dropped
+   * @param {string} field - HL7 field (e.g. 'PID-19', 'OBX[2]-5')
+   * @param {string} value - Value before truncation
+   * @param {string} reason - Why it was truncated
+   */
+  reportTruncated(field, value, reason) {
+    this.report.truncatedValues.push({ field, value, reason })
+  }
+  
+  /**
+   * Gets the HL7 name of a FHIR coding system (table 0396); systems without
+   * a name are added to the report rather than sent as a URI
+   * @param {string} system - FHIR coding system URI
+   * @returns {string} HL7 coding system name (escaped), or '' if it has none
+   */
+  getCodingSystemName(system) {
+    if (!system) return ''
+    
+    const table = system.match(/^http:\/\/terminology\.hl7\.org\/CodeSystem\/v2-(\d{4})$/)
+    const name = this.codingSystems[system] || (table ? `HL7${table[1]}` : '')
+    if (!name && !this.report.unmappedCodingSystems.includes(system)) {
+      this.report.unmappedCodingSystems.push(system)
+    }
+    return escapeHL7Text(name)
+  }
+  
+  /**
+   * Translates FHIR codes to the code of an HL7 table
+   * 
+   * The caller's ConceptMaps are consulted first (mappings for the coding's
+   * system before mappings for any system), then the built-in table. Codes
+   * that neither maps are added to the report.
+   * @param {string} field - HL7 field being populated (e.g. 'PV1-2'), for the report
+   * @param {string} table - HL7 table number (e.g. '0004')
+   * @param {string|Object|Array} codes - FHIR code, Coding, CodeableConcept or array of Codings
+   * @param {Object} builtInMap - Built-in FHIR code -> HL7 code table
+   * @returns {string} HL7 code, or '' if there is no code or no mapping
+   */
+  translateCode(field, table, codes, builtInMap = {}) {
+    const list = typeof codes === 'string' ? [{ code: codes }] : codes?.coding || (Array.isArray(codes) ? codes : [codes])
+    const codings = list.filter(coding => coding?.code)
+    if (codings.length === 0) return ''
+    
+    const mappings = this.codeMappings[table]
+    for (const coding of codings) {
+      const mapped = mappings?.get(`${coding.system || ''}|${coding.code}`) || mappings?.get(`|${coding.code}`)
+      if (mapped) return mapped
+    }
+    
+    const builtIn = codings.find(coding => Object.prototype.hasOwnProperty.call(builtInMap, coding.code))
+    if (builtIn) return builtInMap[builtIn.code]
+    
+    const { system, code } = codings[0]
+    if (!this.report.unmappedCodes.some(e => e.field === field && e.system === system && e.code === code)) {
+      this.report.unmappedCodes.push({ field, table, ...(system ? { system } : {}), code })
+    }
+    return ''
+  }
+}
+
+// FHIR date, dateTime or instant; minutes without seconds are accepted too
+const FHIR_DATE_TIME_PATTERN = /^(\d{4})(?:-(\d{2})(?:-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?)?)?$/
+
+/**
+ * Gets the UTC offset of a timezone at an instant
+ * @param {string} timezone - 'Z', a fixed offset ('+05:30', '-0500') or an IANA name ('America/New_York');
+ *   the local timezone when omitted
+ * @param {Date} date - Instant (offsets of named timezones change with daylight saving time)
+ * @returns {number} Offset in minutes east of UTC
+ */
+function getTimezoneOffset(timezone, date = new Date()) {
+  if (!timezone) return -date.getTimezoneOffset()
+  
+  const fixed = timezone.match(/^(?:Z|([+-])(\d{2}):?(\d{2}))$/)
+  if (fixed) {
+    return fixed[1] ? (fixed[1] === '-' ? -1 : 1) * (Number(fixed[2]) * 60 + Number(fixed[3])) : 0
+  }
+  
+  let parts
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }).formatToParts(date)
+  } catch {
+    throw new Error(`Unsupported timezone: ${timezone}`)
+  }
+  const part = type => Number(parts.find(p => p.type === type).value)
+  const wallClock = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'))
+  return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000)
+}
+
+/**
+ * Formats a UTC offset as the +/-ZZZZ of an HL7 DTM
+ * @param {number} offset - Offset in minutes east of UTC
+ * @returns {string} Offset such as '+0000' or '-0500'
+ */
+function formatHL7Offset(offset) {
+  const minutes = Math.abs(offset)
+  return `${offset < 0 ? '-' : '+'}${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}`
+}
+
+/**
+ * Formats an instant as an HL7 DTM to the second, in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - Timezone (see getTimezoneOffset); the local timezone when omitted
+ * @returns {string} HL7 date/time (YYYYMMDDHHMMSS+/-ZZZZ)
+ */
+function formatHL7Timestamp(date, timezone = null) {
+  const offset = getTimezoneOffset(timezone, date)
+  const wallClock = new Date(date.getTime() + offset * 60000).toISOString().replace(/[-:T]/g, '').split('.')[0]
+  return `${wallClock}${formatHL7Offset(offset)}`
+}
+
+/**
+ * Converts FHIR date/dateTime/instant to HL7 DTM format
+ * 
+ * Keeps the precision the FHIR value has (YYYY up to fractional seconds, at
+ * most four digits) and its offset as +/-ZZZZ. With a receiver timezone in
+ * the context, values that have an offset are converted to that timezone.
+ * @param {string} fhirDateTime - FHIR date, dateTime or instant (YYYY, YYYY-MM, YYYY-MM-DD, YYYY-MM-DDThh:mm:ss.sss+zz:zz)
+ * @param {ConversionContext} context - Conversion context (receiver timezone, optional)
+ * @returns {string} HL7 date/time string (YYYY[MM[DD[HHMM[SS[.S[S[S[S]]]]]]]][+/-ZZZZ]), or '' if it isn't a date
+ */
+function convertFHIRDateTimeToHL7(fhirDateTime, context = null) {
+  if (!fhirDateTime || fhirDateTime.trim() === '') return ''
+  
+  const match = fhirDateTime.trim().match(FHIR_DATE_TIME_PATTERN)
+  if (!match) return ''
+  
+  const [, year, month = '', day = '', hour = '', minute = '', second = '', fraction = '', zone] = match
+  const date = `${year}${month}${day}`
+  if (!hour) return date
+  
+  // A time without an offset is local to a timezone we don't know, so it can only be sent as it is
+  const precision = second ? fraction.slice(0, 5) : ''
+  if (!zone) return `${date}${hour}${minute}${second}${precision}`
+  
+  const offset = getTimezoneOffset(zone)
+  if (!context?.timezone) return `${date}${hour}${minute}${second}${precision}${formatHL7Offset(offset)}`
+  
+  const instant = new Date(Date.UTC(year, month - 1, day, hour, minute, second || 0) - offset * 60000)
+  const timestamp = formatHL7Timestamp(instant, context.timezone)
+  return `${timestamp.slice(0, second ? 14 : 12)}${precision}${timestamp.slice(14)}`
+}
+
+/**
+ * Converts FHIR HumanName to HL7 name format
+ * 
+ * The first suffix is sent as the suffix (e.g. JR), further suffixes as the
+ * degree before 2.5 and as the professional suffix (XPN-14) from 2.5 on.
+ * @param {Object} humanName - FHIR HumanName object
+ * @param {ConversionContext} context - Conversion context (HL7 version)
+ * @returns {string} HL7 name string (Family^Given^Middle^Suffix^Prefix^Degree, ^ProfessionalSuffix from 2.5)
+ */
+function convertFHIRNameToHL7(humanName, context = new ConversionContext()) {
+  if (!humanName) return ''
+  
+  const parts = []
+  
+  // Family name
+  parts.push(escapeHL7Text(humanName.family))
+  
+  // Given names - separate first and middle if multiple
+  const givenNames = humanName.given || []
+  if (givenNames.length > 0) {
+    parts.push(escapeHL7Text(givenNames[0])) // First given name
+    parts.push(givenNames.length > 1 ? escapeHL7Text(givenNames.slice(1).join(' ')) : '') // Middle names
+  } else {
+    parts.push('')
+    parts.push('')
+  }
+  
+  // Suffix
+  const [suffix, ...professionalSuffixes] = humanName.suffix || []
+  parts.push(escapeHL7Text(suffix))
+  
+  // Prefix
+  const prefix = humanName.prefix && humanName.prefix.length > 0 ? humanName.prefix[0] : ''
+  parts.push(escapeHL7Text(prefix))
+  
+  // Degree, or Professional Suffix (XPN-14)
+  return parts.concat(formatProfessionalSuffix(professionalSuffixes, 14 - parts.length, context)).join('^')
+}
+
+/**
+ * Formats the degree and professional suffix components of an XPN or XCN name
+ * @param {Array<string>} suffixes - FHIR suffixes after the first (e.g. ['MD'])
+ * @param {number} componentCount - Components from the degree up to the professional suffix (XPN-6..14 or XCN-7..21)
+ * @param {ConversionContext} context - Conversion context (HL7 version)
+ * @returns {Array<string>} Components from the degree on
+ */
+function formatProfessionalSuffix(suffixes, componentCount, context) {
+  const value = escapeHL7Text(suffixes.join(' '))
+  if (!context.version.professionalSuffix) return [value]
+  if (!value) return ['']
+  
+  const components = new Array(componentCount).fill('')
+  components[componentCount - 1] = value
+  return components
+}
+
+/**
+ * Converts FHIR Address to HL7 address format
+ * @param {Object} address - FHIR Address object
+ * @returns {string} HL7 address string (Street^City^State^Zip^Country)
+ */
+function convertFHIRAddressToHL7(address) {
+  if (!address) return ''
+  
+  const parts = []
+  
+  // Street address (combine all lines)
+  const lines = address.line || []
+  parts.push(escapeHL7Text(lines.join(' ')))
+  
+  // City
+  parts.push(escapeHL7Text(address.city))
+  
+  // State
+  parts.push(escapeHL7Text(address.state))
+  
+  // Postal code
+  parts.push(escapeHL7Text(address.postalCode))
+  
+  // Country
+  parts.push(escapeHL7Text(address.country))
+  
+  return parts.join('^')
+}
+
+/**
+ * Converts FHIR gender to HL7 administrative sex
+ * @param {string} gender - FHIR gender code (male, female, other, unknown)
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @param {string} field - HL7 field being populated, for the report
+ * @returns {string} HL7 administrative sex code (M, F, O, U)
+ */
+function convertFHIRGenderToHL7(gender, context = new ConversionContext(), field = 'PID-8') {
+  if (!gender) return context.withDefault(field, '', 'U')
+  
+  return context.withDefault(field, context.translateCode(field, '0001', gender.toLowerCase(), GENDER_MAP), 'U')
+}
+
+/**
+ * Converts FHIR marital status to HL7 code
+ * @param {Object} maritalStatus - FHIR CodeableConcept
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {string} HL7 marital status code
+ */
+function convertFHIRMaritalStatusToHL7(maritalStatus, context = new ConversionContext()) {
+  if (!maritalStatus || !maritalStatus.coding) return ''
+  
+  const code = maritalStatus.coding[0]?.code
+  return context.translateCode('PID-16', '0002', maritalStatus, MARITAL_STATUS_MAP) || escapeHL7Text(code)
+}
+
+/**
+ * Converts FHIR race/ethnicity extension to HL7 code
+ * @param {Array} extensions - FHIR extensions array
+ * @param {string} url - Extension URL to find
+ * @returns {string} HL7 code
+ */
+function getExtensionValue(extensions, url) {
+  if (!extensions || !Array.isArray(extensions)) return ''
+  
+  const ext = extensions.find(e => e.url === url)
+  if (!ext || !ext.valueCodeableConcept) return ''
+  
+  return ext.valueCodeableConcept.coding?.[0]?.code || ''
+}
+
+/**
+ * Derives an HL7 assigning authority from a FHIR Identifier
+ * @param {Object} identifier - FHIR Identifier object
+ * @returns {string} Assigning authority (last path segment of the system, or the assigner display)
+ */
+function getAssigningAuthority(identifier) {
+  if (identifier.system) {
+    // Extract authority from system URL if possible
+    const systemParts = identifier.system.split('/')
+    const assigningAuthority = systemParts[systemParts.length - 1] || ''
+    // Clean up common patterns
+    return assigningAuthority.replace(/^http(s)?:\/\//, '').replace(/\/$/, '')
+  }
+  return identifier.assigner?.display || ''
+}
+
+/**
+ * Converts FHIR Identifier to HL7 entity identifier (EI) format
+ * @param {Object} identifier - FHIR Identifier object
+ * @returns {string} HL7 EI string (EntityIdentifier^NamespaceID)
+ */
+function convertFHIRIdentifierToEI(identifier) {
+  if (!identifier || !identifier.value) return ''
+  
+  const namespace = getAssigningAuthority(identifier)
+  return namespace
+    ? `${escapeHL7Text(identifier.value)}^${escapeHL7Text(namespace)}`
+    : escapeHL7Text(identifier.value)
+}
+
+/**
+ * Converts FHIR Identifier to HL7 identifier format
+ * @param {Object} identifier - FHIR Identifier object
+ * @returns {string} HL7 identifier string (ID^CheckDigit^CheckDigitScheme^AssigningAuthority^IdentifierTypeCode^AssigningFacility)
+ */
+function convertFHIRIdentifierToHL7(identifier) {
+  if (!identifier || !identifier.value) return ''
+  
+  const parts = []
+  
+  // ID value
+  parts.push(escapeHL7Text(identifier.value))
+  
+  // CheckDigit
+  parts.push('')
+  
+  // CheckDigitScheme
+  parts.push('')
+  
+  // AssigningAuthority (from system)
+  parts.push(escapeHL7Text(getAssigningAuthority(identifier)))
+  
+  // IdentifierTypeCode (from type)
+  let typeCode = ''
+  if (identifier.type && identifier.type.coding && identifier.type.coding.length > 0) {
+    typeCode = identifier.type.coding[0].code || ''
+  } else if (identifier.system) {
+    // Infer from system URL
+    if (identifier.system.includes('ssn') || identifier.system.includes('us-ssn')) {
+      typeCode = 'SS'
+    } else if (identifier.system.includes('mrn') || identifier.system.includes('medical-record')) {
+      typeCode = 'MR'
+    } else if (identifier.system.includes('driver') || identifier.system.includes('dl')) {
+      typeCode = 'DL'
+    }
+  }
+  parts.push(escapeHL7Text(typeCode))
+  
+  // AssigningFacility
+  parts.push('')
+  
+  return parts.join('^')
+}
+
+/**
+ * Converts FHIR Practitioner reference to HL7 XCN format
+ * 
+ * References are resolved against the resources being converted; a
+ * PractitionerRole stands for its practitioner. A reference that can't be
+ * resolved falls back to its identifier and display.
+ * @param {Object} practitionerRef - FHIR Practitioner or PractitionerRole resource or reference
+ * @param {Array} resources - FHIR resources being converted (to resolve references)
+ * @param {Object} container - Resource holding the reference (to resolve '#id' contained references)
+ * @param {ConversionContext} context - Conversion context (HL7 version)
+ * @returns {string} HL7 XCN string (ID^Family^Given^Middle^Suffix^Prefix^Degree^IDType^AssigningAuthority,
+ *   ^ProfessionalSuffix in XCN-21 from 2.5)
+ */
+function convertFHIRPractitionerToHL7(practitionerRef, resources = [], container = null, context = new ConversionContext()) {
+  if (!practitionerRef) return ''
+  
+  let practitioner = resolveReference(resources, practitionerRef, container)
+  if (practitioner?.resourceType === 'PractitionerRole') {
+    const role = practitioner
+    practitioner = resolveReference(resources, role.practitioner, role)
+    practitionerRef = role.practitioner || {}
+  }
+  
+  // If it's a Practitioner resource
+  if (practitioner?.resourceType === 'Practitioner') {
+    const parts = []
+    
+    // ID
+    parts.push(escapeHL7Text(practitioner.id))
+    
+    // Name
+    if (practitioner.name && practitioner.name.length > 0) {
+      const name = practitioner.name[0]
+      parts.push(escapeHL7Text(name.family))
+      parts.push(escapeHL7Text(name.given?.[0]))
+      parts.push(name.given?.length > 1 ? escapeHL7Text(name.given.slice(1).join(' ')) : '')
+      parts.push(escapeHL7Text(name.suffix?.[0]))
+      parts.push(escapeHL7Text(name.prefix?.[0]))
+      
+      // Degree, or Professional Suffix (XCN-21)
+      parts.push(...formatProfessionalSuffix(name.suffix?.slice(1) || [], 21 - parts.length, context))
+    } else {
+      parts.push('', '', '', '', '', '')
+    }
+    
+    // IDType and AssigningAuthority
+    while (parts.length < 9) parts.push('')
+    
+    return parts.join('^')
+  }
+  
+  // Unresolved reference: its identifier and display (as the family name)
+  const id = escapeHL7Text(practitionerRef.identifier?.value)
+  const display = escapeHL7Text(practitionerRef.display)
+  return id || display ? `${id}^${display}` : ''
+}
+
+/**
+ * Creates MSH segment for HL7 message
+ * @param {Object} trigger - Resolved trigger event (messageType, e.g. 'ADT^A01', and structure)
+ * @param {string} messageControlId - Message control ID
+ * @param {Object} options - Optional configuration
+ * @returns {string} MSH segment string
+ */
+function createMSHSegment(trigger = { messageType: 'ADT^A01' }, messageControlId = null, options = {}) {
+  const timestamp = formatHL7Timestamp(new Date(), options.timezone)
+  
+  // MSH-9: message code, trigger event and message structure (applyVersionProfile drops the structure before 2.3.1)
+  const [code, event] = trigger.messageType.split('^')
+  const structure = trigger.structure || MESSAGE_STRUCTURES[`${code}^${event}`] || ''
+  const messageType = [code, event, structure].filter(Boolean).join('^')
+  const controlId = messageControlId || options.messageControlId || `MSG${timestamp.slice(0, 14)}${Math.floor(Math.random() * 1000)}`
+  
+  // Coded options must be values of their table
+  const tableValue = (value, table, name) => {
+    if (value && !HL7_TABLE_VALUES[table].includes(value)) {
+      throw new Error(`Unsupported ${name} ${value} (table ${table}: ${HL7_TABLE_VALUES[table].join(', ')})`)
+    }
+    return value || ''
+  }
+  
+  const fields = [
+    'MSH',
+    DEFAULT_ENCODING_CHARACTERS, // Encoding characters (re-encoded from options.encodingCharacters)
+    escapeHL7Text(options.sendingApplication) || 'FHIR-HYDRANT', // Sending Application
+    escapeHL7Text(options.sendingFacility) || 'FHIR-HYDRANT-FACILITY', // Sending Facility
+    escapeHL7Text(options.receivingApplication) || 'RECEIVING-APP', // Receiving Application
+    escapeHL7Text(options.receivingFacility) || 'RECEIVING-FACILITY', // Receiving Facility
+    timestamp, // Date/Time of Message
+    '', // Security
+    messageType, // Message Type
+    escapeHL7Text(controlId), // Message Control ID
+    tableValue(options.processingId, '0103', 'processing ID') || 'P', // Processing ID (P=Production, T=Test)
+    escapeHL7Text(options.versionId) || DEFAULT_VERSION_ID, // Version ID
+    '', // Sequence Number
+    '', // Continuation Pointer
+    tableValue(options.acceptAcknowledgmentType, '0155', 'accept acknowledgment type'), // Accept Acknowledgment Type (table 0155)
+    tableValue(options.applicationAcknowledgmentType, '0155', 'application acknowledgment type'), // Application Acknowledgment Type (table 0155)
+    '', // Country Code
+    '', // Character Set
+    '', // Principal Language of Message
+    '', // Alternate Character Set Handling Scheme
+    [].concat(options.messageProfileIdentifier || []).map(component => escapeHL7Text(component)).join('^'), // Message Profile Identifier (EI)
+  ]
+  
+  return fields.join('|')
+}
+
+/**
+ * Converts FHIR Patient resource to HL7 PID segment
+ * @param {Object} patient - FHIR Patient resource
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @param {Array<Object>} identifiers - Identifiers to send (default: Patient.identifier)
+ * @returns {string} HL7 PID segment string
+ */
+function convertPatientToPID(patient, context = new ConversionContext(), identifiers = patient?.identifier) {
+  if (!patient || patient.resourceType !== 'Patient') {
+    throw new Error('Invalid Patient resource')
+  }
+  
+  const fields = ['PID']
+  
+  // PID-1: Set ID (always 1 for first patient)
+  fields.push('1')
+  
+  // PID-2: Patient ID (external) - empty
+  fields.push('')
+  
+  // PID-3: Patient Identifier List
+  if (identifiers && identifiers.length > 0) {
+    const identifierList = identifiers
+      .map(id => convertFHIRIdentifierToHL7(id))
+      .filter(id => id) // Remove empty identifiers
+    fields.push(identifierList.join('~') || '')
+  } else {
+    fields.push('')
+  }
+  
+  // PID-4: Alternate Patient ID - empty
+  fields.push('')
+  
+  // PID-5: Patient Name
+  if (patient.name && patient.name.length > 0) {
+    const names = patient.name.map(name => convertFHIRNameToHL7(name, context))
+    fields.push(names.join('~') || '')
+  } else {
+    fields.push('')
+  }
+  
+  // PID-6: Mother's Maiden Name
+  // Look for extension or use empty
+  const mothersMaidenName = patient.extension?.find(
+    ext => ext.url === 'http://hl7.org/fhir/StructureDefinition/patient-mothersMaidenName'
+  )
+  if (mothersMaidenName?.valueString) {
+    fields.push(escapeHL7Text(mothersMaidenName.valueString))
+  } else {
+    fields.push('')
+  }
+  
+  // PID-7: Date/Time of Birth
+  if (patient.birthDate) {
+    fields.push(convertFHIRDateTimeToHL7(patient.birthDate, context))
+  } else {
+    fields.push('')
+  }
+  
+  // PID-8: Administrative Sex
+  fields.push(convertFHIRGenderToHL7(patient.gender, context))
+  
+  // PID-9: Patient Alias
+  const aliasNames = patient.name?.filter(n => n.use === 'nickname' || n.use === 'usual')
+  if (aliasNames && aliasNames.length > 0) {
+    const aliases = aliasNames.map(name => convertFHIRNameToHL7(name, context))
+    fields.push(aliases.join('~') || '')
+  } else {
+    fields.push('')
+  }
+  
+  // PID-10: Race
+  const raceExt = patient.extension?.find(
+    ext => ext.url === 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-race'
+  )
+  if (raceExt?.extension) {
+    const raceCodes = raceExt.extension
+      .filter(e => e.url === 'ombCategory')
+      .map(e => convertFHIRCodeableConceptToCE(e.valueCoding, context))
+      .filter(c => c)
+    if (raceCodes.length > 0) {
+      fields.push(raceCodes.join('~'))
+    } else {
+      fields.push('')
+    }
+  } else {
+    fields.push('')
+  }
+  
+  // PID-11: Patient Address
+  if (patient.address && patient.address.length > 0) {
+    const addresses = patient.address.map(addr => convertFHIRAddressToHL7(addr))
+    fields.push(addresses.join('~') || '')
+  } else {
+    fields.push('')
+  }
+  
+  // PID-12: County Code
+  const countyCode = patient.address?.[0]?.district
+  fields.push(escapeHL7Text(countyCode))
+  
+  // PID-13: Phone Number - Home
+  const homePhone = patient.telecom?.find(t => t.system === 'phone' && (t.use === 'home' || !t.use))
+  fields.push(escapeHL7Text(homePhone?.value))
+  
+  // PID-14: Phone Number - Business
+  const workPhone = patient.telecom?.find(t => t.system === 'phone' && t.use === 'work')
+  fields.push(escapeHL7Text(workPhone?.value))
+  
+  // PID-15: Primary Language
+  const language = patient.communication?.find(c => c.preferred)?.language?.coding?.[0]?.code
+  fields.push(escapeHL7Text(language))
+  
+  // PID-16: Marital Status
+  if (patient.maritalStatus) {
+    fields.push(convertFHIRMaritalStatusToHL7(patient.maritalStatus, context))
+  } else {
+    fields.push('')
+  }
+  
+  // PID-17: Religion
+  const religion = patient.extension?.find(
+    ext => ext.url === 'http://hl7.org/fhir/StructureDefinition/patient-religion'
+  )
+  if (religion?.valueCodeableConcept?.coding?.[0]?.code) {
+    fields.push(escapeHL7Text(religion.valueCodeableConcept.coding[0].code))
+  } else {
+    fields.push('')
+  }
+  
+  // PID-18: Patient Account Number
+  const accountNumber = identifiers?.find(id => 
+    id.type?.coding?.some(c => c.code === 'AN' || c.display?.toLowerCase().includes('account'))
+  )
+  fields.push(accountNumber ? convertFHIRIdentifierToHL7(accountNumber) : '')
+  
+  // PID-19: SSN Number
+  const ssn = identifiers?.find(id => 
+    id.type?.coding?.some(c => c.code === 'SS') || 
+    id.system?.includes('ssn') ||
+    id.system?.includes('us-ssn')
+  )
+  fields.push(ssn ? convertFHIRIdentifierToHL7(ssn) : '')
+  
+  // PID-20: Driver's License Number
+  const dl = identifiers?.find(id => 
+    id.type?.coding?.some(c => c.code === 'DL') || 
+    id.system?.includes('driver') ||
+    id.system?.includes('dl')
+  )
+  if (dl) {
+    const dlValue = convertFHIRIdentifierToHL7(dl)
+    // Add state and expiration if available
+    const state = dl.extension?.find(e => e.url === 'http://hl7.org/fhir/StructureDefinition/identifier-state')?.valueString
+    const expiration = dl.period?.end ? convertFHIRDateTimeToHL7(dl.period.end, context) : ''
+    if (state || expiration) {
+      fields.push(`${dlValue}^${escapeHL7Text(state)}^${expiration || ''}`)
+    } else {
+      fields.push(dlValue)
+    }
+  } else {
+    fields.push('')
+  }
+  
+  // PID-21: Mother's Identifier - empty
+  fields.push('')
+  
+  // PID-22: Ethnic Group
+  const ethnicityExt = patient.extension?.find(
+    ext => ext.url === 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-ethnicity'
+  )
+  if (ethnicityExt?.extension) {
+    const ethnicityCodes = ethnicityExt.extension
+      .filter(e => e.url === 'ombCategory')
+      .map(e => convertFHIRCodeableConceptToCE(e.valueCoding, context))
+      .filter(c => c)
+    if (ethnicityCodes.length > 0) {
+      fields.push(ethnicityCodes.join('~'))
+    } else {
+      fields.push('')
+    }
+  } else {
+    fields.push('')
+  }
+  
+  // PID-23: Birth Place
+  const birthPlace = patient.extension?.find(
+    ext => ext.url === 'http://hl7.org/fhir/StructureDefinition/birthPlace'
+  )
+  if (birthPlace?.valueAddress) {
+    fields.push(convertFHIRAddressToHL7(birthPlace.valueAddress))
+  } else {
+    fields.push('')
+  }
+  
+  // PID-24: Multiple Birth Indicator
+  if (patient.multipleBirthBoolean !== undefined) {
+    fields.push(patient.multipleBirthBoolean ? 'Y' : 'N')
+  } else if (patient.multipleBirthInteger) {
+    fields.push('Y')
+  } else {
+    fields.push('')
+  }
+  
+  // PID-25: Birth Order
+  if (patient.multipleBirthInteger) {
+    fields.push(patient.multipleBirthInteger.toString())
+  } else {
+    fields.push('')
+  }
+  
+  // PID-26: Citizenship
+  const citizenship = patient.extension?.find(
+    ext => ext.url === 'http://hl7.org/fhir/StructureDefinition/patient-citizenship'
+  )
+  if (citizenship?.valueCodeableConcept?.coding?.[0]?.code) {
+    fields.push(escapeHL7Text(citizenship.valueCodeableConcept.coding[0].code))
+  } else {
+    fields.push('')
+  }
+  
+  // PID-27: Veterans Military Status - empty
+  fields.push('')
+  
+  // PID-28: Nationality - empty
+  fields.push('')
+  
+  // PID-29: Patient Death Date and Time
+  if (patient.deceasedDateTime) {
+    fields.push(convertFHIRDateTimeToHL7(patient.deceasedDateTime, context))
+  } else if (patient.deceasedBoolean === true) {
+    // If deceased is true but no date, use current date
+    fields.push(formatHL7Timestamp(new Date(), context.timezone))
+  } else {
+    fields.push('')
+  }
+  
+  // PID-30: Patient Death Indicator
+  if (patient.deceasedBoolean !== undefined) {
+    fields.push(patient.deceasedBoolean ? 'Y' : 'N')
+  } else if (patient.deceasedDateTime) {
+    fields.push('Y')
+  } else {
+    fields.push('')
+  }
+  
+  return fields.join('|')
+}
+
+/**
+ * Converts FHIR Patient primary care data to HL7 PD1 segment
+ * @param {Object} patient - FHIR Patient resource
+ * @param {Array} resources - FHIR resources being converted (to resolve generalPractitioner and managingOrganization)
+ * @param {ConversionContext} context - Conversion context (HL7 version)
+ * @returns {string} HL7 PD1 segment string, or '' if the Patient has no primary care data
+ */
+function convertPatientToPD1(patient, resources = [], context = new ConversionContext()) {
+  if (!patient || patient.resourceType !== 'Patient') {
+    return ''
+  }
+  
+  const resolve = reference => resolveReference(resources, reference, patient) || reference
+  const generalPractitioners = (patient.generalPractitioner || []).map(resolve)
+  
+  // Organizations among the general practitioners are primary facilities too
+  const facilities = [
+    ...generalPractitioners.filter(gp => gp.resourceType === 'Organization' || gp.reference?.includes('Organization/')),
+    ...(patient.managingOrganization ? [resolve(patient.managingOrganization)] : []),
+  ]
+  const providers = generalPractitioners.filter(gp => !facilities.includes(gp))
+  
+  if (facilities.length === 0 && providers.length === 0) {
+    return ''
+  }
+  
+  const fields = ['PD1']
+  
+  // PD1-1 to PD1-2: Living Dependency, Living Arrangement - empty
+  fields.push('', '')
+  
+  // PD1-3: Patient Primary Facility (XON: OrganizationName^...^OrganizationIdentifier)
+  const facility = facilities[0]
+  if (facility) {
+    const name = escapeHL7Text(facility.name || facility.display)
+    const id = escapeHL7Text(facility.identifier?.[0]?.value || facility.id)
+    fields.push(id ? `${name}^^^^^^^^^${id}` : name)
+  } else {
+    fields.push('')
+  }
+  
+  // PD1-4: Patient Primary Care Provider Name & ID No.
+  const practitioners = providers.map(provider => convertFHIRPractitionerToHL7(provider, resources, null, context)).filter(Boolean)
+  fields.push(practitioners.join('~'))
+  
+  return fields.join('|')
+}
+
+// FHIR Location.physicalType -> HL7 PL component (0 PointOfCare, 1 Room, 2 Bed, 3 Facility)
+const LOCATION_PHYSICAL_TYPE_COMPONENTS = {
+  'bd': 2, // Bed
+  'ro': 1, // Room
+  'wa': 0, // Ward
+  'bu': 3, // Building
+  'si': 3, // Site
+}
+
+/**
+ * Converts a FHIR Encounter.location entry to HL7 PL format
+ * 
+ * A display already in HL7 format (e.g. 'ICU^101^A') is used as-is.
+ * Otherwise a resolved Location fills the PL components from itself and
+ * its partOf parents by physicalType (bed, room, ward, building/site).
+ * @param {Object} encounterLocation - FHIR Encounter.location element
+ * @param {Array} resources - FHIR resources being converted (to resolve the Location)
+ * @param {Object} container - Resource holding the location (for contained Locations)
+ * @returns {string} HL7 PL string (PointOfCare^Room^Bed^Facility^LocationStatus^PersonLocationType^Building^Floor^LocationDescription)
+ */
+function convertFHIRLocationToPL(encounterLocation, resources = [], container = null) {
+  const location = encounterLocation?.location
+  
+  // Try to parse if already in HL7 format
+  if (location?.display?.includes('^')) {
+    return location.display
+      .split('^')
+      .map(component => escapeHL7Text(component))
+      .join('^')
+  }
+  
+  const resolved = resolveReference(resources, location, container)
+  if (resolved?.resourceType === 'Location') {
+    const components = ['', '', '', '']
+    const seen = new Set()
+    let managingOrganization = null
+    for (let current = resolved; current && !seen.has(current); current = resolveReference(resources, current.partOf, container)) {
+      seen.add(current)
+      managingOrganization = managingOrganization || current.managingOrganization
+      const type = current.physicalType?.coding?.[0]?.code
+      const index = LOCATION_PHYSICAL_TYPE_COMPONENTS[type] ?? 0
+      if (!components[index]) {
+        components[index] = escapeHL7Text(current.name || current.identifier?.[0]?.value)
+      }
+    }
+    
+    // Facility defaults to the managing organization
+    if (!components[3] && managingOrganization) {
+      const organization = resolveReference(resources, managingOrganization, container)
+      components[3] = escapeHL7Text(organization?.name || managingOrganization.display)
+    }
+    
+    return components.join('^').replace(/\^+$/, '')
+  }
+  
+  // Simple format: just the display name
+  return escapeHL7Text(location?.display || location?.identifier?.value)
+}
+
+// PV1 for messages whose structure requires one when there is no Encounter (PV1-2 N: not applicable)
+const NO_VISIT_PV1_SEGMENT = 'PV1|1|N'
+
+/**
+ * Creates the PV1 segment sent when there is no Encounter, noting the defaulted patient class
+ * @param {ConversionContext} context - Conversion context (report)
+ * @returns {string} HL7 PV1 segment string
+ */
+function createNoVisitPV1Segment(context) {
+  context.withDefault('PV1-2', '', 'N')
+  return NO_VISIT_PV1_SEGMENT
+}
+
+/**
+ * Converts FHIR Encounter resource to HL7 PV1 segment
+ * @param {Object} encounter - FHIR Encounter resource
+ * @param {Array} resources - FHIR resources being converted (to resolve practitioners and locations)
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {string} HL7 PV1 segment string
+ */
+function convertEncounterToPV1(encounter, resources = [], context = new ConversionContext()) {
+  if (!encounter || encounter.resourceType !== 'Encounter') {
+    return ''
+  }
+  
+  const fields = ['PV1']
+  
+  // PV1-1: Set ID (always 1)
+  fields.push('1')
+  
+  // PV1-2: Patient Class (default to Inpatient)
+  fields.push(context.withDefault('PV1-2', context.translateCode('PV1-2', '0004', encounter.class, PATIENT_CLASS_MAP), 'I', encounter))
+  
+  // PV1-3: Assigned Patient Location (the active location, or one not yet left, if several are listed)
+  const locations = encounter.location || []
+  const assignedLocation = locations.find(l => l.status === 'active') ||
+    locations.find(l => l.status !== 'completed' && !l.period?.end) || locations[0]
+  if (assignedLocation) {
+    fields.push(convertFHIRLocationToPL(assignedLocation, resources, encounter))
+  } else {
+    fields.push('')
+  }
+  
+  // PV1-4: Admission Type
+  // Map FHIR admit source to HL7 admission type
+  fields.push(context.translateCode('PV1-4', '0007', encounter.hospitalization?.admitSource, ADMISSION_TYPE_MAP))
+  
+  // PV1-5: Preadmit Number
+  const preadmitNumber = encounter.identifier?.find(id => 
+    id.type?.coding?.some(c => c.code === 'VN' || c.display?.toLowerCase().includes('preadmit'))
+  )
+  fields.push(escapeHL7Text(preadmitNumber?.value))
+  
+  // PV1-6: Prior Patient Location (the last completed location, e.g. before a transfer)
+  const priorLocation = encounter.location?.filter(l => l.status === 'completed').pop()
+  if (priorLocation) {
+    fields.push(convertFHIRLocationToPL(priorLocation, resources, encounter))
+  } else {
+    fields.push(escapeHL7Text(encounter.hospitalization?.preAdmissionIdentifier?.value))
+  }
+  
+  // PV1-7: Attending Doctor
+  const attendingDoctor = encounter.participant?.find(p => 
+    p.type?.some(t => t.coding?.some(c => c.code === 'ATND'))
+  )
+  if (attendingDoctor) {
+    fields.push(convertFHIRPractitionerToHL7(attendingDoctor.individual, resources, encounter, context))
+  } else {
+    fields.push('')
+  }
+  
+  // PV1-8: Referring Doctor
+  const referringDoctor = encounter.participant?.find(p => 
+    p.type?.some(t => t.coding?.some(c => c.code === 'REF'))
+  )
+  if (referringDoctor) {
+    fields.push(convertFHIRPractitionerToHL7(referringDoctor.individual, resources, encounter, context))
+  } else {
+    fields.push('')
+  }
+  
+  // PV1-9: Consulting Doctor
+  const consultingDoctors = encounter.participant?.filter(p => 
+    p.type?.some(t => t.coding?.some(c => c.code === 'CON'))
+  )
+  if (consultingDoctors && consultingDoctors.length > 0) {
+    const doctors = consultingDoctors
+      .map(doc => convertFHIRPractitionerToHL7(doc.individual, resources, encounter, context))
+      .filter(d => d)
+    fields.push(doctors.join('~') || '')
+  } else {
+    fields.push('')
+  }
+  
+  // PV1-10: Hospital Service
+  const serviceType = encounter.type?.[0]?.coding?.[0]?.code
+  fields.push(escapeHL7Text(serviceType))
+  
+  // PV1-11: Temporary Location - empty
+  fields.push('')
+  
+  // PV1-12: Preadmit Test Indicator - empty
+  fields.push('')
+  
+  // PV1-13: Re-admission Indicator
+  const readmissionIndicator = encounter.hospitalization?.reAdmission?.coding?.[0]?.code
+  fields.push(escapeHL7Text(readmissionIndicator))
+  
+  // PV1-14: Admit Source
+  const admitSource = encounter.hospitalization?.admitSource?.coding?.[0]?.code
+  fields.push(escapeHL7Text(admitSource))
+  
+  // PV1-15: Ambulatory Status - empty
+  fields.push('')
+  
+  // PV1-16: VIP Indicator - empty
+  fields.push('')
+  
+  // PV1-17: Admitting Doctor
+  const admittingDoctor = encounter.participant?.find(p => 
+    p.type?.some(t => t.coding?.some(c => c.code === 'ADM'))
+  )
+  if (admittingDoctor) {
+    fields.push(convertFHIRPractitionerToHL7(admittingDoctor.individual, resources, encounter, context))
+  } else {
+    fields.push('')
+  }
+  
+  // PV1-18: Patient Type - empty
+  fields.push('')
+  
+  // PV1-19: Visit Number
+  const visitNumber = encounter.identifier?.find(id => 
+    id.type?.coding?.some(c => c.code === 'VN' || c.display?.toLowerCase().includes('visit'))
+  )
+  fields.push(visitNumber ? convertFHIRIdentifierToHL7(visitNumber) : '')
+  
+  // PV1-20: Financial Class
+  const financialClass = encounter.classHistory?.[0]?.class?.code
+  fields.push(escapeHL7Text(financialClass))
+  
+  // PV1-21: Charge Price Indicator - empty
+  fields.push('')
+  
+  // PV1-22: Courtesy Code - empty
+  fields.push('')
+  
+  // PV1-23: Credit Rating - empty
+  fields.push('')
+  
+  // PV1-24: Contract Code - empty
+  fields.push('')
+  
+  // PV1-25: Contract Effective Date - empty
+  fields.push('')
+  
+  // PV1-26: Contract Amount - empty
+  fields.push('')
+  
+  // PV1-27: Contract Period - empty
+  fields.push('')
+  
+  // PV1-28: Interest Code - empty
+  fields.push('')
+  
+  // PV1-29: Transfer to Bad Debt Code - empty
+  fields.push('')
+  
+  // PV1-30: Transfer to Bad Debt Date - empty
+  fields.push('')
+  
+  // PV1-31: Bad Debt Agency Code - empty
+  fields.push('')
+  
+  // PV1-32: Bad Debt Transfer Amount - empty
+  fields.push('')
+  
+  // PV1-33: Bad Debt Recovery Amount - empty
+  fields.push('')
+  
+  // PV1-34: Delete Account Indicator - empty
+  fields.push('')
+  
+  // PV1-35: Delete Account Date - empty
+  fields.push('')
+  
+  // PV1-36: Discharge Disposition
+  const dischargeDisposition = encounter.hospitalization?.dischargeDisposition?.coding?.[0]?.code
+  fields.push(escapeHL7Text(dischargeDisposition))
+  
+  // PV1-37: Discharged to Location - empty
+  fields.push('')
+  
+  // PV1-38: Diet Type - empty
+  fields.push('')
+  
+  // PV1-39: Servicing Facility - empty
+  fields.push('')
+  
+  // PV1-40: Bed Status, from the status of the PV1-3 location
+  // Map FHIR location status to HL7 bed status
+  fields.push(context.translateCode('PV1-40', '0116', assignedLocation?.status, BED_STATUS_MAP))
+  
+  // PV1-41: Account Status - empty
+  fields.push('')
+  
+  // PV1-42: Pending Location - empty
+  fields.push('')
+  
+  // PV1-43: Prior Temporary Location - empty
+  fields.push('')
+  
+  // PV1-44: Admit Date/Time
+  if (encounter.period && encounter.period.start) {
+    fields.push(convertFHIRDateTimeToHL7(encounter.period.start, context))
+  } else {
+    fields.push('')
+  }
+  
+  // PV1-45: Discharge Date/Time
+  if (encounter.period && encounter.period.end) {
+    fields.push(convertFHIRDateTimeToHL7(encounter.period.end, context))
+  } else {
+    fields.push('')
+  }
+  
+  // PV1-46: Current Patient Balance - empty
+  fields.push('')
+  
+  // PV1-47: Total Charges - empty
+  fields.push('')
+  
+  // PV1-48: Total Adjustments - empty
+  fields.push('')
+  
+  // PV1-49: Total Payments - empty
+  fields.push('')
+  
+  // PV1-50: Alternate Visit ID
+  const altVisitId = encounter.identifier?.find(id => 
+    id.use === 'secondary' || id.type?.coding?.some(c => c.code === 'VN')
+  )
+  fields.push(altVisitId ? convertFHIRIdentifierToHL7(altVisitId) : '')
+  
+  return fields.join('|')
+}
+
+// FHIR v3 ActPriority (Encounter.priority) -> HL7 visit priority code (table 0217)
+const VISIT_PRIORITY_MAP = {
+  'EM': '1', // Emergency
+  'S': '1', // Emergency
+  'UR': '2', // Urgent
+  'A': '2', // Urgent
+  'EL': '3', // Elective
+  'R': '3', // Elective
+}
+
+// UCUM duration units -> days
+const DURATION_DAYS = {
+  'min': 1 / 1440,
+  'h': 1 / 24,
+  'd': 1,
+  'wk': 7,
+}
+
+/**
+ * Converts FHIR Encounter visit details to HL7 PV2 segment
+ * @param {Object} encounter - FHIR Encounter resource
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {string} HL7 PV2 segment string, or '' if the Encounter has no PV2 data
+ */
+function convertEncounterToPV2(encounter, context = new ConversionContext()) {
+  if (!encounter || encounter.resourceType !== 'Encounter') {
+    return ''
+  }
+  
+  const ended = encounter.status === 'finished' || encounter.status === 'cancelled'
+  
+  // Length of stay in whole days (partial days count as a day)
+  const days = DURATION_DAYS[encounter.length?.code || encounter.length?.unit]
+  const lengthOfStay = days && encounter.length.value !== undefined
+    ? Math.ceil(encounter.length.value * days).toString()
+    : ''
+  
+  const fields = ['PV2']
+  
+  // PV2-1: Prior Pending Location - empty
+  fields.push('')
+  
+  // PV2-2: Accommodation Code
+  fields.push(convertFHIRCodeableConceptToCE(encounter.hospitalization?.specialArrangement?.[0], context))
+  
+  // PV2-3: Admit Reason
+  fields.push(convertFHIRCodeableConceptToCE(encounter.reasonCode?.[0], context))
+  
+  // PV2-4 to PV2-7 - empty
+  fields.push('', '', '', '')
+  
+  // PV2-8: Expected Admit Date/Time (planned encounters)
+  fields.push(encounter.status === 'planned' ? convertFHIRDateTimeToHL7(encounter.period?.start, context) : '')
+  
+  // PV2-9: Expected Discharge Date/Time (encounters that have not ended)
+  fields.push(ended ? '' : convertFHIRDateTimeToHL7(encounter.period?.end, context))
+  
+  // PV2-10 to PV2-11: Estimated and Actual Length of Inpatient Stay
+  fields.push(ended ? '' : lengthOfStay, ended ? lengthOfStay : '')
+  
+  // PV2-12 to PV2-24 - empty
+  for (let i = 12; i <= 24; i++) {
+    fields.push('')
+  }
+  
+  // PV2-25: Visit Priority Code
+  fields.push(context.translateCode('PV2-25', '0217', encounter.priority, VISIT_PRIORITY_MAP))
+  
+  if (fields.slice(1).every(field => field === '')) {
+    return ''
+  }
+  
+  return fields.join('|')
+}
+
+/**
+ * Converts FHIR RelatedPerson resource to HL7 NK1 segment
+ * @param {Object} relatedPerson - FHIR RelatedPerson resource
+ * @param {number} setId - Set ID for this NK1 segment
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {string} HL7 NK1 segment string
+ */
+function convertRelatedPersonToNK1(relatedPerson, setId = 1, context = new ConversionContext()) {
+  if (!relatedPerson || relatedPerson.resourceType !== 'RelatedPerson') {
+    return ''
+  }
+  
+  const fields = ['NK1']
+  
+  // NK1-1: Set ID
+  fields.push(setId.toString())
+  
+  // NK1-2: Name
+  if (relatedPerson.name && relatedPerson.name.length > 0) {
+    const names = relatedPerson.name.map(name => convertFHIRNameToHL7(name, context))
+    fields.push(names.join('~') || '')
+  } else {
+    fields.push('')
+  }
+  
+  // NK1-3: Relationship
+  if (relatedPerson.relationship && relatedPerson.relationship.length > 0) {
+    fields.push(convertFHIRCodeableConceptToCE(relatedPerson.relationship[0], context))
+  } else {
+    fields.push('')
+  }
+  
+  // NK1-4: Address
+  if (relatedPerson.address && relatedPerson.address.length > 0) {
+    const addresses = relatedPerson.address.map(addr => convertFHIRAddressToHL7(addr))
+    fields.push(addresses.join('~') || '')
+  } else {
+    fields.push('')
+  }
+  
+  // NK1-5: Phone Number
+  const homePhone = relatedPerson.telecom?.find(t => t.system === 'phone' && (t.use === 'home' || !t.use))
+  fields.push(escapeHL7Text(homePhone?.value))
+  
+  // NK1-6: Business Phone Number
+  const workPhone = relatedPerson.telecom?.find(t => t.system === 'phone' && t.use === 'work')
+  fields.push(escapeHL7Text(workPhone?.value))
+  
+  // NK1-7: Contact Role - empty
+  fields.push('')
+  
+  // NK1-8: Start Date
+  if (relatedPerson.period && relatedPerson.period.start) {
+    fields.push(convertFHIRDateTimeToHL7(relatedPerson.period.start, context))
+  } else {
+    fields.push('')
+  }
+  
+  // NK1-9: End Date
+  if (relatedPerson.period && relatedPerson.period.end) {
+    fields.push(convertFHIRDateTimeToHL7(relatedPerson.period.end, context))
+  } else {
+    fields.push('')
+  }
+  
+  // NK1-10: Next of Kin / Associated Parties Job Title - empty
+  fields.push('')
+  
+  // NK1-11: Next of Kin / Associated Parties Job Code/Class - empty
+  fields.push('')
+  
+  // NK1-12: Next of Kin / Associated Parties Employee Number - empty
+  fields.push('')
+  
+  // NK1-13: Organization Name - empty
+  fields.push('')
+  
+  // Continue with remaining fields (14-31) - empty for now
+  for (let i = 14; i <= 31; i++) {
+    fields.push('')
+  }
+  
+  return fields.join('|')
+}
+
+/**
+ * Converts FHIR Observation resource to HL7 OBX segment
+ * @param {Object} observation - FHIR Observation resource
+ * @param {number} setId - Set ID for this OBX segment
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {string} HL7 OBX segment string
+ */
+function convertObservationToOBX(observation, setId = 1, context = new ConversionContext()) {
+  if (!observation || observation.resourceType !== 'Observation') {
+    return ''
+  }
+  
+  const fields = ['OBX']
+  
+  // OBX-1: Set ID
+  fields.push(setId.toString())
+  
+  // OBX-2: Value Type
+  let valueType = 'ST' // Default to string
+  if (observation.valueQuantity) {
+    valueType = 'NM' // Numeric
+  } else if (observation.valueCodeableConcept) {
+    valueType = 'CE' // Coded Entry
+  } else if (observation.valueDateTime) {
+    valueType = 'TS' // Time Stamp (DTM from 2.6)
+  } else if (observation.valueDate) {
+    valueType = 'DT' // Date
+  } else if (observation.valueTime) {
+    valueType = 'TM' // Time
+  } else if (observation.valueString) {
+    valueType = 'ST' // String
+  } else if (observation.valueBoolean !== undefined) {
+    valueType = 'ST' // String (for boolean)
+  }
+  fields.push(valueType)
+  
+  // OBX-3: Observation Identifier
+  if (observation.code && observation.code.coding && observation.code.coding.length > 0) {
+    fields.push(convertFHIRCodeableConceptToCE(observation.code, context))
+  } else {
+    fields.push('')
+  }
+  
+  // OBX-4: Observation Sub-ID - empty
+  fields.push('')
+  
+  // OBX-5: Observation Value
+  let value = ''
+  if (observation.valueQuantity) {
+    value = observation.valueQuantity.value?.toString() || ''
+  } else if (observation.valueCodeableConcept) {
+    value = convertFHIRCodeableConceptToCE(observation.valueCodeableConcept, context)
+  } else if (observation.valueDateTime) {
+    value = convertFHIRDateTimeToHL7(observation.valueDateTime, context)
+  } else if (observation.valueDate) {
+    value = convertFHIRDateTimeToHL7(observation.valueDate, context)
+  } else if (observation.valueTime) {
+    value = escapeHL7Text(observation.valueTime)
+  } else if (observation.valueString) {
+    value = escapeHL7Text(observation.valueString)
+  } else if (observation.valueBoolean !== undefined) {
+    value = observation.valueBoolean ? 'Y' : 'N'
+  }
+  fields.push(value)
+  
+  // OBX-6: Units (Identifier^Text^NameOfCodingSystem)
+  fields.push(convertFHIRQuantityUnitToCE(observation.valueQuantity, context))
+  
+  // OBX-7: References Range - empty
+  fields.push('')
+  
+  // OBX-8: Abnormal Flags
+  // Map FHIR interpretation to HL7 abnormal flags
+  fields.push(context.translateCode('OBX-8', '0078', observation.interpretation?.[0], ABNORMAL_FLAG_MAP))
+  
+  // OBX-9: Probability - empty
+  fields.push('')
+  
+  // OBX-10: Nature of Abnormal Test - empty
+  fields.push('')
+  
+  // OBX-11: Observation Result Status
+  fields.push(context.withDefault('OBX-11', context.translateCode('OBX-11', '0085', observation.status, OBSERVATION_STATUS_MAP), 'F', observation))
+  
+  // OBX-12: Date/Time of the Observation
+  if (observation.effectiveDateTime) {
+    fields.push(convertFHIRDateTimeToHL7(observation.effectiveDateTime, context))
+  } else if (observation.effectivePeriod?.start) {
+    fields.push(convertFHIRDateTimeToHL7(observation.effectivePeriod.start, context))
+  } else {
+    fields.push('')
+  }
+  
+  // OBX-13: Producer's ID - empty
+  fields.push('')
+  
+  // OBX-14: Responsible Observer - empty
+  fields.push('')
+  
+  // OBX-15: Observation Method - empty
+  fields.push('')
+  
+  // OBX-16: Equipment Instance Identifier - empty
+  fields.push('')
+  
+  // OBX-17: Date/Time of the Analysis - empty
+  fields.push('')
+  
+  return fields.join('|')
+}
+
+/**
+ * Converts FHIR AllergyIntolerance resource to HL7 AL1 segment
+ * @param {Object} allergy - FHIR AllergyIntolerance resource
+ * @param {number} setId - Set ID for this AL1 segment
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {string} HL7 AL1 segment string
+ */
+function convertAllergyIntoleranceToAL1(allergy, setId = 1, context = new ConversionContext()) {
+  if (!allergy || allergy.resourceType !== 'AllergyIntolerance') {
+    return ''
+  }
+  
+  const fields = ['AL1']
+  
+  // AL1-1: Set ID
+  fields.push(setId.toString())
+  
+  // AL1-2: Allergen Type Code
+  const type = allergy.type || 'allergy'
+  fields.push(context.withDefault('AL1-2', context.translateCode('AL1-2', '0127', type, ALLERGEN_TYPE_MAP), 'MA', allergy))
+  
+  // AL1-3: Allergen Code/Mnemonic/Description
+  if (allergy.code && allergy.code.coding && allergy.code.coding.length > 0) {
+    fields.push(convertFHIRCodeableConceptToCE(allergy.code, context))
+  } else {
+    fields.push('')
+  }
+  
+  // AL1-4: Allergy Severity Code
+  const severity = allergy.reaction?.[0]?.severity
+  fields.push(context.translateCode('AL1-4', '0128', severity, ALLERGY_SEVERITY_MAP))
+  
+  // AL1-5: Allergy Reaction Code
+  if (allergy.reaction && allergy.reaction.length > 0) {
+    const reactions = allergy.reaction.map(r => {
+      if (r.manifestation && r.manifestation.length > 0) {
+        return convertFHIRCodeableConceptToCE(r.manifestation[0], context)
+      }
+      return ''
+    }).filter(r => r)
+    fields.push(reactions.join('~') || '')
+  } else {
+    fields.push('')
+  }
+  
+  // AL1-6: Identification Date
+  if (allergy.onsetDateTime) {
+    fields.push(convertFHIRDateTimeToHL7(allergy.onsetDateTime, context))
+  } else if (allergy.recordedDate) {
+    fields.push(convertFHIRDateTimeToHL7(allergy.recordedDate, context))
+  } else {
+    fields.push('')
+  }
+  
+  return fields.join('|')
+}
+
+/**
+ * Converts FHIR Condition resource to HL7 DG1 segment
+ * @param {Object} condition - FHIR Condition resource
+ * @param {number} setId - Set ID for this DG1 segment
+ * @param {Array} resources - FHIR resources being converted (to resolve the asserter)
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {string} HL7 DG1 segment string
+ */
+function convertConditionToDG1(condition, setId = 1, resources = [], context = new ConversionContext()) {
+  if (!condition || condition.resourceType !== 'Condition') {
+    return ''
+  }
+  
+  const fields = ['DG1']
+  
+  // DG1-1: Set ID
+  fields.push(setId.toString())
+  
+  // DG1-2: Diagnosis Coding Method - empty (usually ICD-10)
+  fields.push('')
+  
+  // DG1-3: Diagnosis Code
+  if (condition.code && condition.code.coding && condition.code.coding.length > 0) {
+    fields.push(convertFHIRCodeableConceptToCE(condition.code, context))
+  } else {
+    fields.push('')
+  }
+  
+  // DG1-4: Diagnosis Description
+  if (condition.code?.text) {
+    fields.push(escapeHL7Text(condition.code.text))
+  } else {
+    fields.push('')
+  }
+  
+  // DG1-5: Diagnosis Date/Time
+  if (condition.onsetDateTime) {
+    fields.push(convertFHIRDateTimeToHL7(condition.onsetDateTime, context))
+  } else if (condition.recordedDate) {
+    fields.push(convertFHIRDateTimeToHL7(condition.recordedDate, context))
+  } else {
+    fields.push('')
+  }
+  
+  // DG1-6: Diagnosis Type
+  fields.push(context.withDefault('DG1-6', context.translateCode('DG1-6', '0052', condition.category?.[0], DIAGNOSIS_TYPE_MAP), 'F', condition))
+  
+  // DG1-7: Major Diagnostic Category - empty
+  fields.push('')
+  
+  // DG1-8: Diagnostic Related Group - empty
+  fields.push('')
+  
+  // DG1-9: DRG Approval Indicator - empty
+  fields.push('')
+  
+  // DG1-10: DRG Grouper Review Code - empty
+  fields.push('')
+  
+  // DG1-11: Outlier Type - empty
+  fields.push('')
+  
+  // DG1-12: Outlier Days - empty
+  fields.push('')
+  
+  // DG1-13: Outlier Cost - empty
+  fields.push('')
+  
+  // DG1-14: Grouper Version And Type - empty
+  fields.push('')
+  
+  // DG1-15: Diagnosis Priority - empty
+  fields.push('')
+  
+  // DG1-16: Diagnosing Clinician
+  fields.push(convertFHIRPractitionerToHL7(condition.asserter, resources, condition, context))
+  
+  // DG1-17: Diagnosis Classification - empty
+  fields.push('')
+  
+  // DG1-18: Confidential Indicator - empty
+  fields.push('')
+  
+  // DG1-19: Attestation Date/Time - empty
+  fields.push('')
+  
+  // DG1-20: Diagnosis Identifier - empty
+  fields.push('')
+  
+  // DG1-21: Diagnosis Action Code - empty
+  fields.push('')
+  
+  return fields.join('|')
+}
+
+/**
+ * Converts FHIR CodeableConcept to HL7 coded element format
+ * 
+ * The first coding is the primary triplet and the second one the alternate
+ * triplet; coding systems are named from table 0396 (e.g. LN for LOINC).
+ * Codings whose system is in preferredSystems come first, in that order, so
+ * e.g. a CVX code is the primary triplet and an NDC code the alternate.
+ * From 2.6 on the field is a CWE: Coding.version goes to CWE-7/8 (coding
+ * system version IDs), and CodeableConcept.text to CWE-9 (original text) when
+ * the primary coding has a display of its own.
+ * @param {Object} codeableConcept - FHIR CodeableConcept (or a single Coding)
+ * @param {ConversionContext} context - Conversion context (coding system names, HL7 version)
+ * @param {Object} preferredSystems - FHIR coding system URI -> HL7 coding system name, for systems to put first
+ * @param {Function} translateCoding - Returns the HL7 code to send for a coding, or '' to send Coding.code
+ * @returns {string} HL7 CE string (Identifier^Text^NameOfCodingSystem^AltIdentifier^AltText^NameOfAltCodingSystem)
+ */
+function convertFHIRCodeableConceptToCE(codeableConcept, context = new ConversionContext(), preferredSystems = {}, translateCoding = () => '') {
+  if (!codeableConcept) return ''
+  
+  const rank = coding => {
+    const index = Object.keys(preferredSystems).indexOf(coding.system)
+    return index === -1 ? Infinity : index
+  }
+  const codings = (codeableConcept.coding || (codeableConcept.code ? [codeableConcept] : []))
+    .filter(coding => coding.code)
+    .sort((a, b) => rank(a) - rank(b))
+  
+  if (codings.length === 0) {
+    return codeableConcept.text ? `^${escapeHL7Text(codeableConcept.text)}` : ''
+  }
+  
+  const triplets = codings.slice(0, 2)
+  const components = triplets.flatMap((coding, index) => [
+    escapeHL7Text(translateCoding(coding) || coding.code),
+    escapeHL7Text(coding.display || (index === 0 ? codeableConcept.text : '')),
+    preferredSystems[coding.system] || context.getCodingSystemName(coding.system),
+  ])
+  
+  // CWE (2.6 and later) carries the coding system versions in CWE-7/8 and the text
+  // the codes were picked for in CWE-9
+  if (context.version.dataTypes.CE === 'CWE') {
+    const originalText = codeableConcept.text && codings[0].display && codeableConcept.text !== codings[0].display
+      ? codeableConcept.text
+      : ''
+    const extensions = [escapeHL7Text(triplets[0].version), escapeHL7Text(triplets[1]?.version), escapeHL7Text(originalText)]
+    while (extensions.length > 0 && !extensions[extensions.length - 1]) extensions.pop()
+    if (extensions.length > 0) {
+      while (components.length < 6) components.push('')
+      components.push(...extensions)
+    }
+  }
+  
+  return components.join('^')
+}
+
+/**
+ * Converts the unit of a FHIR Quantity to HL7 CE format
+ * @param {Object} quantity - FHIR Quantity
+ * @param {ConversionContext} context - Conversion context (coding system names)
+ * @returns {string} HL7 CE string (Identifier^Text^NameOfCodingSystem), or '' if the quantity has no unit
+ */
+function convertFHIRQuantityUnitToCE(quantity, context = new ConversionContext()) {
+  const code = quantity?.code || quantity?.unit
+  if (!code) return ''
+  
+  // Units without a system are taken to be UCUM, FHIR's usual units system
+  const system = quantity.system || 'http://unitsofmeasure.org'
+  return `${escapeHL7Text(code)}^${escapeHL7Text(quantity.unit || code)}^${context.getCodingSystemName(system)}`
+}
+
+// Bundle entry fullUrl of each resource being converted, for urn:uuid and absolute references
+const RESOURCE_FULL_URLS = new WeakMap()
+
+/**
+ * Resolves a FHIR reference to the resource it points to
+ * 
+ * Understands relative references ('Practitioner/123', with or without
+ * _history), absolute URLs and urn:uuid references matched against the Bundle
+ * entry fullUrls, and '#id' references to contained resources.
+ * @param {Array} resources - FHIR resources being converted
+ * @param {Object|string} reference - FHIR Reference or reference string (a resource is returned as-is)
+ * @param {Object} container - Resource holding the reference (for '#id' references; all resources are searched if omitted)
+ * @returns {Object|null} Referenced resource or null if not present
+ */
+function resolveReference(resources, reference, container = null) {
+  if (!reference) return null
+  if (reference.resourceType) return reference
+  
+  const literal = typeof reference === 'string' ? reference : reference.reference
+  if (!literal) return null
+  
+  // Contained resource
+  if (literal.startsWith('#')) {
+    const id = literal.slice(1)
+    for (const holder of container ? [container] : resources) {
+      const contained = holder.contained?.find(r => r.id === id)
+      if (contained) return contained
+    }
+    return null
+  }
+  
+  // Bundle entry fullUrl (urn:uuid:..., or the absolute URL itself)
+  const entry = resources.find(r => RESOURCE_FULL_URLS.get(r) === literal)
+  if (entry) return entry
+  
+  // Relative or absolute ResourceType/id, ignoring any _history version
+  const match = literal.match(/(?:^|\/)([A-Z][A-Za-z]+)\/([A-Za-z0-9\-.]{1,64})(?:\/_history\/[^/]+)?$/)
+  if (!match) return null
+  
+  const [, resourceType, id] = match
+  return resources.find(r => r.resourceType === resourceType && r.id === id) || null
+}
+
+/**
+ * Creates ORC segment for HL7 message
+ * @param {string} orderControl - Order control code (e.g. 'RE', 'NW')
+ * @param {Object} details - Already-encoded field values (placerOrderNumber, fillerOrderNumber, placerGroupNumber,
+ *   orderStatus, quantityTiming, transactionDateTime, orderingProvider)
+ * @returns {string} ORC segment string
+ */
+function createORCSegment(orderControl, details = {}) {
+  const fields = ['ORC']
+  
+  // ORC-1: Order Control
+  fields.push(orderControl)
+  
+  // ORC-2: Placer Order Number
+  fields.push(details.placerOrderNumber || '')
+  
+  // ORC-3: Filler Order Number
+  fields.push(details.fillerOrderNumber || '')
+  
+  // ORC-4: Placer Group Number
+  fields.push(details.placerGroupNumber || '')
+  
+  // ORC-5: Order Status
+  fields.push(details.orderStatus || '')
+  
+  // ORC-6: Response Flag - empty
+  fields.push('')
+  
+  // ORC-7: Quantity/Timing
+  fields.push(details.quantityTiming || '')
+  
+  // ORC-8: Parent Order - empty
+  fields.push('')
+  
+  // ORC-9: Date/Time of Transaction
+  fields.push(details.transactionDateTime || '')
+  
+  // ORC-10: Entered By - empty
+  fields.push('')
+  
+  // ORC-11: Verified By - empty
+  fields.push('')
+  
+  // ORC-12: Ordering Provider
+  fields.push(details.orderingProvider || '')
+  
+  return fields.join('|')
+}
+
+/**
+ * Creates OBR segment for HL7 message
+ * @param {number} setId - Set ID for this OBR segment
+ * @param {Object} details - Already-encoded field values (placerOrderNumber, fillerOrderNumber, universalServiceId,
+ *   requestedDateTime, observationDateTime, observationEndDateTime, specimenActionCode, relevantClinicalInfo,
+ *   specimenSource, orderingProvider, resultsReportDateTime, diagnosticServiceSection, resultStatus, quantityTiming)
+ * @returns {string} OBR segment string
+ */
+function createOBRSegment(setId = 1, details = {}) {
+  const fields = ['OBR']
+  
+  // OBR-1: Set ID
+  fields.push(setId.toString())
+  
+  // OBR-2: Placer Order Number
+  fields.push(details.placerOrderNumber || '')
+  
+  // OBR-3: Filler Order Number
+  fields.push(details.fillerOrderNumber || '')
+  
+  // OBR-4: Universal Service Identifier
+  fields.push(details.universalServiceId || '')
+  
+  // OBR-5: Priority (withdrawn, see OBR-27) - empty
+  fields.push('')
+  
+  // OBR-6: Requested Date/Time
+  fields.push(details.requestedDateTime || '')
+  
+  // OBR-7: Observation Date/Time
+  fields.push(details.observationDateTime || '')
+  
+  // OBR-8: Observation End Date/Time
+  fields.push(details.observationEndDateTime || '')
+  
+  // OBR-9 to OBR-10: Collection Volume, Collector Identifier - empty
+  fields.push('', '')
+  
+  // OBR-11: Specimen Action Code
+  fields.push(details.specimenActionCode || '')
+  
+  // OBR-12: Danger Code - empty
+  fields.push('')
+  
+  // OBR-13: Relevant Clinical Information
+  fields.push(details.relevantClinicalInfo || '')
+  
+  // OBR-14: Specimen Received Date/Time - empty
+  fields.push('')
+  
+  // OBR-15: Specimen Source
+  fields.push(details.specimenSource || '')
+  
+  // OBR-16: Ordering Provider
+  fields.push(details.orderingProvider || '')
+  
+  // OBR-17 to OBR-21: Callback Phone, Placer/Filler Fields - empty
+  fields.push('', '', '', '', '')
+  
+  // OBR-22: Results Rpt/Status Chng - Date/Time
+  fields.push(details.resultsReportDateTime || '')
+  
+  // OBR-23: Charge to Practice - empty
+  fields.push('')
+  
+  // OBR-24: Diagnostic Serv Sect ID
+  fields.push(details.diagnosticServiceSection || '')
+  
+  // OBR-25: Result Status
+  fields.push(details.resultStatus || '')
+  
+  // OBR-26: Parent Result - empty
+  fields.push('')
+  
+  // OBR-27: Quantity/Timing
+  fields.push(details.quantityTiming || '')
+  
+  return fields.join('|')
+}
+
+/**
+ * Creates NTE segment for HL7 message
+ * @param {number} setId - Set ID for this NTE segment
+ * @param {string} comment - Comment text (escaped here; line breaks become \.br\)
+ * @param {string} source - Source of comment (table 0105: L=Ancillary, P=Placer, O=Other)
+ * @returns {string} NTE segment string
+ */
+function createNTESegment(setId = 1, comment = '', source = 'L') {
+  const fields = [
+    'NTE',
+    setId.toString(), // Set ID
+    source, // Source of Comment
+    escapeHL7Text(comment), // Comment
+  ]
+  
+  return fields.join('|')
+}
+
+/**
+ * Splits FHIR DiagnosticReport identifiers into placer and filler order numbers
+ * @param {Object} report - FHIR DiagnosticReport resource
+ * @param {Array} resources - FHIR resources being converted (to follow basedOn)
+ * @returns {Object} Object with placerOrderNumber and fillerOrderNumber (HL7 EI strings)
+ */
+function getDiagnosticReportOrderNumbers(report, resources) {
+  const hasType = (identifier, code) => identifier.type?.coding?.some(c => c.code === code)
+  
+  const placer = report.identifier?.find(id => hasType(id, 'PLAC')) ||
+    report.basedOn
+      ?.map(ref => resolveReference(resources, ref, report))
+      .find(request => request?.identifier?.length > 0)
+      ?.identifier[0]
+  const filler = report.identifier?.find(id => hasType(id, 'FILL')) ||
+    report.identifier?.find(id => !hasType(id, 'PLAC'))
+  
+  return {
+    placerOrderNumber: convertFHIRIdentifierToEI(placer),
+    fillerOrderNumber: convertFHIRIdentifierToEI(filler),
+  }
+}
+
+/**
+ * Converts FHIR DiagnosticReport resource to HL7 ORC segment
+ * @param {Object} report - FHIR DiagnosticReport resource
+ * @param {Array} resources - FHIR resources being converted
+ * @param {ConversionContext} context - Conversion context (receiver timezone)
+ * @returns {string} HL7 ORC segment string
+ */
+function convertDiagnosticReportToORC(report, resources = [], context = new ConversionContext()) {
+  if (!report || report.resourceType !== 'DiagnosticReport') {
+    return ''
+  }
+  
+  return createORCSegment('RE', {
+    ...getDiagnosticReportOrderNumbers(report, resources),
+    orderStatus: context.withDefault('ORC-5', context.translateCode('ORC-5', '0038', report.status, REPORT_ORDER_STATUS_MAP), 'CM', report),
+    transactionDateTime: convertFHIRDateTimeToHL7(report.issued, context),
+  })
+}
+
+/**
+ * Converts FHIR DiagnosticReport resource to HL7 OBR segment
+ * @param {Object} report - FHIR DiagnosticReport resource
+ * @param {number} setId - Set ID for this OBR segment
+ * @param {Array} resources - FHIR resources being converted
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {string} HL7 OBR segment string
+ */
+function convertDiagnosticReportToOBR(report, setId = 1, resources = [], context = new ConversionContext()) {
+  if (!report || report.resourceType !== 'DiagnosticReport') {
+    return ''
+  }
+  
+  // Diagnostic service section (table 0074) comes from a v2-0074 category coding
+  const section = report.category
+    ?.flatMap(category => category.coding || [])
+    .find(coding => coding.system === 'http://terminology.hl7.org/CodeSystem/v2-0074')
+  
+  return createOBRSegment(setId, {
+    ...getDiagnosticReportOrderNumbers(report, resources),
+    universalServiceId: convertFHIRCodeableConceptToCE(report.code, context),
+    observationDateTime: convertFHIRDateTimeToHL7(report.effectiveDateTime || report.effectivePeriod?.start, context),
+    observationEndDateTime: convertFHIRDateTimeToHL7(report.effectivePeriod?.end, context),
+    resultsReportDateTime: convertFHIRDateTimeToHL7(report.issued, context),
+    diagnosticServiceSection: escapeHL7Text(section?.code),
+    resultStatus: context.translateCode('OBR-25', '0123', report.status, RESULT_STATUS_MAP),
+  })
+}
+
+// FHIR ServiceRequest.priority -> HL7 priority (table 0027)
+const ORDER_PRIORITY_MAP = {
+  'routine': 'R', // Routine
+  'urgent': 'A', // As soon as possible
+  'asap': 'A', // As soon as possible
+  'stat': 'S', // Stat
+}
+
+// FHIR ServiceRequest.status -> HL7 order status (table 0038)
+const ORDER_STATUS_MAP = {
+  'active': 'IP', // In process
+  'on-hold': 'HD', // On hold
+  'revoked': 'CA', // Cancelled
+  'completed': 'CM', // Completed
+  'entered-in-error': 'CA', // Cancelled
+}
+
+/**
+ * Determines the HL7 order control code for a ServiceRequest
+ * @param {Object} serviceRequest - FHIR ServiceRequest resource
+ * @returns {string} Order control code (table 0119)
+ */
+function determineOrderControl(serviceRequest) {
+  switch (serviceRequest.status) {
+    case 'revoked':
+    case 'entered-in-error':
+      return 'CA' // Cancel order request
+    case 'on-hold':
+      return 'HD' // Hold order request
+    case 'completed':
+      return 'SC' // Status changed
+  }
+  
+  if (serviceRequest.replaces && serviceRequest.replaces.length > 0) {
+    return 'XO' // Change order request
+  }
+  
+  if (serviceRequest.intent === 'filler-order') {
+    return 'SN' // Send order number (order originated by the filler)
+  }
+  
+  return 'NW' // New order
+}
+
+/**
+ * Gets the HL7 field values shared by the ORC and OBR of a ServiceRequest
+ * @param {Object} serviceRequest - FHIR ServiceRequest resource
+ * @param {Array} resources - FHIR resources being converted (to resolve the requester)
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {Object} Encoded field values (placer/filler order numbers, quantity/timing, ordering provider)
+ */
+function getServiceRequestOrderDetails(serviceRequest, resources, context = new ConversionContext()) {
+  const hasType = (identifier, code) => identifier.type?.coding?.some(c => c.code === code)
+  
+  // The sender is the placer, so untyped identifiers are placer order numbers
+  const placer = serviceRequest.identifier?.find(id => hasType(id, 'PLAC')) ||
+    serviceRequest.identifier?.find(id => !hasType(id, 'FILL'))
+  const filler = serviceRequest.identifier?.find(id => hasType(id, 'FILL'))
+  
+  // Quantity/timing (TQ): Quantity^Interval^Duration^StartDateTime^EndDateTime^Priority
+  const start = serviceRequest.occurrenceDateTime || serviceRequest.occurrencePeriod?.start
+  const end = serviceRequest.occurrencePeriod?.end
+  const priority = context.translateCode('ORC-7', '0027', serviceRequest.priority, ORDER_PRIORITY_MAP)
+  const quantityTiming = start || end || priority
+    ? `^^^${convertFHIRDateTimeToHL7(start, context)}^${convertFHIRDateTimeToHL7(end, context)}^${priority}`
+    : ''
+  
+  return {
+    placerOrderNumber: convertFHIRIdentifierToEI(placer),
+    fillerOrderNumber: convertFHIRIdentifierToEI(filler),
+    quantityTiming,
+    orderingProvider: convertFHIRPractitionerToHL7(serviceRequest.requester, resources, serviceRequest, context),
+  }
+}
+
+/**
+ * Converts FHIR ServiceRequest resource to HL7 ORC segment
+ * @param {Object} serviceRequest - FHIR ServiceRequest resource
+ * @param {Array} resources - FHIR resources being converted
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {string} HL7 ORC segment string
+ */
+function convertServiceRequestToORC(serviceRequest, resources = [], context = new ConversionContext()) {
+  if (!serviceRequest || serviceRequest.resourceType !== 'ServiceRequest') {
+    return ''
+  }
+  
+  return createORCSegment(determineOrderControl(serviceRequest), {
+    ...getServiceRequestOrderDetails(serviceRequest, resources, context),
+    placerGroupNumber: convertFHIRIdentifierToEI(serviceRequest.requisition),
+    orderStatus: context.translateCode('ORC-5', '0038', serviceRequest.status, ORDER_STATUS_MAP),
+    transactionDateTime: convertFHIRDateTimeToHL7(serviceRequest.authoredOn, context),
+  })
+}
+
+/**
+ * Converts FHIR ServiceRequest resource to HL7 OBR segment
+ * @param {Object} serviceRequest - FHIR ServiceRequest resource
+ * @param {number} setId - Set ID for this OBR segment
+ * @param {Array} resources - FHIR resources being converted
+ * @param {string} specimenSource - Encoded OBR-15 specimen source (for message types without SPM)
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {string} HL7 OBR segment string
+ */
+function convertServiceRequestToOBR(serviceRequest, setId = 1, resources = [], specimenSource = '', context = new ConversionContext()) {
+  if (!serviceRequest || serviceRequest.resourceType !== 'ServiceRequest') {
+    return ''
+  }
+  
+  return createOBRSegment(setId, {
+    ...getServiceRequestOrderDetails(serviceRequest, resources, context),
+    universalServiceId: convertFHIRCodeableConceptToCE(serviceRequest.code, context),
+    requestedDateTime: convertFHIRDateTimeToHL7(serviceRequest.occurrenceDateTime || serviceRequest.occurrencePeriod?.start, context),
+    specimenSource,
+  })
+}
+
+/**
+ * Converts FHIR Specimen resource to HL7 SPM segment
+ * @param {Object} specimen - FHIR Specimen resource
+ * @param {number} setId - Set ID for this SPM segment
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {string} HL7 SPM segment string
+ */
+function convertSpecimenToSPM(specimen, setId = 1, context = new ConversionContext()) {
+  if (!specimen || specimen.resourceType !== 'Specimen') {
+    return ''
+  }
+  
+  const fields = ['SPM']
+  
+  // SPM-1: Set ID
+  fields.push(setId.toString())
+  
+  // SPM-2: Specimen ID (PlacerAssignedIdentifier^FillerAssignedIdentifier, EI components as subcomponents)
+  const placerId = convertFHIRIdentifierToEI(specimen.identifier?.[0]).replace(/\^/g, '&')
+  const fillerId = convertFHIRIdentifierToEI(specimen.accessionIdentifier).replace(/\^/g, '&')
+  fields.push(fillerId ? `${placerId}^${fillerId}` : placerId)
+  
+  // SPM-3: Specimen Parent IDs - empty
+  fields.push('')
+  
+  // SPM-4: Specimen Type
+  fields.push(convertFHIRCodeableConceptToCE(specimen.type, context))
+  
+  // SPM-5 to SPM-6: Type Modifier, Additives - empty
+  fields.push('', '')
+  
+  // SPM-7: Specimen Collection Method
+  fields.push(convertFHIRCodeableConceptToCE(specimen.collection?.method, context))
+  
+  // SPM-8: Specimen Source Site
+  fields.push(convertFHIRCodeableConceptToCE(specimen.collection?.bodySite, context))
+  
+  // SPM-9 to SPM-16 - empty
+  for (let i = 9; i <= 16; i++) {
+    fields.push('')
+  }
+  
+  // SPM-17: Specimen Collection Date/Time
+  const collected = specimen.collection?.collectedDateTime || specimen.collection?.collectedPeriod?.start
+  fields.push(convertFHIRDateTimeToHL7(collected, context))
+  
+  // SPM-18: Specimen Received Date/Time
+  fields.push(convertFHIRDateTimeToHL7(specimen.receivedTime, context))
+  
+  return fields.join('|')
+}
+
+/**
+ * Creates OBX segment for HL7 message
+ * @param {number} setId - Set ID for this OBX segment
+ * @param {Object} details - Already-encoded field values (valueType, observationIdentifier, observationSubId,
+ *   observationValue, units, resultStatus, observationDateTime, observationMethod)
+ * @returns {string} OBX segment string
+ */
+function createOBXSegment(setId = 1, details = {}) {
+  const fields = ['OBX']
+  
+  // OBX-1: Set ID
+  fields.push(setId.toString())
+  
+  // OBX-2: Value Type
+  fields.push(details.valueType || '')
+  
+  // OBX-3: Observation Identifier
+  fields.push(details.observationIdentifier || '')
+  
+  // OBX-4: Observation Sub-ID
+  fields.push(details.observationSubId || '')
+  
+  // OBX-5: Observation Value
+  fields.push(details.observationValue || '')
+  
+  // OBX-6: Units
+  fields.push(details.units || '')
+  
+  // OBX-7 to OBX-10: References Range, Abnormal Flags, Probability, Nature of Abnormal Test - empty
+  fields.push('', '', '', '')
+  
+  // OBX-11: Observation Result Status
+  fields.push(details.resultStatus || 'F')
+  
+  // OBX-12 to OBX-13: Effective Date of Reference Range, User Defined Access Checks - empty
+  fields.push('', '')
+  
+  // OBX-14: Date/Time of the Observation
+  fields.push(details.observationDateTime || '')
+  
+  // OBX-15 to OBX-16: Producer's ID, Responsible Observer - empty
+  fields.push('', '')
+  
+  // OBX-17: Observation Method
+  fields.push(details.observationMethod || '')
+  
+  return fields.join('|')
+}
+
+// Coding systems sent first in VXU coded elements (e.g. CVX before NDC), with their HL7 names (table 0396)
+const IMMUNIZATION_CODE_SYSTEMS = {
+  'http://hl7.org/fhir/sid/cvx': 'CVX',
+  'http://hl7.org/fhir/sid/ndc': 'NDC',
+  'http://hl7.org/fhir/sid/mvx': 'MVX',
+  'http://terminology.hl7.org/CodeSystem/v2-0064': 'HL70064',
+  'http://terminology.hl7.org/CodeSystem/v2-0162': 'HL70162',
+  'http://terminology.hl7.org/CodeSystem/v2-0163': 'HL70163',
+  'http://terminology.hl7.org/CodeSystem/v3-RouteOfAdministration': 'HL70162',
+  'http://terminology.hl7.org/CodeSystem/v3-ActSite': 'HL70163',
+}
+
+// FHIR v3 RouteOfAdministration -> HL7 route of administration (table 0162)
+const IMMUNIZATION_ROUTE_MAP = {
+  'IM': 'IM', // Intramuscular
+  'IDINJ': 'ID', // Intradermal
+  'SQ': 'SC', // Subcutaneous
+  'PO': 'PO', // Oral
+  'NASINHLC': 'NS', // Nasal
+  'TRNSDERMD': 'TD', // Transdermal
+  'IVINJ': 'IV', // Intravenous
+}
+
+// FHIR Immunization.status -> HL7 completion status (table 0322)
+const COMPLETION_STATUS_MAP = {
+  'completed': 'CP', // Complete
+  'entered-in-error': 'CP', // Complete (the deletion is carried by RXA-21)
+  'not-done': 'NA', // Not administered
+}
+
+// FHIR Immunization.statusReason (v3 ActReason) -> HL7 substance refusal reason (CDC table NIP002)
+const REFUSAL_REASON_MAP = {
+  'PATOBJ': '03^Patient decision^NIP002',
+  'RELIG': '01^Religious exemption^NIP002',
+}
+
+/**
+ * Finds the performer of an Immunization with the given function
+ * @param {Object} immunization - FHIR Immunization resource
+ * @param {string} functionCode - Performer function (table 0443: 'AP' administering, 'OP' ordering)
+ * @param {Array} resources - FHIR resources being converted (to resolve the actor)
+ * @returns {Object|null} Practitioner resource, the unresolved reference, or null
+ */
+function getImmunizationPerformer(immunization, functionCode, resources) {
+  const performers = immunization.performer || []
+  const performer = performers.find(p => p.function?.coding?.some(c => c.code === functionCode)) ||
+    (functionCode === 'AP' ? performers.find(p => !p.function) : null)
+  
+  if (!performer?.actor) return null
+  return resolveReference(resources, performer.actor, immunization) || performer.actor
+}
+
+/**
+ * Converts FHIR Immunization resource to HL7 ORC segment
+ * @param {Object} immunization - FHIR Immunization resource
+ * @param {Array} resources - FHIR resources being converted
+ * @param {ConversionContext} context - Conversion context (HL7 version)
+ * @returns {string} HL7 ORC segment string
+ */
+function convertImmunizationToORC(immunization, resources = [], context = new ConversionContext()) {
+  if (!immunization || immunization.resourceType !== 'Immunization') {
+    return ''
+  }
+  
+  // ORC-3 is required by the CDC IG; 9999 is its placeholder when no order number is known
+  const fillerOrderNumber = context.withDefault('ORC-3',
+    convertFHIRIdentifierToEI(immunization.identifier?.[0]) || escapeHL7Text(immunization.id), '9999', immunization)
+  
+  return createORCSegment('RE', {
+    fillerOrderNumber,
+    transactionDateTime: convertFHIRDateTimeToHL7(immunization.recorded, context),
+    orderingProvider: convertFHIRPractitionerToHL7(getImmunizationPerformer(immunization, 'OP', resources), resources, null, context),
+  })
+}
+
+/**
+ * Converts FHIR Immunization resource to HL7 RXA segment
+ * @param {Object} immunization - FHIR Immunization resource
+ * @param {Array} resources - FHIR resources being converted
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {string} HL7 RXA segment string
+ */
+function convertImmunizationToRXA(immunization, resources = [], context = new ConversionContext()) {
+  if (!immunization || immunization.resourceType !== 'Immunization') {
+    return ''
+  }
+  
+  const fields = ['RXA']
+  
+  // RXA-1: Give Sub-ID Counter
+  fields.push('0')
+  
+  // RXA-2: Administration Sub-ID Counter
+  fields.push('1')
+  
+  // RXA-3 to RXA-4: Date/Time Start and End of Administration
+  const administered = convertFHIRDateTimeToHL7(immunization.occurrenceDateTime, context)
+  fields.push(administered, administered)
+  
+  // RXA-5: Administered Code (CVX, with NDC as the alternate)
+  fields.push(convertFHIRCodeableConceptToCE(immunization.vaccineCode, context, IMMUNIZATION_CODE_SYSTEMS))
+  
+  // RXA-6 to RXA-7: Administered Amount (999 = unknown or not administered) and Units
+  const dose = immunization.doseQuantity
+  if (dose?.value !== undefined && immunization.status !== 'not-done') {
+    fields.push(dose.value.toString())
+    fields.push(convertFHIRQuantityUnitToCE(dose, context))
   } else {
+    fields.push('999', '')
+  }
+  
+  // RXA-8: Administered Dosage Form - empty
+  fields.push('')
+  
+  // RXA-9: Administration Notes (table NIP001: new record or historical)
+  fields.push(immunization.primarySource === false
+    ? '01^Historical information - source unspecified^NIP001'
+    : '00^New immunization record^NIP001')
+  
+  // RXA-10: Administering Provider
+  fields.push(convertFHIRPractitionerToHL7(getImmunizationPerformer(immunization, 'AP', resources), resources, null, context))
+  
+  // RXA-11: Administered-at Location (LA2, facility in component 4)
+  const location = resolveReference(resources, immunization.location, immunization)
+  const locationName = location?.name || immunization.location?.display
+  fields.push(locationName ? `^^^${escapeHL7Text(locationName)}` : '')
+  
+  // RXA-12 to RXA-14: Administered Per, Strength, Strength Units - empty
+  fields.push('', '', '')
+  
+  // RXA-15: Substance Lot Number
+  fields.push(escapeHL7Text(immunization.lotNumber))
+  
+  // RXA-16: Substance Expiration Date
+  fields.push(convertFHIRDateTimeToHL7(immunization.expirationDate, context))
+  
+  // RXA-17: Substance Manufacturer Name (MVX)
+  const manufacturer = resolveReference(resources, immunization.manufacturer, immunization)
+  const mvx = [...(manufacturer?.identifier || []), immunization.manufacturer?.identifier]
+    .find(id => id?.system === 'http://hl7.org/fhir/sid/mvx')?.value
+  const manufacturerName = manufacturer?.name || immunization.manufacturer?.display
+  fields.push(mvx ? `${escapeHL7Text(mvx)}^${escapeHL7Text(manufacturerName)}^MVX` : manufacturerName ? `^${escapeHL7Text(manufacturerName)}` : '')
+  
+  // RXA-18: Substance/Treatment Refusal Reason
+  const refusalReason = immunization.status === 'not-done'
+    ? context.translateCode('RXA-18', 'NIP002', immunization.statusReason, REFUSAL_REASON_MAP)
+    : ''
+  fields.push(refusalReason)
+  
+  // RXA-19: Indication - empty
+  fields.push('')
+  
+  // RXA-20: Completion Status (refusals are RE)
+  fields.push(refusalReason ? 'RE' : context.translateCode('RXA-20', '0322', immunization.status, COMPLETION_STATUS_MAP))
+  
+  // RXA-21: Action Code (table 0323)
+  fields.push(immunization.status === 'entered-in-error' ? 'D' : 'A')
+  
+  // RXA-22: System Entry Date/Time
+  fields.push(convertFHIRDateTimeToHL7(immunization.recorded, context))
+  
+  return fields.join('|')
+}
+
+/**
+ * Converts FHIR Immunization resource to HL7 RXR segment
+ * @param {Object} immunization - FHIR Immunization resource
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {string} HL7 RXR segment string, or '' if neither route nor site is known
+ */
+function convertImmunizationToRXR(immunization, context = new ConversionContext()) {
+  if (!immunization || immunization.resourceType !== 'Immunization') {
+    return ''
+  }
+  
+  if (!immunization.route && !immunization.site) {
+    return ''
+  }
+  
+  // v3 route codes are mapped to their table 0162 equivalents
+  const translateRoute = coding => coding.system === 'http://terminology.hl7.org/CodeSystem/v3-RouteOfAdministration'
+    ? context.translateCode('RXR-1', '0162', coding, IMMUNIZATION_ROUTE_MAP)
+    : ''
+  
+  const fields = [
+    'RXR',
+    convertFHIRCodeableConceptToCE(immunization.route, context, IMMUNIZATION_CODE_SYSTEMS, translateRoute), // Route
+    convertFHIRCodeableConceptToCE(immunization.site, context, IMMUNIZATION_CODE_SYSTEMS), // Administration Site
+  ]
+  
+  return fields.join('|')
+}
+
+/**
+ * Converts the funding eligibility and VIS data of a FHIR Immunization to HL7 OBX segments
+ * 
+ * Each programEligibility and each education entry is its own OBX-4 group,
+ * as the CDC IG requires: eligibility (64994-7), then VIS document type
+ * (69764-9, or vaccine type 30956-7 without one), published (29768-9) and
+ * presented (29769-7) dates.
+ * @param {Object} immunization - FHIR Immunization resource
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {Array<string>} HL7 OBX segment strings
+ */
+function convertImmunizationToOBX(immunization, context = new ConversionContext()) {
+  if (!immunization || immunization.resourceType !== 'Immunization') {
+    return []
+  }
+  
+  const observationDateTime = convertFHIRDateTimeToHL7(immunization.occurrenceDateTime, context)
+  const observations = []
+  let group = 0
+  
+  // Funding eligibility (R4 CodeableConcept, R5 programStatus)
+  const eligibilities = immunization.programEligibility || []
+  eligibilities.forEach(eligibility => {
+    group++
+    observations.push({
+      valueType: 'CE',
+      observationIdentifier: '64994-7^Vaccine funding program eligibility category^LN',
+      observationSubId: group.toString(),
+      observationValue: convertFHIRCodeableConceptToCE(eligibility.programStatus || eligibility, context, IMMUNIZATION_CODE_SYSTEMS),
+      observationMethod: 'VXC40^Eligibility captured at the immunization level^CDCPHINVS',
+    })
+  })
+  
+  // Vaccine Information Statements
+  const statements = immunization.education || []
+  statements.forEach(statement => {
+    group++
+    const subId = group.toString()
+    
+    if (statement.documentType) {
+      // VIS barcodes are GS1 document identifiers; anything else is sent as text
+      const documentType = escapeHL7Text(statement.documentType)
+      observations.push({
+        valueType: 'CE',
+        observationIdentifier: '69764-9^Document type^LN',
+        observationSubId: subId,
+        observationValue: /^\d+$/.test(statement.documentType) ? `${documentType}^^cdcgs1vis` : `^${documentType}`,
+      })
+    } else {
+      observations.push({
+        valueType: 'CE',
+        observationIdentifier: '30956-7^Vaccine type^LN',
+        observationSubId: subId,
+        observationValue: convertFHIRCodeableConceptToCE(immunization.vaccineCode, context, IMMUNIZATION_CODE_SYSTEMS),
+      })
+    }
+    
+    if (statement.publicationDate) {
+      observations.push({
+        valueType: 'TS',
+        observationIdentifier: '29768-9^Date Vaccine Information Statement Published^LN',
+        observationSubId: subId,
+        observationValue: convertFHIRDateTimeToHL7(statement.publicationDate, context),
+      })
+    }
+    
+    if (statement.presentationDate) {
+      observations.push({
+        valueType: 'TS',
+        observationIdentifier: '29769-7^Date Vaccine Information Statement Presented^LN',
+        observationSubId: subId,
+        observationValue: convertFHIRDateTimeToHL7(statement.presentationDate, context),
+      })
+    }
+  })
+  
+  return observations.map((details, index) => createOBXSegment(index + 1, { ...details, observationDateTime }))
+}
+
+// FHIR Appointment.status -> HL7 filler status code (table 0278)
+const APPOINTMENT_STATUS_MAP = {
+  'proposed': 'Pending',
+  'pending': 'Pending',
+  'booked': 'Booked',
+  'arrived': 'Started',
+  'checked-in': 'Started',
+  'fulfilled': 'Complete',
+  'cancelled': 'Cancelled',
+  'noshow': 'Noshow',
+  'entered-in-error': 'Deleted',
+  'waitlist': 'Waitlist',
+}
+
+// FHIR Appointment.participant.status -> HL7 filler status code (table 0278)
+const PARTICIPANT_STATUS_MAP = {
+  'accepted': 'Booked',
+  'declined': 'Cancelled',
+  'tentative': 'Pending',
+  'needs-action': 'Pending',
+}
+
+/**
+ * Gets the timing shared by the SCH and resource segments of an Appointment
+ * @param {Object} appointment - FHIR Appointment resource
+ * @param {ConversionContext} context - Conversion context (receiver timezone)
+ * @returns {Object} Encoded start date/time, end date/time and duration in minutes
+ */
+function getAppointmentTiming(appointment, context = new ConversionContext()) {
+  let duration = appointment.minutesDuration
+  if (duration === undefined && appointment.start && appointment.end) {
+    duration = Math.round((Date.parse(appointment.end) - Date.parse(appointment.start)) / 60000)
+  }
+  
+  return {
+    start: convertFHIRDateTimeToHL7(appointment.start, context),
+    end: convertFHIRDateTimeToHL7(appointment.end, context),
+    duration: Number.isFinite(duration) ? duration.toString() : '',
+  }
+}
+
+/**
+ * Converts FHIR Appointment resource to HL7 SCH segment
+ * @param {Object} appointment - FHIR Appointment resource
+ * @param {Array} resources - FHIR resources being converted (to resolve basedOn)
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {string} HL7 SCH segment string
+ */
+function convertAppointmentToSCH(appointment, resources = [], context = new ConversionContext()) {
+  if (!appointment || appointment.resourceType !== 'Appointment') {
+    return ''
+  }
+  
+  const hasType = (identifier, code) => identifier.type?.coding?.some(c => c.code === code)
+  const { start, end, duration } = getAppointmentTiming(appointment, context)
+  
+  const fields = ['SCH']
+  
+  // SCH-1: Placer Appointment ID
+  fields.push(convertFHIRIdentifierToEI(appointment.identifier?.find(id => hasType(id, 'PLAC'))))
+  
+  // SCH-2: Filler Appointment ID (the sender is the scheduling system, so untyped identifiers are filler IDs)
+  const filler = appointment.identifier?.find(id => hasType(id, 'FILL')) ||
+    appointment.identifier?.find(id => !hasType(id, 'PLAC'))
+  fields.push(convertFHIRIdentifierToEI(filler) || escapeHL7Text(appointment.id))
+  
+  // SCH-3 to SCH-5: Occurrence Number, Placer Group Number, Schedule ID - empty
+  fields.push('', '', '')
+  
+  // SCH-6: Event Reason (cancellation reason, otherwise the reason for the appointment)
+  fields.push(convertFHIRCodeableConceptToCE(appointment.cancelationReason || appointment.reasonCode?.[0], context))
+  
+  // SCH-7: Appointment Reason (appointmentType is bound to table 0276)
+  fields.push(convertFHIRCodeableConceptToCE(appointment.appointmentType, context))
+  
+  // SCH-8: Appointment Type - empty
+  fields.push('')
+  
+  // SCH-9 to SCH-10: Appointment Duration and Units
+  fields.push(duration, duration ? 'min' : '')
+  
+  // SCH-11: Appointment Timing Quantity (TQ: Quantity^Interval^Duration^StartDateTime^EndDateTime)
+  fields.push(start || end ? `^^^${start}^${end}` : '')
+  
+  // SCH-12 to SCH-15: Placer Contact Person, Phone, Address, Location - empty
+  fields.push('', '', '', '')
+  
+  // SCH-16: Filler Contact Person (the ordering provider of the request the appointment is based on)
+  const request = resolveReference(resources, appointment.basedOn?.[0], appointment)
+  fields.push(request ? convertFHIRPractitionerToHL7(request.requester, resources, request, context) : '')
+  
+  // SCH-17 to SCH-24 - empty
+  for (let i = 17; i <= 24; i++) {
+    fields.push('')
+  }
+  
+  // SCH-25: Filler Status Code
+  fields.push(context.translateCode('SCH-25', '0278', appointment.status, APPOINTMENT_STATUS_MAP))
+  
+  return fields.join('|')
+}
+
+/**
+ * Converts the participants and services of a FHIR Appointment to HL7 scheduling resource segments
+ * 
+ * serviceType becomes AIS; Location participants AIL; Practitioner and
+ * PractitionerRole participants AIP; HealthcareService and Device
+ * participants AIG. Each kind is numbered from 1 in participant order.
+ * Patient participants are carried by PID and skipped here.
+ * @param {Object} appointment - FHIR Appointment resource
+ * @param {Array} resources - FHIR resources being converted (to resolve participants)
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {Array<string>} HL7 AIS, AIG, AIL and AIP segment strings, in that order
+ */
+function convertAppointmentToResourceSegments(appointment, resources = [], context = new ConversionContext()) {
+  if (!appointment || appointment.resourceType !== 'Appointment') {
+    return []
+  }
+  
+  const { start, duration } = getAppointmentTiming(appointment, context)
+  const durationUnits = duration ? 'min' : ''
+  
+  // AIS: StartDateTime^StartOffset^Units^Duration^DurationUnits^AllowSubstitution^FillerStatus
+  const ais = (appointment.serviceType || []).map((serviceType, index) => [
+    'AIS',
+    (index + 1).toString(), // Set ID
+    '', // Segment Action Code
+    convertFHIRCodeableConceptToCE(serviceType, context), // Universal Service Identifier
+    start, // Start Date/Time
+    '', '', // Start Date/Time Offset, Offset Units
+    duration, durationUnits, // Duration, Duration Units
+    '', // Allow Substitution Code
+    context.translateCode('AIS-10', '0278', appointment.status, APPOINTMENT_STATUS_MAP), // Filler Status Code
+  ].join('|'))
+  
+  const aig = []
+  const ail = []
+  const aip = []
+  
+  const participants = appointment.participant || []
+  participants.forEach(participant => {
+    const reference = participant.actor?.reference || ''
+    const actor = resolveReference(resources, participant.actor, appointment)
+    const actorType = actor?.resourceType || reference.split('/').slice(-2)[0]
+    const role = convertFHIRCodeableConceptToCE(participant.type?.[0], context)
+    const status = context.translateCode('AIP-12', '0278', participant.status, PARTICIPANT_STATUS_MAP)
+    
+    if (actorType === 'Location') {
+      ail.push([
+        'AIL',
+        (ail.length + 1).toString(), // Set ID
+        '', // Segment Action Code
+        escapeHL7Text(actor?.name || participant.actor?.display), // Location Resource ID (point of care)
+        convertFHIRCodeableConceptToCE(actor?.type?.[0], context), // Location Type
+        '', // Location Group
+        start, // Start Date/Time
+        '', '', // Start Date/Time Offset, Offset Units
+        duration, durationUnits, // Duration, Duration Units
+        '', // Allow Substitution Code
+        status, // Filler Status Code
+      ].join('|'))
+    } else if (actorType === 'Practitioner' || actorType === 'PractitionerRole') {
+      // A PractitionerRole is sent as its practitioner
+      aip.push([
+        'AIP',
+        (aip.length + 1).toString(), // Set ID
+        '', // Segment Action Code
+        convertFHIRPractitionerToHL7(actor || participant.actor, resources, appointment, context), // Personnel Resource ID
+        role, // Resource Type
+        '', // Resource Group
+        start, // Start Date/Time
+        '', '', // Start Date/Time Offset, Offset Units
+        duration, durationUnits, // Duration, Duration Units
+        '', // Allow Substitution Code
+        status, // Filler Status Code
+      ].join('|'))
+    } else if (actorType === 'HealthcareService' || actorType === 'Device') {
+      const name = actor?.name || actor?.deviceName?.[0]?.name || participant.actor?.display
+      aig.push([
+        'AIG',
+        (aig.length + 1).toString(), // Set ID
+        '', // Segment Action Code
+        `${escapeHL7Text(actor?.id)}^${escapeHL7Text(name)}`, // Resource ID
+        role || convertFHIRCodeableConceptToCE(actor?.type?.[0], context), // Resource Type
+        '', // Resource Group
+        '', '', // Resource Quantity, Quantity Units
+        start, // Start Date/Time
+        '', '', // Start Date/Time Offset, Offset Units
+        duration, durationUnits, // Duration, Duration Units
+        '', // Allow Substitution Code
+        status, // Filler Status Code
+      ].join('|'))
+    }
+  })
+  
+  return [...ais, ...aig, ...ail, ...aip]
+}
+
+// FHIR DocumentReference.docStatus -> HL7 document completion status (table 0271)
+const DOCUMENT_COMPLETION_STATUS_MAP = {
+  'preliminary': 'IP', // In progress
+  'final': 'AU', // Authenticated
+  'amended': 'AU', // Authenticated
+}
+
+// FHIR DocumentReference.status -> HL7 document availability status (table 0273)
+const DOCUMENT_AVAILABILITY_STATUS_MAP = {
+  'current': 'AV', // Available for patient care
+  'superseded': 'OB', // Obsolete
+  'entered-in-error': 'CA', // Deleted
+}
+
+// FHIR v3 Confidentiality -> HL7 document confidentiality status (table 0272)
+const CONFIDENTIALITY_MAP = {
+  'U': 'U', // Usual control
+  'L': 'U',
+  'M': 'U',
+  'N': 'U',
+  'R': 'R', // Restricted
+  'V': 'V', // Very restricted
+}
+
+// Default OBX-5 length limit per repetition (the HL7 2.5 maximum for OBX-5)
+const DEFAULT_MAX_OBSERVATION_VALUE_LENGTH = 65536
+
+/**
+ * Converts FHIR DocumentReference resource to HL7 TXA segment
+ * @param {Object} documentReference - FHIR DocumentReference resource
+ * @param {Array} resources - FHIR resources being converted (to resolve author, authenticator and relatesTo)
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {string} HL7 TXA segment string
+ */
+function convertDocumentReferenceToTXA(documentReference, resources = [], context = new ConversionContext()) {
+  if (!documentReference || documentReference.resourceType !== 'DocumentReference') {
+    return ''
+  }
+  
+  const attachment = documentReference.content?.[0]?.attachment
+  const authenticator = convertFHIRPractitionerToHL7(documentReference.authenticator, resources, documentReference, context)
+  
+  const fields = ['TXA']
+  
+  // TXA-1: Set ID
+  fields.push('1')
+  
+  // TXA-2: Document Type
+  fields.push(escapeHL7Text(documentReference.type?.coding?.[0]?.code || documentReference.type?.text))
+  
+  // TXA-3: Document Content Presentation (table 0191)
+  fields.push(attachment?.contentType?.startsWith('text/plain') ? 'TX' : attachment ? 'AP' : '')
+  
+  // TXA-4: Activity Date/Time
+  fields.push(convertFHIRDateTimeToHL7(documentReference.context?.period?.start, context))
+  
+  // TXA-5: Primary Activity Provider Code/Name - empty
+  fields.push('')
+  
+  // TXA-6: Origination Date/Time
+  fields.push(convertFHIRDateTimeToHL7(attachment?.creation || documentReference.date, context))
+  
+  // TXA-7: Transcription Date/Time - empty
+  fields.push('')
+  
+  // TXA-8: Edit Date/Time (amended documents)
+  fields.push(documentReference.docStatus === 'amended' ? convertFHIRDateTimeToHL7(documentReference.date, context) : '')
+  
+  // TXA-9: Originator Code/Name
+  const authors = (documentReference.author || [])
+    .map(author => convertFHIRPractitionerToHL7(author, resources, documentReference, context))
+    .filter(Boolean)
+  fields.push(authors.join('~'))
+  
+  // TXA-10 to TXA-11: Assigned Document Authenticator, Transcriptionist - empty
+  fields.push('', '')
+  
+  // TXA-12: Unique Document Number
+  fields.push(convertFHIRIdentifierToEI(documentReference.masterIdentifier || documentReference.identifier?.[0]) ||
+    escapeHL7Text(documentReference.id))
+  
+  // TXA-13: Parent Document Number (the document this one replaces or amends)
+  const target = documentReference.relatesTo?.[0]?.target
+  const parent = resolveReference(resources, target, documentReference)
+  fields.push(convertFHIRIdentifierToEI(parent?.masterIdentifier || parent?.identifier?.[0] || target?.identifier))
+  
+  // TXA-14 to TXA-15: Placer and Filler Order Numbers - empty
+  fields.push('', '')
+  
+  // TXA-16: Unique Document File Name
+  fields.push(escapeHL7Text(attachment?.title))
+  
+  // TXA-17: Document Completion Status (legally authenticated when an authenticator is known)
+  const completionStatus = context.withDefault('TXA-17',
+    context.translateCode('TXA-17', '0271', documentReference.docStatus, DOCUMENT_COMPLETION_STATUS_MAP), 'DO', documentReference)
+  fields.push(completionStatus === 'AU' && authenticator ? 'LA' : completionStatus)
+  
+  // TXA-18: Document Confidentiality Status
+  const securityLabels = (documentReference.securityLabel || []).flatMap(label => label.coding || [])
+  fields.push(context.translateCode('TXA-18', '0272', securityLabels, CONFIDENTIALITY_MAP))
+  
+  // TXA-19: Document Availability Status
+  fields.push(context.translateCode('TXA-19', '0273', documentReference.status, DOCUMENT_AVAILABILITY_STATUS_MAP))
+  
+  // TXA-20 to TXA-21: Document Storage Status, Document Change Reason - empty
+  fields.push('', '')
+  
+  // TXA-22: Authentication Person, Time Stamp
+  fields.push(authenticator)
+  
+  return fields.join('|')
+}
+
+/**
+ * Splits text into escaped HL7 values of at most maxLength characters
+ * 
+ * Each line becomes at least one value, so the values can be sent as TX
+ * repetitions; long lines are cut where the escaped length would overflow.
+ * @param {string} text - Unescaped text
+ * @param {number} maxLength - Maximum length of an escaped value
+ * @returns {Array<string>} Escaped values
+ */
+function splitHL7Text(text, maxLength) {
+  const values = []
+  
+  text.split(/\r\n|\r|\n/).forEach(line => {
+    let value = ''
+    for (const char of line) {
+      const escaped = escapeHL7Text(char)
+      if (value.length + escaped.length > maxLength) {
+        values.push(value)
+        value = ''
+      }
+      value += escaped
+    }
+    values.push(value)
+  })
+  
+  return values
+}
+
+/**
+ * Decodes base64 attachment data as UTF-8 text
+ * @param {string} data - Base64 data
+ * @returns {string} Decoded text
+ */
+function decodeBase64Text(data) {
+  // Node.js before 16 has no atob; browsers have no Buffer
+  const bytes = typeof Buffer === 'function'
+    ? Buffer.from(data, 'base64')
+    : Uint8Array.from(atob(data), char => char.charCodeAt(0))
+  return new TextDecoder().decode(bytes)
+}
+
+/**
+ * Converts the attachments of a FHIR DocumentReference to HL7 OBX segments
+ * 
+ * Plain text is decoded and sent as TX, one repetition per line; other
+ * content is sent as ED (^TypeOfData^Subtype^Base64^Data) and attachments
+ * with only a url as RP. Values longer than maxLength are split across
+ * repetitions.
+ * @param {Object} documentReference - FHIR DocumentReference resource
+ * @param {number} maxLength - Maximum length of each OBX-5 repetition
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {Array<string>} HL7 OBX segment strings
+ */
+function convertDocumentReferenceToOBX(documentReference, maxLength = DEFAULT_MAX_OBSERVATION_VALUE_LENGTH, context = new ConversionContext()) {
+  if (!documentReference || documentReference.resourceType !== 'DocumentReference') {
+    return []
+  }
+  
+  const observationIdentifier = convertFHIRCodeableConceptToCE(documentReference.type, context)
+  const resultStatus = documentReference.docStatus === 'preliminary' ? 'P'
+    : documentReference.docStatus === 'amended' ? 'C' : 'F'
+  const observationDateTime = convertFHIRDateTimeToHL7(documentReference.date, context)
+  
+  const contents = documentReference.content || []
+  return contents.map(content => content.attachment).filter(Boolean).map((attachment, index) => {
+    const [mediaType = '', mediaSubtype = ''] = (attachment.contentType || '').split(';')[0].trim().split('/')
+    const typeOfData = { application: 'AP', image: 'IM', audio: 'AU', text: 'TEXT' }[mediaType] || 'AP'
+    const subtype = escapeHL7Text(mediaSubtype.toUpperCase())
+    
+    let valueType
+    let values
+    if (!attachment.data) {
+      // RP: Pointer^ApplicationID^TypeOfData^Subtype
+      valueType = 'RP'
+      values = [`${escapeHL7Text(attachment.url)}^^${typeOfData}^${subtype}`]
+    } else if (attachment.contentType?.startsWith('text/plain')) {
+      valueType = 'TX'
+      values = splitHL7Text(decodeBase64Text(attachment.data), maxLength)
+    } else {
+      // ED: SourceApplication^TypeOfData^DataSubtype^Encoding^Data, data cut at whole base64 quanta
+      valueType = 'ED'
+      const prefix = `^${typeOfData}^${subtype}^Base64^`
+      const chunkLength = Math.max(4, Math.floor((maxLength - prefix.length) / 4) * 4)
+      values = []
+      for (let i = 0; i < attachment.data.length; i += chunkLength) {
+        values.push(prefix + attachment.data.slice(i, i + chunkLength))
+      }
+    }
+    
+    return createOBXSegment(index + 1, {
+      valueType,
+      observationIdentifier,
+      observationSubId: (index + 1).toString(),
+      observationValue: values.join('~'),
+      resultStatus,
+      observationDateTime,
+    })
+  })
+}
+
+// FHIR subscriber-relationship -> HL7 relationship (table 0063)
+const SUBSCRIBER_RELATIONSHIP_MAP = {
+  'self': 'SEL', // Self
+  'spouse': 'SPO', // Spouse
+  'child': 'CHD', // Child
+  'parent': 'PAR', // Parent
+  'common': 'DOM', // Life partner
+  'other': 'OTH', // Other
+  'injured': 'OTH', // Other
+}
+
+/**
+ * Resolves the subscriber of a FHIR Coverage
+ * @param {Object} coverage - FHIR Coverage resource
+ * @param {Array} resources - FHIR resources being converted
+ * @param {Object} patient - FHIR Patient resource (the subscriber when the relationship is self)
+ * @returns {Object|null} Patient or RelatedPerson resource, or null if not present
+ */
+function getCoverageSubscriber(coverage, resources, patient) {
+  const subscriber = resolveReference(resources, coverage.subscriber, coverage) ||
+    resolveReference(resources, coverage.policyHolder, coverage)
+  if (subscriber?.resourceType === 'Patient' || subscriber?.resourceType === 'RelatedPerson') {
+    return subscriber
+  }
+  
+  return coverage.relationship?.coding?.[0]?.code === 'self' ? patient : null
+}
+
+/**
+ * Converts FHIR Coverage resource to HL7 IN1 segment
+ * @param {Object} coverage - FHIR Coverage resource
+ * @param {number} setId - Set ID for this IN1 segment
+ * @param {Array} resources - FHIR resources being converted (to resolve payor and subscriber)
+ * @param {Object} patient - FHIR Patient resource (the beneficiary)
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {string} HL7 IN1 segment string
+ */
+function convertCoverageToIN1(coverage, setId = 1, resources = [], patient = null, context = new ConversionContext()) {
+  if (!coverage || coverage.resourceType !== 'Coverage') {
+    return ''
+  }
+  
+  const payor = resolveReference(resources, coverage.payor?.[0], coverage)
+  const subscriber = getCoverageSubscriber(coverage, resources, patient)
+  const coverageClass = type => coverage.class?.find(c => c.type?.coding?.some(coding => coding.code === type))
+  
+  const fields = ['IN1']
+  
+  // IN1-1: Set ID
+  fields.push(setId.toString())
+  
+  // IN1-2: Insurance Plan ID (class 'plan')
+  const plan = coverageClass('plan')
+  fields.push(plan ? `${escapeHL7Text(plan.value)}^${escapeHL7Text(plan.name)}` : '')
+  
+  // IN1-3: Insurance Company ID
+  fields.push(convertFHIRIdentifierToHL7(payor?.identifier?.[0] || coverage.payor?.[0]?.identifier))
+  
+  // IN1-4: Insurance Company Name
+  fields.push(escapeHL7Text(payor?.name || coverage.payor?.[0]?.display))
+  
+  // IN1-5: Insurance Company Address
+  fields.push(convertFHIRAddressToHL7(payor?.address?.[0]))
+  
+  // IN1-6: Insurance Co Contact Person - empty
+  fields.push('')
+  
+  // IN1-7: Insurance Co Phone Number
+  const phone = payor?.telecom?.find(t => t.system === 'phone')
+  fields.push(escapeHL7Text(phone?.value))
+  
+  // IN1-8 to IN1-9: Group Number and Group Name (class 'group')
+  const group = coverageClass('group')
+  fields.push(escapeHL7Text(group?.value), escapeHL7Text(group?.name))
+  
+  // IN1-10 to IN1-11: Insured's Group Emp ID and Name - empty
+  fields.push('', '')
+  
+  // IN1-12 to IN1-13: Plan Effective and Expiration Dates
+  fields.push(convertFHIRDateTimeToHL7(coverage.period?.start, context).slice(0, 8))
+  fields.push(convertFHIRDateTimeToHL7(coverage.period?.end, context).slice(0, 8))
+  
+  // IN1-14: Authorization Information - empty
+  fields.push('')
+  
+  // IN1-15: Plan Type
+  fields.push(escapeHL7Text(coverage.type?.coding?.[0]?.code))
+  
+  // IN1-16: Name of Insured
+  fields.push(subscriber?.name?.length > 0 ? convertFHIRNameToHL7(subscriber.name[0], context) : '')
+  
+  // IN1-17: Insured's Relationship to Patient
+  fields.push(context.translateCode('IN1-17', '0063', coverage.relationship, SUBSCRIBER_RELATIONSHIP_MAP))
+  
+  // IN1-18: Insured's Date of Birth
+  fields.push(convertFHIRDateTimeToHL7(subscriber?.birthDate, context))
+  
+  // IN1-19: Insured's Address
+  fields.push(convertFHIRAddressToHL7(subscriber?.address?.[0]))
+  
+  // IN1-20 to IN1-21: Assignment of Benefits, Coordination of Benefits - empty
+  fields.push('', '')
+  
+  // IN1-22: Coord of Ben. Priority
+  fields.push(coverage.order !== undefined ? coverage.order.toString() : '')
+  
+  // IN1-23 to IN1-35 - empty
+  for (let i = 23; i <= 35; i++) {
+    fields.push('')
+  }
+  
+  // IN1-36: Policy Number
+  fields.push(escapeHL7Text(coverage.subscriberId || coverage.identifier?.[0]?.value))
+  
+  return fields.join('|')
+}
+
+/**
+ * Converts FHIR Coverage resource to HL7 IN2 segment
+ * @param {Object} coverage - FHIR Coverage resource
+ * @param {Array} resources - FHIR resources being converted (to resolve the subscriber)
+ * @param {Object} patient - FHIR Patient resource (the beneficiary)
+ * @returns {string} HL7 IN2 segment string, or '' if the Coverage has no IN2 data
+ */
+function convertCoverageToIN2(coverage, resources = [], patient = null) {
+  if (!coverage || coverage.resourceType !== 'Coverage') {
+    return ''
+  }
+  
+  const subscriber = getCoverageSubscriber(coverage, resources, patient)
+  const ssn = subscriber?.identifier?.find(id => id.system === 'http://hl7.org/fhir/sid/us-ssn')?.value
+  const memberNumber = coverage.identifier?.find(id => id.type?.coding?.some(c => c.code === 'MB'))
+  
+  if (!ssn && !memberNumber) {
+    return ''
+  }
+  
+  const fields = ['IN2']
+  
+  // IN2-1: Insured's Employee ID - empty
+  fields.push('')
+  
+  // IN2-2: Insured's Social Security Number
+  fields.push(escapeHL7Text(ssn))
+  
+  // IN2-3 to IN2-60 - empty
+  for (let i = 3; i <= 60; i++) {
     fields.push('')
   }
   
-  // PID-8: Administrative Sex
-  fields.push(convertFHIRGenderToHL7(patient.gender))
+  // IN2-61: Patient Member Number
+  fields.push(convertFHIRIdentifierToHL7(memberNumber))
+  
+  return fields.join('|')
+}
+
+// FHIR v3 RoleCode (RelatedPerson.relationship) -> HL7 relationship (table 0063)
+const GUARANTOR_RELATIONSHIP_MAP = {
+  'SPS': 'SPO', // Spouse
+  'HUSB': 'SPO',
+  'WIFE': 'SPO',
+  'DOMPART': 'DOM', // Life partner
+  'PRN': 'PAR', // Parent
+  'MTH': 'PAR',
+  'FTH': 'PAR',
+  'CHILD': 'CHD', // Child
+  'SON': 'CHD',
+  'DAU': 'CHD',
+  'GUARD': 'GRD', // Guardian
+  'EMP': 'EMR', // Employer
+}
+
+/**
+ * Converts a FHIR Account.guarantor to HL7 GT1 segment
+ * @param {Object} guarantor - FHIR Account.guarantor element (party, onHold, period)
+ * @param {number} setId - Set ID for this GT1 segment (also sent as the guarantor priority)
+ * @param {Array} resources - FHIR resources being converted (to resolve the party)
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {string} HL7 GT1 segment string
+ */
+function convertAccountGuarantorToGT1(guarantor, setId = 1, resources = [], context = new ConversionContext()) {
+  if (!guarantor?.party) {
+    return ''
+  }
+  
+  const party = resolveReference(resources, guarantor.party) || {}
+  const isOrganization = party.resourceType === 'Organization' || guarantor.party.reference?.includes('Organization/')
+  const organizationName = escapeHL7Text(isOrganization ? party.name || guarantor.party.display : '')
+  
+  const fields = ['GT1']
+  
+  // GT1-1: Set ID
+  fields.push(setId.toString())
+  
+  // GT1-2: Guarantor Number
+  fields.push(convertFHIRIdentifierToHL7(party.identifier?.[0]))
+  
+  // GT1-3: Guarantor Name (organizations are named in the family name component)
+  if (party.name?.length > 0 && !isOrganization) {
+    fields.push(convertFHIRNameToHL7(party.name[0], context))
+  } else {
+    fields.push(organizationName || escapeHL7Text(guarantor.party.display))
+  }
+  
+  // GT1-4: Guarantor Spouse Name - empty
+  fields.push('')
+  
+  // GT1-5: Guarantor Address
+  fields.push(convertFHIRAddressToHL7(party.address?.[0]))
+  
+  // GT1-6: Guarantor Ph Num - Home
+  const homePhone = party.telecom?.find(t => t.system === 'phone' && (t.use === 'home' || !t.use))
+  fields.push(escapeHL7Text(isOrganization ? '' : homePhone?.value))
+  
+  // GT1-7: Guarantor Ph Num - Business
+  const workPhone = party.telecom?.find(t => t.system === 'phone' && (t.use === 'work' || isOrganization))
+  fields.push(escapeHL7Text(workPhone?.value))
+  
+  // GT1-8: Guarantor Date/Time of Birth
+  fields.push(convertFHIRDateTimeToHL7(party.birthDate, context))
+  
+  // GT1-9: Guarantor Administrative Sex
+  fields.push(isOrganization || !party.resourceType ? '' : convertFHIRGenderToHL7(party.gender, context, 'GT1-9'))
+  
+  // GT1-10: Guarantor Type - empty
+  fields.push('')
+  
+  // GT1-11: Guarantor Relationship (a Patient party is the patient themselves)
+  let relationship = ''
+  if (party.resourceType === 'Patient') {
+    relationship = 'SEL'
+  } else if (party.resourceType === 'RelatedPerson') {
+    const codings = (party.relationship || []).flatMap(r => r.coding || [])
+    relationship = context.withDefault('GT1-11', context.translateCode('GT1-11', '0063', codings, GUARANTOR_RELATIONSHIP_MAP), 'OTH', party)
+  }
+  fields.push(relationship)
+  
+  // GT1-12: Guarantor SSN
+  const ssn = party.identifier?.find(id => id.system === 'http://hl7.org/fhir/sid/us-ssn')?.value
+  fields.push(escapeHL7Text(ssn))
+  
+  // GT1-13 to GT1-14: Guarantor Date - Begin and End
+  fields.push(convertFHIRDateTimeToHL7(guarantor.period?.start, context).slice(0, 8))
+  fields.push(convertFHIRDateTimeToHL7(guarantor.period?.end, context).slice(0, 8))
+  
+  // GT1-15: Guarantor Priority
+  fields.push(setId.toString())
+  
+  // GT1-16 to GT1-20 - empty
+  fields.push('', '', '', '', '')
+  
+  // GT1-21: Guarantor Organization Name
+  fields.push(organizationName)
+  
+  // GT1-22: Guarantor Billing Hold Flag
+  fields.push(guarantor.onHold === undefined ? '' : guarantor.onHold ? 'Y' : 'N')
+  
+  return fields.join('|')
+}
+
+/**
+ * Creates EVN segment for HL7 message
+ * @param {string} eventType - Event type code (e.g., 'A01')
+ * @param {string} recordedDateTime - Optional recorded date/time
+ * @param {ConversionContext} context - Conversion context (receiver timezone)
+ * @returns {string} EVN segment string
+ */
+function createEVNSegment(eventType = 'A01', recordedDateTime = null, context = new ConversionContext()) {
+  const timestamp = recordedDateTime
+    ? convertFHIRDateTimeToHL7(recordedDateTime, context)
+    : formatHL7Timestamp(new Date(), context.timezone)
+  
+  const fields = [
+    'EVN',
+    eventType, // Event Type Code
+    timestamp, // Recorded Date/Time
+    '', // Date/Time Planned Event
+    '', // Event Reason Code
+    'SendingUserID', // Operator ID
+    '', // Event Occurred
+    '', // Event Facility
+  ]
+  
+  return fields.join('|')
+}
+
+// HL7 message type^event -> message structure (MSH-9.3)
+const MESSAGE_STRUCTURES = {
+  'ADT^A01': 'ADT_A01',
+  'ADT^A02': 'ADT_A02',
+  'ADT^A03': 'ADT_A03',
+  'ADT^A04': 'ADT_A01',
+  'ADT^A05': 'ADT_A05',
+  'ADT^A08': 'ADT_A01',
+  'ADT^A11': 'ADT_A09',
+  'ADT^A13': 'ADT_A01',
+  'ADT^A14': 'ADT_A05',
+  'ADT^A21': 'ADT_A21',
+  'ADT^A22': 'ADT_A21',
+  'ADT^A40': 'ADT_A39',
+  'ADT^A47': 'ADT_A30',
+  'ORU^R01': 'ORU_R01',
+  'ORM^O01': 'ORM_O01',
+  'OML^O21': 'OML_O21',
+  'VXU^V04': 'VXU_V04',
+  'SIU^S12': 'SIU_S12',
+  'SIU^S13': 'SIU_S12',
+  'SIU^S14': 'SIU_S12',
+  'SIU^S15': 'SIU_S12',
+  'SIU^S26': 'SIU_S12',
+  'MDM^T02': 'MDM_T02',
+  'MDM^T08': 'MDM_T02',
+  'MDM^T11': 'MDM_T01',
+}
+
+// HL7 ADT message structure -> segments it carries besides MSH, EVN and PID, in message order
+const ADT_STRUCTURE_SEGMENTS = {
+  'ADT_A01': ['PD1', 'NK1', 'PV1', 'PV2', 'OBX', 'AL1', 'DG1', 'GT1', 'IN1'],
+  'ADT_A02': ['PD1', 'PV1', 'PV2', 'OBX'],
+  'ADT_A03': ['PD1', 'NK1', 'PV1', 'PV2', 'AL1', 'DG1', 'OBX', 'GT1', 'IN1'],
+  'ADT_A05': ['PD1', 'NK1', 'PV1', 'PV2', 'OBX', 'AL1', 'DG1', 'GT1', 'IN1'],
+  'ADT_A09': ['PD1', 'PV1', 'PV2', 'OBX', 'DG1'],
+  'ADT_A21': ['PD1', 'PV1', 'PV2', 'OBX'],
+  'ADT_A39': ['PD1', 'MRG', 'PV1'],
+  'ADT_A30': ['PD1', 'MRG'],
+}
+
+/**
+ * Finds the surviving and prior Patient records of a merge
+ * 
+ * A Patient linked 'replaced-by' to another Patient in the input is the
+ * prior (obsolete) record. Otherwise a 'replaces' link on the patient
+ * names the prior record, which may be absent from the input.
+ * @param {Array} resources - FHIR resources being converted
+ * @param {Object} patient - FHIR Patient resource
+ * @returns {Object|null} Object with surviving, prior and linkType, or null if there is no merge
+ */
+function getMergedPatients(resources, patient) {
+  for (const candidate of resources.filter(r => r.resourceType === 'Patient')) {
+    const link = candidate.link?.find(l => l.type === 'replaced-by')
+    const surviving = resolveReference(resources, link?.other, candidate)
+    if (surviving?.resourceType === 'Patient') {
+      return { surviving, prior: candidate, linkType: 'replaced-by' }
+    }
+  }
+  
+  const link = patient?.link?.find(l => l.type === 'replaces')
+  if (link) {
+    const prior = resolveReference(resources, link.other, patient) ||
+      { resourceType: 'Patient', identifier: link.other?.identifier ? [link.other.identifier] : [] }
+    return { surviving: patient, prior, linkType: 'replaces' }
+  }
   
-  // PID-9: Patient Alias
-  const aliasNames = patient.name?.filter(n => n.use === 'nickname' || n.use === 'usual')
-  if (aliasNames && aliasNames.length > 0) {
-    const aliases = aliasNames.map(name => convertFHIRNameToHL7(name))
-    fields.push(aliases.join('~') || '')
-  } else {
-    fields.push('')
+  return null
+}
+
+/**
+ * Creates MRG segment for HL7 message
+ * @param {Array} priorIdentifiers - FHIR Identifiers the patient was previously known by
+ * @param {Object} priorName - FHIR HumanName the patient was previously known by (optional)
+ * @param {ConversionContext} context - Conversion context (HL7 version)
+ * @returns {string} MRG segment string
+ */
+function createMRGSegment(priorIdentifiers = [], priorName = null, context = new ConversionContext()) {
+  const fields = [
+    'MRG',
+    priorIdentifiers.map(id => convertFHIRIdentifierToHL7(id)).filter(Boolean).join('~'), // Prior Patient Identifier List
+    '', // Prior Alternate Patient ID
+    '', // Prior Patient Account Number
+    '', // Prior Patient ID
+    '', // Prior Visit Number
+    '', // Prior Alternate Visit ID
+    priorName ? convertFHIRNameToHL7(priorName, context) : '', // Prior Patient Name
+  ]
+  
+  return fields.join('|')
+}
+
+/**
+ * Default trigger event rules, tried in order; the first rule whose `when`
+ * matches the resources picks the message type (MSH-9) and structure.
+ * 
+ * A `when` matches if all of its conditions hold:
+ * - resourceTypes: every listed resource type is present
+ * - encounterStatus / encounterClass: the first Encounter's status / class code is listed
+ * - match: every predicate holds. A predicate is { path, equals }, { path, in }
+ *   or { path, exists } where path is FHIRPath-like ('Encounter.location.status',
+ *   collecting values through arrays), or { test: (resources, patient) => boolean }
+ * 
+ * Rules after the ADT catch-all are only reached when options.messageType
+ * requests their message type (e.g. 'ORM').
+ */
+export const DEFAULT_TRIGGER_EVENT_RULES = [
+  // Results and immunizations
+  { when: { resourceTypes: ['DiagnosticReport'] }, messageType: 'ORU^R01' },
+  { when: { resourceTypes: ['Immunization'] }, messageType: 'VXU^V04^VXU_V04' },
+  
+  // Scheduling, from Appointment.status
+  {
+    when: { resourceTypes: ['Appointment'], match: [{ path: 'Appointment.status', in: ['cancelled', 'entered-in-error'] }] },
+    messageType: 'SIU^S15', // Appointment Cancellation
+  },
+  {
+    when: { resourceTypes: ['Appointment'], match: [{ path: 'Appointment.status', equals: 'noshow' }] },
+    messageType: 'SIU^S26', // Patient Did Not Show Up
+  },
+  {
+    when: { resourceTypes: ['Appointment'], match: [{ path: 'Appointment.status', in: ['arrived', 'checked-in', 'fulfilled'] }] },
+    messageType: 'SIU^S14', // Appointment Modification
+  },
+  {
+    // Rescheduled appointments point at the appointment they replace (R5 previousAppointment)
+    when: { resourceTypes: ['Appointment'], match: [{ path: 'Appointment.previousAppointment', exists: true }] },
+    messageType: 'SIU^S13', // Appointment Rescheduling
+  },
+  { when: { resourceTypes: ['Appointment'] }, messageType: 'SIU^S12' }, // New Appointment Booking
+  
+  // Documents, from DocumentReference.status/docStatus/relatesTo
+  {
+    when: { resourceTypes: ['DocumentReference'], match: [{ path: 'DocumentReference.status', equals: 'entered-in-error' }] },
+    messageType: 'MDM^T11', // Document Cancel Notification
+  },
+  {
+    when: { resourceTypes: ['DocumentReference'], match: [{ path: 'DocumentReference.docStatus', equals: 'entered-in-error' }] },
+    messageType: 'MDM^T11', // Document Cancel Notification
+  },
+  {
+    when: { resourceTypes: ['DocumentReference'], match: [{ path: 'DocumentReference.docStatus', equals: 'amended' }] },
+    messageType: 'MDM^T08', // Document Edit Notification and Content
+  },
+  {
+    when: { resourceTypes: ['DocumentReference'], match: [{ path: 'DocumentReference.relatesTo.code', in: ['replaces', 'appends'] }] },
+    messageType: 'MDM^T08', // Document Edit Notification and Content
+  },
+  { when: { resourceTypes: ['DocumentReference'] }, messageType: 'MDM^T02' }, // Original Document Notification and Content
+  
+  // ADT, from Patient links and Encounter status/class
+  {
+    // An obsolete Patient record replaced by another one in the input
+    when: { match: [{ test: (resources, patient) => getMergedPatients(resources, patient)?.linkType === 'replaced-by' }] },
+    messageType: 'ADT^A40', // Merge Patient - Patient Identifier List
+  },
+  { when: { match: [{ path: 'Encounter', exists: false }] }, messageType: 'ADT^A08' }, // Patient Update
+  { when: { encounterStatus: ['entered-in-error'] }, messageType: 'ADT^A11' }, // Cancel Admit/Visit Notification
+  {
+    // A current encounter that has left a previous location
+    when: {
+      encounterStatus: ['arrived', 'in-progress'],
+      match: [
+        { path: 'Encounter.location.status', equals: 'completed' },
+        { path: 'Encounter.location.status', equals: 'active' },
+      ],
+    },
+    messageType: 'ADT^A02', // Transfer a Patient
+  },
+  { when: { encounterStatus: ['planned'] }, messageType: 'ADT^A04' }, // Patient Register
+  { when: { encounterStatus: ['arrived', 'in-progress'] }, messageType: 'ADT^A01' }, // Patient Admit
+  { when: { encounterStatus: ['finished', 'cancelled'] }, messageType: 'ADT^A03' }, // Patient Discharge
+  { when: { encounterStatus: ['onleave'] }, messageType: 'ADT^A14' }, // Pending Admit
+  { when: { encounterClass: ['IMP'] }, messageType: 'ADT^A01' }, // Patient Admit
+  { when: {}, messageType: 'ADT^A08' }, // Patient Update
+  
+  // Requested explicitly
+  { when: { resourceTypes: ['Observation'] }, messageType: 'ORU^R01' },
+  { when: { resourceTypes: ['ServiceRequest'] }, messageType: 'ORM^O01' },
+  { when: { resourceTypes: ['ServiceRequest'] }, messageType: 'OML^O21' },
+]
+
+/**
+ * Evaluates a FHIRPath-like path ('ResourceType.element.element') against the resources
+ * @param {Array} resources - FHIR resources being converted
+ * @param {string} path - Path starting with a resource type; arrays are flattened at each step
+ * @returns {Array} Values found (empty if none)
+ */
+function evaluateResourcePath(resources, path) {
+  const [resourceType, ...elements] = path.split('.')
+  let values = resources.filter(r => r.resourceType === resourceType)
+  
+  for (const element of elements) {
+    values = values
+      .flatMap(value => value?.[element])
+      .filter(value => value !== undefined && value !== null)
   }
   
-  // PID-10: Race
-  const raceExt = patient.extension?.find(
-    ext => ext.url === 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-race'
-  )
-  if (raceExt?.extension) {
-    const raceCodes = raceExt.extension
-      .filter(e => e.url === 'ombCategory')
-      .map(e => e.valueCoding?.code || '')
-      .filter(c => c)
-    if (raceCodes.length > 0) {
-      fields.push(raceCodes.join('~'))
-    } else {
-      fields.push('')
+  return values
+}
+
+/**
+ * Checks whether a trigger event rule's conditions hold
+ * @param {Object} when - Rule conditions (resourceTypes, encounterStatus, encounterClass, match)
+ * @param {Array} resources - FHIR resources being converted
+ * @param {Object} patient - FHIR Patient resource
+ * @returns {boolean} True if every condition holds
+ */
+function matchesTriggerEventRule(when = {}, resources, patient) {
+  const encounter = resources.find(r => r.resourceType === 'Encounter')
+  
+  if (when.resourceTypes && !when.resourceTypes.every(type => resources.some(r => r.resourceType === type))) {
+    return false
+  }
+  if (when.encounterStatus && !when.encounterStatus.includes(encounter?.status)) {
+    return false
+  }
+  if (when.encounterClass && !when.encounterClass.includes(encounter?.class?.code)) {
+    return false
+  }
+  
+  return (when.match || []).every(predicate => {
+    if (predicate.test) {
+      return Boolean(predicate.test(resources, patient))
+    }
+    
+    const values = evaluateResourcePath(resources, predicate.path)
+    if ('exists' in predicate) return (values.length > 0) === Boolean(predicate.exists)
+    if ('equals' in predicate) return values.some(value => value === predicate.equals)
+    if ('in' in predicate) return values.some(value => predicate.in.includes(value))
+    return values.length > 0
+  })
+}
+
+/**
+ * Resolves the message type, trigger event and message structure to build
+ * 
+ * A full options.messageType (e.g. 'ADT^A02') is used as given. Otherwise the
+ * trigger event rules (options.triggerEventRules, or the default rules) are
+ * tried in order; a bare options.messageType (e.g. 'SIU') restricts them to
+ * rules for that message type.
+ * @param {Array} resources - FHIR resources being converted
+ * @param {Object} patient - FHIR Patient resource
+ * @param {Object} options - Conversion options
+ * @returns {Object} Object with messageType (MSH-9), eventType and structure
+ */
+function resolveTriggerEvent(resources, patient, options = {}) {
+  const requested = options.messageType || ''
+  
+  let rule = { messageType: requested }
+  if (!requested.includes('^')) {
+    const rules = options.triggerEventRules || DEFAULT_TRIGGER_EVENT_RULES
+    rule = rules.find(r =>
+      (!requested || r.messageType.startsWith(`${requested}^`)) && matchesTriggerEventRule(r.when, resources, patient)
+    )
+    if (!rule) {
+      throw new Error(`No trigger event rule matches${requested ? ` message type ${requested}` : ''}`)
     }
-  } else {
-    fields.push('')
   }
   
-  // PID-11: Patient Address
-  if (patient.address && patient.address.length > 0) {
-    const addresses = patient.address.map(addr => convertFHIRAddressToHL7(addr))
-    fields.push(addresses.join('~') || '')
-  } else {
-    fields.push('')
+  const [type, eventType = '', structure] = rule.messageType.split('^')
+  return {
+    messageType: rule.messageType,
+    eventType,
+    structure: rule.structure || structure || MESSAGE_STRUCTURES[`${type}^${eventType}`] || '',
   }
+}
+
+/**
+ * Builds the segments of an ORM^O01 or OML^O21 order message
+ * 
+ * Each ServiceRequest becomes an ORC/OBR order group, followed by NTE for
+ * its notes, DG1 for its reasons and (OML^O21 only) SPM for its specimens.
+ * ORM^O01 has no SPM segment, so the specimen type goes to OBR-15 instead.
+ * @param {Array} resources - FHIR resources being converted
+ * @param {Object} patient - FHIR Patient resource
+ * @param {Object} options - Conversion options
+ * @param {Object} trigger - Resolved trigger event (messageType 'ORM^O01' or 'OML^O21')
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {Array<string>} HL7 segment strings
+ */
+function buildOrderSegments(resources, patient, options, trigger, context) {
+  const messageType = trigger.messageType
+  const encounter = resources.find(r => r.resourceType === 'Encounter')
+  const serviceRequests = resources.filter(r => r.resourceType === 'ServiceRequest')
   
-  // PID-12: County Code
-  const countyCode = patient.address?.[0]?.district
-  fields.push(countyCode || '')
+  if (serviceRequests.length === 0) {
+    throw new Error('ServiceRequest resource is required for order messages')
+  }
   
-  // PID-13: Phone Number - Home
-  const homePhone = patient.telecom?.find(t => t.system === 'phone' && (t.use === 'home' || !t.use))
-  fields.push(homePhone?.value || '')
+  const segments = []
   
-  // PID-14: Phone Number - Business
-  const workPhone = patient.telecom?.find(t => t.system === 'phone' && t.use === 'work')
-  fields.push(workPhone?.value || '')
+  // MSH segment
+  segments.push(createMSHSegment(trigger, null, options))
   
-  // PID-15: Primary Language
-  const language = patient.communication?.find(c => c.preferred)?.language?.coding?.[0]?.code
-  fields.push(language || '')
+  // PID segment
+  segments.push(convertPatientToPID(patient, context))
   
-  // PID-16: Marital Status
-  if (patient.maritalStatus) {
-    fields.push(convertFHIRMaritalStatusToHL7(patient.maritalStatus))
-  } else {
-    fields.push('')
+  // PV1 segment (if encounter exists)
+  if (encounter) {
+    const pv1Segment = convertEncounterToPV1(encounter, resources, context)
+    if (pv1Segment) {
+      segments.push(pv1Segment)
+    }
   }
   
-  // PID-17: Religion
-  const religion = patient.extension?.find(
-    ext => ext.url === 'http://hl7.org/fhir/StructureDefinition/patient-religion'
-  )
-  if (religion?.valueCodeableConcept?.coding?.[0]?.code) {
-    fields.push(religion.valueCodeableConcept.coding[0].code)
-  } else {
-    fields.push('')
+  serviceRequests.forEach((serviceRequest, index) => {
+    const specimens = (serviceRequest.specimen || [])
+      .map(ref => resolveReference(resources, ref, serviceRequest))
+      .filter(r => r?.resourceType === 'Specimen')
+    
+    // ORC/OBR segments; the specimen type is SPS-1, so its CE parts are subcomponents
+    const sendsSPM = messageType.startsWith('OML') && context.version.specimenSegment
+    const specimenSource = !sendsSPM
+      ? convertFHIRCodeableConceptToCE(specimens[0]?.type, context).replace(/\^/g, '&')
+      : ''
+    segments.push(convertServiceRequestToORC(serviceRequest, resources, context))
+    segments.push(convertServiceRequestToOBR(serviceRequest, index + 1, resources, specimenSource, context))
+    
+    // NTE segments (ServiceRequest.note)
+    const notes = serviceRequest.note || []
+    notes.forEach((note, noteIndex) => {
+      segments.push(createNTESegment(noteIndex + 1, note.text, 'P'))
+    })
+    
+    // DG1 segments (reasonCode and reasonReference Conditions)
+    const reasons = [
+      ...(serviceRequest.reasonCode || []).map(code => ({ resourceType: 'Condition', code })),
+      ...(serviceRequest.reasonReference || [])
+        .map(ref => resolveReference(resources, ref, serviceRequest))
+        .filter(r => r?.resourceType === 'Condition'),
+    ]
+    reasons.forEach((condition, reasonIndex) => {
+      segments.push(convertConditionToDG1(condition, reasonIndex + 1, resources, context))
+    })
+    
+    // SPM segments (OML^O21)
+    if (sendsSPM) {
+      specimens.forEach((specimen, specimenIndex) => {
+        segments.push(convertSpecimenToSPM(specimen, specimenIndex + 1, context))
+      })
+    }
+  })
+  
+  return segments
+}
+
+/**
+ * Builds the segments of a VXU^V04 immunization message
+ * 
+ * Follows the CDC immunization IG (HL7 2.5.1, profile Z22): each
+ * Immunization becomes an ORC/RXA/RXR order group followed by OBX segments
+ * for its funding eligibility and VIS data. The IG's MSH-12, MSH-15, MSH-16
+ * and MSH-21 values are defaults that options can override.
+ * @param {Array} resources - FHIR resources being converted
+ * @param {Object} patient - FHIR Patient resource
+ * @param {Object} options - Conversion options
+ * @param {Object} trigger - Resolved trigger event
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {Array<string>} HL7 segment strings
+ */
+function buildVXUSegments(resources, patient, options, trigger, context) {
+  const encounter = resources.find(r => r.resourceType === 'Encounter')
+  const relatedPersons = resources.filter(r => r.resourceType === 'RelatedPerson')
+  const immunizations = resources.filter(r => r.resourceType === 'Immunization')
+  
+  if (immunizations.length === 0) {
+    throw new Error('Immunization resource is required for VXU messages')
   }
   
-  // PID-18: Patient Account Number
-  const accountNumber = patient.identifier?.find(id => 
-    id.type?.coding?.some(c => c.code === 'AN' || c.display?.toLowerCase().includes('account'))
-  )
-  fields.push(accountNumber ? convertFHIRIdentifierToHL7(accountNumber) : '')
+  const segments = []
   
-  // PID-19: SSN Number
-  const ssn = patient.identifier?.find(id => 
-    id.type?.coding?.some(c => c.code === 'SS') || 
-    id.system?.includes('ssn') ||
-    id.system?.includes('us-ssn')
-  )
-  fields.push(ssn ? convertFHIRIdentifierToHL7(ssn) : '')
+  // MSH segment (VXU has no EVN)
+  segments.push(createMSHSegment(trigger, null, {
+    acceptAcknowledgmentType: 'ER',
+    applicationAcknowledgmentType: 'AL',
+    messageProfileIdentifier: ['Z22', 'CDCPHINVS'],
+    ...options,
+  }))
   
-  // PID-20: Driver's License Number
-  const dl = patient.identifier?.find(id => 
-    id.type?.coding?.some(c => c.code === 'DL') || 
-    id.system?.includes('driver') ||
-    id.system?.includes('dl')
-  )
-  if (dl) {
-    const dlValue = convertFHIRIdentifierToHL7(dl)
-    // Add state and expiration if available
-    const state = dl.extension?.find(e => e.url === 'http://hl7.org/fhir/StructureDefinition/identifier-state')?.valueString
-    const expiration = dl.period?.end ? convertFHIRDateTimeToHL7(dl.period.end) : ''
-    if (state || expiration) {
-      fields.push(`${dlValue}^${state || ''}^${expiration || ''}`)
-    } else {
-      fields.push(dlValue)
+  // PID segment
+  segments.push(convertPatientToPID(patient, context))
+  
+  // NK1 segments (RelatedPerson)
+  relatedPersons.forEach((relatedPerson, index) => {
+    const nk1Segment = convertRelatedPersonToNK1(relatedPerson, index + 1, context)
+    if (nk1Segment) {
+      segments.push(nk1Segment)
+    }
+  })
+  
+  // PV1 segment (if encounter exists)
+  if (encounter) {
+    const pv1Segment = convertEncounterToPV1(encounter, resources, context)
+    if (pv1Segment) {
+      segments.push(pv1Segment)
     }
-  } else {
-    fields.push('')
   }
   
-  // PID-21: Mother's Identifier - empty
-  fields.push('')
+  // ORC/RXA/RXR/OBX groups (Immunization)
+  immunizations.forEach(immunization => {
+    segments.push(convertImmunizationToORC(immunization, resources, context))
+    segments.push(convertImmunizationToRXA(immunization, resources, context))
+    
+    const rxrSegment = convertImmunizationToRXR(immunization, context)
+    if (rxrSegment) {
+      segments.push(rxrSegment)
+    }
+    
+    segments.push(...convertImmunizationToOBX(immunization, context))
+  })
   
-  // PID-22: Ethnic Group
-  const ethnicityExt = patient.extension?.find(
-    ext => ext.url === 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-ethnicity'
-  )
-  if (ethnicityExt?.extension) {
-    const ethnicityCodes = ethnicityExt.extension
-      .filter(e => e.url === 'ombCategory')
-      .map(e => e.valueCoding?.code || '')
-      .filter(c => c)
-    if (ethnicityCodes.length > 0) {
-      fields.push(ethnicityCodes.join('~'))
-    } else {
-      fields.push('')
+  return segments
+}
+
+/**
+ * Builds the segments of an SIU scheduling message
+ * 
+ * SIU carries a single appointment, so only the first Appointment is sent.
+ * @param {Array} resources - FHIR resources being converted
+ * @param {Object} patient - FHIR Patient resource
+ * @param {Object} options - Conversion options
+ * @param {Object} trigger - Resolved trigger event (e.g. 'SIU^S14' from the Appointment status)
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {Array<string>} HL7 segment strings
+ */
+function buildSIUSegments(resources, patient, options, trigger, context) {
+  const encounter = resources.find(r => r.resourceType === 'Encounter')
+  const appointment = resources.find(r => r.resourceType === 'Appointment')
+  
+  if (!appointment) {
+    throw new Error('Appointment resource is required for SIU messages')
+  }
+  
+  const segments = []
+  
+  // MSH segment (SIU has no EVN)
+  segments.push(createMSHSegment(trigger, null, options))
+  
+  // SCH segment
+  segments.push(convertAppointmentToSCH(appointment, resources, context))
+  
+  // NTE segments (Appointment.comment, R5 note)
+  const comments = [appointment.comment, ...(appointment.note || []).map(note => note.text)].filter(Boolean)
+  comments.forEach((comment, index) => {
+    segments.push(createNTESegment(index + 1, comment))
+  })
+  
+  // PID segment
+  segments.push(convertPatientToPID(patient, context))
+  
+  // PV1 segment (if encounter exists)
+  if (encounter) {
+    const pv1Segment = convertEncounterToPV1(encounter, resources, context)
+    if (pv1Segment) {
+      segments.push(pv1Segment)
     }
-  } else {
-    fields.push('')
   }
   
-  // PID-23: Birth Place
-  const birthPlace = patient.extension?.find(
-    ext => ext.url === 'http://hl7.org/fhir/StructureDefinition/birthPlace'
-  )
-  if (birthPlace?.valueAddress) {
-    fields.push(convertFHIRAddressToHL7(birthPlace.valueAddress))
-  } else {
-    fields.push('')
+  // RGS segment (a single resource group)
+  segments.push('RGS|1|')
+  
+  // AIS/AIG/AIL/AIP segments
+  segments.push(...convertAppointmentToResourceSegments(appointment, resources, context))
+  
+  return segments
+}
+
+/**
+ * Builds the segments of an MDM document message
+ * 
+ * MDM carries a single document, so only the first DocumentReference is
+ * sent. T11 cancels the document and has no content.
+ * @param {Array} resources - FHIR resources being converted
+ * @param {Object} patient - FHIR Patient resource
+ * @param {Object} options - Conversion options (options.maxObservationValueLength limits each OBX-5 repetition)
+ * @param {Object} trigger - Resolved trigger event (e.g. 'MDM^T08' from the DocumentReference status)
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {Array<string>} HL7 segment strings
+ */
+function buildMDMSegments(resources, patient, options, trigger, context) {
+  const encounter = resources.find(r => r.resourceType === 'Encounter')
+  const documentReference = resources.find(r => r.resourceType === 'DocumentReference')
+  
+  if (!documentReference) {
+    throw new Error('DocumentReference resource is required for MDM messages')
   }
   
-  // PID-24: Multiple Birth Indicator
-  if (patient.multipleBirthBoolean !== undefined) {
-    fields.push(patient.multipleBirthBoolean ? 'Y' : 'N')
-  } else if (patient.multipleBirthInteger) {
-    fields.push('Y')
-  } else {
-    fields.push('')
+  const { eventType } = trigger
+  
+  const segments = []
+  
+  // MSH segment
+  segments.push(createMSHSegment(trigger, null, options))
+  
+  // EVN segment
+  segments.push(createEVNSegment(eventType, documentReference.date, context))
+  
+  // PID segment
+  segments.push(convertPatientToPID(patient, context))
+  
+  // PV1 segment (required, so without an Encounter it says not applicable)
+  segments.push((encounter && convertEncounterToPV1(encounter, resources, context)) || createNoVisitPV1Segment(context))
+  
+  // TXA segment
+  segments.push(convertDocumentReferenceToTXA(documentReference, resources, context))
+  
+  // OBX segments (document content; cancel notifications have none)
+  if (eventType !== 'T11') {
+    const maxLength = options.maxObservationValueLength || DEFAULT_MAX_OBSERVATION_VALUE_LENGTH
+    segments.push(...convertDocumentReferenceToOBX(documentReference, maxLength, context))
   }
   
-  // PID-25: Birth Order
-  if (patient.multipleBirthInteger) {
-    fields.push(patient.multipleBirthInteger.toString())
-  } else {
-    fields.push('')
+  return segments
+}
+
+/**
+ * Builds the segments of an ADT message
+ * 
+ * Only the segments of the trigger event's message structure are sent;
+ * merges (A40) and identifier changes (A47) add MRG for the prior patient
+ * identifiers.
+ * @param {Array} resources - FHIR resources being converted
+ * @param {Object} patient - FHIR Patient resource
+ * @param {Object} options - Conversion options
+ * @param {Object} trigger - Resolved trigger event (e.g. 'ADT^A02' from the Encounter)
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {Array<string>} HL7 segment strings
+ */
+function buildADTSegments(resources, patient, options, trigger, context) {
+  // Find other resources
+  const encounter = resources.find(r => r.resourceType === 'Encounter')
+  const relatedPersons = resources.filter(r => r.resourceType === 'RelatedPerson')
+  const observations = resources.filter(r => r.resourceType === 'Observation')
+  const allergies = resources.filter(r => r.resourceType === 'AllergyIntolerance')
+  const conditions = resources.filter(r => r.resourceType === 'Condition')
+  
+  const { eventType, structure } = trigger
+  const segmentOrder = ADT_STRUCTURE_SEGMENTS[structure] || ADT_STRUCTURE_SEGMENTS.ADT_A01
+  
+  // Merges identify the surviving patient in PID and the prior one in MRG
+  let mrgSegment = ''
+  let pidIdentifiers
+  if (eventType === 'A40') {
+    const merged = getMergedPatients(resources, patient)
+    if (!merged) {
+      throw new Error('ADT^A40 requires a Patient.link of type replaced-by or replaces')
+    }
+    patient = merged.surviving
+    mrgSegment = createMRGSegment(merged.prior.identifier, merged.prior.name?.[0], context)
+  } else if (eventType === 'A47') {
+    // Identifier changes send the current identifiers in PID and the old ones in MRG
+    const oldIdentifiers = (patient.identifier || []).filter(id => id.use === 'old')
+    if (oldIdentifiers.length === 0) {
+      throw new Error('ADT^A47 requires a Patient.identifier with use old')
+    }
+    pidIdentifiers = patient.identifier.filter(id => id.use !== 'old')
+    mrgSegment = createMRGSegment(oldIdentifiers, null, context)
   }
   
-  // PID-26: Citizenship
-  const citizenship = patient.extension?.find(
-    ext => ext.url === 'http://hl7.org/fhir/StructureDefinition/patient-citizenship'
-  )
-  if (citizenship?.valueCodeableConcept?.coding?.[0]?.code) {
-    fields.push(citizenship.valueCodeableConcept.coding[0].code)
-  } else {
-    fields.push('')
+  // Segments after PID, built only for the segments the message structure carries
+  const builders = {
+    // PD1 segment (primary care provider and facility)
+    PD1: () => [convertPatientToPD1(patient, resources, context)],
+    
+    // MRG segment (merges and identifier changes)
+    MRG: () => [mrgSegment],
+    
+    // NK1 segments (RelatedPerson)
+    NK1: () => relatedPersons.map((relatedPerson, index) => convertRelatedPersonToNK1(relatedPerson, index + 1, context)),
+    
+    // PV1/PV2 segments (PV1 is required, so without an Encounter it says not applicable)
+    PV1: () => [encounter ? convertEncounterToPV1(encounter, resources, context) : createNoVisitPV1Segment(context)],
+    PV2: () => (encounter ? [convertEncounterToPV2(encounter, context)] : []),
+    
+    // OBX segments (Observation)
+    OBX: () => observations.map((observation, index) => convertObservationToOBX(observation, index + 1, context)),
+    
+    // AL1 segments (AllergyIntolerance)
+    AL1: () => allergies.map((allergy, index) => convertAllergyIntoleranceToAL1(allergy, index + 1, context)),
+    
+    // DG1 segments (Condition/Diagnosis)
+    DG1: () => conditions.map((condition, index) => convertConditionToDG1(condition, index + 1, resources, context)),
+    
+    // GT1 segments (Account.guarantor; admit, register and update events only)
+    GT1: () => {
+      if (!['A01', 'A04', 'A08'].includes(eventType)) return []
+      return resources
+        .filter(r => r.resourceType === 'Account')
+        .flatMap(account => account.guarantor || [])
+        .map((guarantor, index) => convertAccountGuarantorToGT1(guarantor, index + 1, resources, context))
+    },
+    
+    // IN1/IN2 insurance groups (Coverage, in Coverage.order)
+    IN1: () => resources
+      .filter(r => r.resourceType === 'Coverage' && r.status !== 'entered-in-error')
+      .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity))
+      .flatMap((coverage, index) => [
+        convertCoverageToIN1(coverage, index + 1, resources, patient, context),
+        convertCoverageToIN2(coverage, resources, patient),
+      ]),
   }
   
-  // PID-27: Veterans Military Status - empty
-  fields.push('')
+  // Build HL7 message
+  const segments = []
   
-  // PID-28: Nationality - empty
-  fields.push('')
+  // MSH segment
+  segments.push(createMSHSegment(trigger, null, options))
   
-  // PID-29: Patient Death Date and Time
-  if (patient.deceasedDateTime) {
-    fields.push(convertFHIRDateTimeToHL7(patient.deceasedDateTime))
-  } else if (patient.deceasedBoolean === true) {
-    // If deceased is true but no date, use current date
-    fields.push(convertFHIRDateTimeToHL7(new Date().toISOString()))
-  } else {
-    fields.push('')
-  }
+  // EVN segment
+  const recordedDateTime = encounter?.period?.start || patient.meta?.lastUpdated
+  segments.push(createEVNSegment(eventType, recordedDateTime, context))
   
-  // PID-30: Patient Death Indicator
-  if (patient.deceasedBoolean !== undefined) {
-    fields.push(patient.deceasedBoolean ? 'Y' : 'N')
-  } else if (patient.deceasedDateTime) {
-    fields.push('Y')
-  } else {
-    fields.push('')
-  }
+  // PID segment
+  segments.push(convertPatientToPID(patient, context, pidIdentifiers || patient.identifier))
   
-  return fields.join('|')
+  // Remaining segments in structure order, skipping empty ones
+  segmentOrder.forEach(name => {
+    segments.push(...builders[name]().filter(Boolean))
+  })
+  
+  return segments
 }
 
 /**
- * Converts FHIR Encounter resource to HL7 PV1 segment
- * @param {Object} encounter - FHIR Encounter resource
- * @param {Array} practitioners - Array of Practitioner resources for provider references
- * @returns {string} HL7 PV1 segment string
+ * Selects the segment builder for a message type
+ * @param {string} messageType - Resolved message type (MSH-9)
+ * @returns {Function} Segment builder (resources, patient, options, trigger, context) => segments
  */
-function convertEncounterToPV1(encounter, practitioners = []) {
-  if (!encounter || encounter.resourceType !== 'Encounter') {
-    return ''
+function selectMessageBuilder(messageType) {
+  if (messageType.startsWith('ORU')) return buildORUSegments
+  if (messageType.startsWith('ORM') || messageType.startsWith('OML')) return buildOrderSegments
+  if (messageType.startsWith('VXU')) return buildVXUSegments
+  if (messageType.startsWith('SIU')) return buildSIUSegments
+  if (messageType.startsWith('MDM')) return buildMDMSegments
+  return buildADTSegments
+}
+
+/**
+ * Builds the segments of an ORU^R01 message
+ * 
+ * Each DiagnosticReport becomes an ORC/OBR order group followed by the OBX
+ * segments of its results, in `result` order. Observations that no report
+ * references are sent as their own OBR/OBX group.
+ * @param {Array} resources - FHIR resources being converted
+ * @param {Object} patient - FHIR Patient resource
+ * @param {Object} options - Conversion options
+ * @param {Object} trigger - Resolved trigger event
+ * @param {ConversionContext} context - Conversion context (code mappings and report)
+ * @returns {Array<string>} HL7 segment strings
+ */
+function buildORUSegments(resources, patient, options, trigger, context) {
+  const encounter = resources.find(r => r.resourceType === 'Encounter')
+  const reports = resources.filter(r => r.resourceType === 'DiagnosticReport')
+  const observations = resources.filter(r => r.resourceType === 'Observation')
+  
+  // ORU_R01 requires at least one OBR order group
+  if (reports.length === 0 && observations.length === 0) {
+    throw new Error('DiagnosticReport or Observation resource is required for ORU messages')
   }
   
-  const fields = ['PV1']
+  const segments = []
   
-  // PV1-1: Set ID (always 1)
-  fields.push('1')
+  // MSH segment (ORU has no EVN)
+  segments.push(createMSHSegment(trigger, null, options))
   
-  // PV1-2: Patient Class
-  let patientClass = 'I' // Default to Inpatient
-  if (encounter.class) {
-    const classCode = encounter.class.code
-    const classMapping = {
-      'IMP': 'I', // Inpatient
-      'AMB': 'O', // Outpatient
-      'EMER': 'E', // Emergency
-      'PRENC': 'P', // Pre-admission
-      'OBSENC': 'O', // Observation encounter
-      'NONAC': 'N', // Non-acute inpatient
-      'SS': 'S', // Short stay
-    }
-    patientClass = classMapping[classCode] || 'I'
-  }
-  fields.push(patientClass)
+  // PID segment
+  segments.push(convertPatientToPID(patient, context))
   
-  // PV1-3: Assigned Patient Location
-  if (encounter.location && encounter.location.length > 0) {
-    const location = encounter.location[0]
-    // Location format: PointOfCare^Room^Bed^Facility^LocationStatus^PersonLocationType^Building^Floor^LocationDescription
-    let locationStr = ''
-    if (location.location?.display) {
-      // Try to parse if already in HL7 format
-      if (location.location.display.includes('^')) {
-        locationStr = location.location.display
-      } else {
-        // Simple format: just the display name
-        locationStr = location.location.display
-      }
-    } else if (location.location?.identifier?.value) {
-      locationStr = location.location.identifier.value
+  // PV1 segment (if encounter exists)
+  if (encounter) {
+    const pv1Segment = convertEncounterToPV1(encounter, resources, context)
+    if (pv1Segment) {
+      segments.push(pv1Segment)
     }
-    fields.push(locationStr || '')
-  } else {
-    fields.push('')
   }
   
-  // PV1-4: Admission Type
-  const admissionType = encounter.hospitalization?.admitSource?.coding?.[0]?.code
-  // Map FHIR admit source to HL7 admission type
-  const admissionTypeMapping = {
-    'hosp-trans': 'TR', // Transfer from hospital
-    'emd': 'E', // Emergency department
-    'outp': 'O', // Outpatient
-    'born': 'NB', // Newborn
-    'gp': 'GP', // General practitioner
+  // Pushes OBX segments, each followed by NTE segments for Observation.note
+  const pushObservations = results => {
+    results.forEach((observation, index) => {
+      segments.push(convertObservationToOBX(observation, index + 1, context))
+      const notes = observation.note || []
+      notes.forEach((note, noteIndex) => {
+        segments.push(createNTESegment(noteIndex + 1, note.text))
+      })
+    })
   }
-  fields.push(admissionTypeMapping[admissionType] || '')
   
-  // PV1-5: Preadmit Number
-  const preadmitNumber = encounter.identifier?.find(id => 
-    id.type?.coding?.some(c => c.code === 'VN' || c.display?.toLowerCase().includes('preadmit'))
-  )
-  fields.push(preadmitNumber?.value || '')
+  const reported = new Set()
+  let obrSetId = 0
   
-  // PV1-6: Prior Patient Location
-  const priorLocation = encounter.hospitalization?.preAdmissionIdentifier?.value
-  fields.push(priorLocation || '')
+  // ORC/OBR/NTE/OBX groups (DiagnosticReport)
+  reports.forEach(report => {
+    obrSetId++
+    segments.push(convertDiagnosticReportToORC(report, resources, context))
+    segments.push(convertDiagnosticReportToOBR(report, obrSetId, resources, context))
+    
+    // Report comments: note (R5 and later) and conclusion
+    const comments = (report.note || []).map(note => note.text)
+    if (report.conclusion) comments.push(report.conclusion)
+    comments.forEach((comment, index) => segments.push(createNTESegment(index + 1, comment)))
+    
+    const results = (report.result || [])
+      .map(ref => resolveReference(resources, ref, report))
+      .filter(r => r?.resourceType === 'Observation')
+    results.forEach(observation => reported.add(observation))
+    pushObservations(results)
+  })
   
-  // PV1-7: Attending Doctor
-  const attendingDoctor = encounter.participant?.find(p => 
-    p.type?.some(t => t.coding?.some(c => c.code === 'ATND'))
-  )
-  if (attendingDoctor) {
-    const practitioner = practitioners.find(p => 
-      p.id === attendingDoctor.individual?.reference?.split('/')[1] ||
-      p.resourceType === 'Practitioner' && attendingDoctor.individual?.reference?.includes(p.id)
-    ) || attendingDoctor.individual
-    fields.push(convertFHIRPractitionerToHL7(practitioner))
-  } else {
-    fields.push('')
+  // OBR/OBX groups (Observations without a DiagnosticReport)
+  observations
+    .filter(observation => !reported.has(observation))
+    .forEach(observation => {
+      obrSetId++
+      segments.push(createOBRSegment(obrSetId, {
+        universalServiceId: convertFHIRCodeableConceptToCE(observation.code, context),
+        observationDateTime: convertFHIRDateTimeToHL7(observation.effectiveDateTime || observation.effectivePeriod?.start, context),
+        resultsReportDateTime: convertFHIRDateTimeToHL7(observation.issued, context),
+        resultStatus: context.withDefault('OBR-25', context.translateCode('OBR-25', '0123', observation.status, RESULT_STATUS_MAP), 'F', observation),
+      }))
+      pushObservations([observation])
+    })
+  
+  return segments
+}
+
+/**
+ * Converts FHIR resource(s) to HL7 message
+ * @param {Object|Array|Object} fhirResource - FHIR resource, array of resources, or Bundle
+ * @param {Object} options - Optional configuration for MSH segment (returnObject: true returns an HL7Message;
+ *   conceptMaps: ConceptMap resources for coded fields; returnReport: true returns { message, report }, the
+ *   report listing unmapped codes, input elements the message doesn't carry, and defaulted and truncated values;
+ *   versionId: HL7 version to encode for, '2.3' to '2.8'; strict: true validates the message with
+ *   validateHL7Message, against options.validationProfile, and throws if it has errors;
+ *   validateInput: true checks the input with validateFHIRStructure and throws if it has errors;
+ *   timezone: receiver timezone that date/times are converted to, an offset or IANA name;
+ *   splitMessages: true returns one message per Patient and Encounter pair, see groupResources)
+ * @returns {string|HL7Message|Object|Array} HL7 message string, or HL7Message when options.returnObject is set,
+ *   wrapped as { message, report } when options.returnReport is set; an array of those with options.splitMessages,
+ *   each report listing the unlinkedResources that went in no message
+ */
+export function convertFHIRToHL7(fhirResource, options = {}) {
+  if (!fhirResource) {
+    throw new Error('FHIR resource is required')
   }
   
-  // PV1-8: Referring Doctor
-  const referringDoctor = encounter.participant?.find(p => 
-    p.type?.some(t => t.coding?.some(c => c.code === 'REF'))
-  )
-  if (referringDoctor) {
-    const practitioner = practitioners.find(p => 
-      p.id === referringDoctor.individual?.reference?.split('/')[1] ||
-      p.resourceType === 'Practitioner' && referringDoctor.individual?.reference?.includes(p.id)
-    ) || referringDoctor.individual
-    fields.push(convertFHIRPractitionerToHL7(practitioner))
-  } else {
-    fields.push('')
+  // Reject input that isn't valid R4 before converting any of it
+  if (options.validateInput) {
+    const issues = [].concat(fhirResource).flatMap(resource => validateFHIRStructure(resource).issue)
+    const errors = issues.filter(issue => issue.severity === 'error' || issue.severity === 'fatal')
+    if (errors.length > 0) {
+      const problems = errors.map(issue => `${issue.expression[0]}: ${issue.diagnostics}`).join('; ')
+      throw Object.assign(new Error(`FHIR input is not valid: ${problems}`), {
+        outcome: { resourceType: 'OperationOutcome', issue: issues },
+      })
+    }
   }
   
-  // PV1-9: Consulting Doctor
-  const consultingDoctors = encounter.participant?.filter(p => 
-    p.type?.some(t => t.coding?.some(c => c.code === 'CON'))
-  )
-  if (consultingDoctors && consultingDoctors.length > 0) {
-    const doctors = consultingDoctors.map(doc => {
-      const practitioner = practitioners.find(p => 
-        p.id === doc.individual?.reference?.split('/')[1] ||
-        p.resourceType === 'Practitioner' && doc.individual?.reference?.includes(p.id)
-      ) || doc.individual
-      return convertFHIRPractitionerToHL7(practitioner)
-    }).filter(d => d)
-    fields.push(doctors.join('~') || '')
-  } else {
-    fields.push('')
+  // A message Bundle's MessageHeader fills in the MSH fields that options leave out
+  options = withMessageHeaderOptions(fhirResource, options)
+  
+  // One message per Patient and Encounter pair; unlinked resources go in no message
+  if (options.splitMessages) {
+    const { groups, unlinked } = groupResources(getResourceList(fhirResource), true)
+    const unlinkedResources = unlinked.map(resource => `${resource.resourceType}/${resource.id}`)
+    return groups.map((resources, index) => {
+      const messageControlId = options.messageControlId && groups.length > 1
+        ? `${options.messageControlId}-${index + 1}`
+        : options.messageControlId
+      const converted = convertFHIRToHL7(resources, { ...options, splitMessages: false, validateInput: false, messageControlId })
+      if (options.returnReport) converted.report.unlinkedResources = unlinkedResources
+      return converted
+    })
   }
   
-  // PV1-10: Hospital Service
-  const serviceType = encounter.type?.[0]?.coding?.[0]?.code
-  fields.push(serviceType || '')
-  
-  // PV1-11: Temporary Location - empty
-  fields.push('')
-  
-  // PV1-12: Preadmit Test Indicator - empty
-  fields.push('')
-  
-  // PV1-13: Re-admission Indicator
-  const readmissionIndicator = encounter.hospitalization?.reAdmission?.coding?.[0]?.code
-  fields.push(readmissionIndicator || '')
-  
-  // PV1-14: Admit Source
-  const admitSource = encounter.hospitalization?.admitSource?.coding?.[0]?.code
-  fields.push(admitSource || '')
-  
-  // PV1-15: Ambulatory Status - empty
-  fields.push('')
+  // Validate delimiters before building anything
+  const delimiters = parseEncodingCharacters(options.fieldSeparator, options.encodingCharacters)
   
-  // PV1-16: VIP Indicator - empty
-  fields.push('')
+  // Handle Bundle; for the report, record which elements the conversion reads
+  const tracker = options.returnReport ? trackElementReads(getResourceList(fhirResource)) : null
+  const resources = tracker ? tracker.resources : getResourceList(fhirResource)
   
-  // PV1-17: Admitting Doctor
-  const admittingDoctor = encounter.participant?.find(p => 
-    p.type?.some(t => t.coding?.some(c => c.code === 'ADM'))
-  )
-  if (admittingDoctor) {
-    const practitioner = practitioners.find(p => 
-      p.id === admittingDoctor.individual?.reference?.split('/')[1] ||
-      p.resourceType === 'Practitioner' && admittingDoctor.individual?.reference?.includes(p.id)
-    ) || admittingDoctor.individual
-    fields.push(convertFHIRPractitionerToHL7(practitioner))
-  } else {
-    fields.push('')
+  // Find Patient resource
+  const patient = resources.find(r => r.resourceType === 'Patient')
+  if (!patient) {
+    throw new Error('Patient resource is required for HL7 conversion')
   }
   
-  // PV1-18: Patient Type - empty
-  fields.push('')
-  
-  // PV1-19: Visit Number
-  const visitNumber = encounter.identifier?.find(id => 
-    id.type?.coding?.some(c => c.code === 'VN' || c.display?.toLowerCase().includes('visit'))
-  )
-  fields.push(visitNumber ? convertFHIRIdentifierToHL7(visitNumber) : '')
-  
-  // PV1-20: Financial Class
-  const financialClass = encounter.classHistory?.[0]?.class?.code
-  fields.push(financialClass || '')
+  // Resolve the message type and trigger event, then build its segments.
+  // VXU defaults to 2.5.1, the version of the CDC immunization guide.
+  const trigger = resolveTriggerEvent(resources, patient, options)
+  const versionId = options.versionId || (trigger.messageType.startsWith('VXU') ? '2.5.1' : DEFAULT_VERSION_ID)
+  const context = new ConversionContext({ ...options, versionId })
+  const buildSegments = selectMessageBuilder(trigger.messageType)
+  const segments = buildSegments(resources, patient, { ...options, versionId }, trigger, context)
+  
+  // Encode for the HL7 version, then with the delimiters declared for MSH-1/MSH-2
+  const encoded = applyEncodingCharacters(applyVersionProfile(segments, context.version, context).join('\r'), delimiters)
+  if (tracker) {
+    context.report.unmappedElements = tracker.getUnreadElements()
+  }
   
-  // PV1-21: Charge Price Indicator - empty
-  fields.push('')
+  // Strict mode refuses to return a message that doesn't conform
+  if (options.strict) {
+    const validation = validateHL7Message(encoded, { version: versionId, profile: options.validationProfile })
+    if (!validation.valid) {
+      const problems = validation.errors.map(e => `${e.location}: ${e.message}`).join('; ')
+      throw Object.assign(new Error(`Generated HL7 message is not valid: ${problems}`), { validation })
+    }
+    context.report.validation = validation
+  }
+  const message = options.returnObject ? HL7Message.parse(encoded) : encoded
   
-  // PV1-22: Courtesy Code - empty
-  fields.push('')
+  return options.returnReport ? { message, report: context.report } : message
+}
+
+/**
+ * Converts FHIR ServiceRequest resource(s) to an HL7 order message
+ * @param {Object|Array|Object} fhirResource - FHIR resource, array of resources, or Bundle containing ServiceRequest(s) and the Patient
+ * @param {Object} options - Same options as convertFHIRToHL7; options.messageType is 'ORM^O01' (default) or 'OML^O21'
+ * @returns {string|HL7Message} HL7 message string, or HL7Message when options.returnObject is set
+ */
+export function convertFHIRToHL7Order(fhirResource, options = {}) {
+  const messageType = options.messageType && options.messageType.startsWith('OML') ? 'OML^O21' : 'ORM^O01'
+  return convertFHIRToHL7(fhirResource, { ...options, messageType })
+}
+
+/**
+ * Creates FHS or BHS segment for an HL7 batch file
+ * @param {string} name - 'FHS' (file header) or 'BHS' (batch header)
+ * @param {string} controlId - File or batch control ID
+ * @param {string} timestamp - Creation date/time (HL7 DTM)
+ * @param {Object} options - Batch options (sending/receiving application and facility, fileName, batchName)
+ * @returns {string} FHS or BHS segment string
+ */
+function createBatchHeaderSegment(name, controlId, timestamp, options = {}) {
+  const fields = [
+    name,
+    DEFAULT_ENCODING_CHARACTERS, // Encoding characters (re-encoded from options.encodingCharacters)
+    escapeHL7Text(options.sendingApplication) || 'FHIR-HYDRANT', // Sending Application
+    escapeHL7Text(options.sendingFacility) || 'FHIR-HYDRANT-FACILITY', // Sending Facility
+    escapeHL7Text(options.receivingApplication) || 'RECEIVING-APP', // Receiving Application
+    escapeHL7Text(options.receivingFacility) || 'RECEIVING-FACILITY', // Receiving Facility
+    timestamp, // File/Batch Creation Date/Time
+    '', // Security
+    escapeHL7Text(name === 'FHS' ? options.fileName : options.batchName), // File/Batch Name/ID/Type
+    '', // File/Batch Header Comment
+    escapeHL7Text(controlId), // File/Batch Control ID
+  ]
   
-  // PV1-23: Credit Rating - empty
-  fields.push('')
+  return fields.join('|')
+}
+
+/**
+ * Converts many FHIR inputs to an HL7 batch file: FHS, then each batch as
+ * BHS, its messages and BTS (message count), then FTS (batch count)
+ * 
+ * An input holding several Patients becomes one message per Patient, or per
+ * Patient and Encounter pair with options.splitMessages (see groupResources).
+ * Messages are numbered within their batch, so their control IDs
+ * (<batch control ID>-1, -2, ...) are unique in the file. Resources that go
+ * in no message (see groupResources) make the batch throw, unless
+ * options.returnReport is set to list them in the reports.
+ * @param {Array|Object} inputs - FHIR inputs, each anything convertFHIRToHL7 takes (resource, array of resources
+ *   or Bundle), or a single Bundle
+ * @param {Object} options - Same options as convertFHIRToHL7 for every message, plus fileControlId (FHS-11, default:
+ *   the creation date/time; batch N is <fileControlId>-N), fileName (FHS-9), batchName (BHS-9) and batchSize
+ *   (maximum messages per batch, default: all in one batch)
+ * @returns {string|Object} HL7 batch file, or { batch, reports } with each message's report when options.returnReport is set
+ */
+export function convertFHIRToHL7Batch(inputs, options = {}) {
+  if (!inputs) {
+    throw new Error('FHIR resources are required for an HL7 batch')
+  }
   
-  // PV1-24: Contract Code - empty
-  fields.push('')
+  const delimiters = parseEncodingCharacters(options.fieldSeparator, options.encodingCharacters)
+  const timestamp = formatHL7Timestamp(new Date(), options.timezone)
+  const fileControlId = options.fileControlId || timestamp.slice(0, 14)
+  
+  // One message per Patient (and Encounter) of each input, split into batches of batchSize
+  // Messages keep the MSH options of their input's MessageHeader
+  const inputGroups = (Array.isArray(inputs) ? inputs : [inputs])
+    .map(input => ({ ...groupResources(getResourceList(input), options.splitMessages), messageOptions: withMessageHeaderOptions(input, options) }))
+  const groups = inputGroups.flatMap(({ groups, unlinked, messageOptions }) => groups.map(resources => ({ resources, unlinked, messageOptions })))
+  
+  // Resources that go in no message are listed in the reports, or else refused rather than dropped
+  const unlinkedInput = inputGroups.findIndex(({ unlinked }) => unlinked.length > 0)
+  if (unlinkedInput !== -1 && !options.returnReport) {
+    const unlinked = inputGroups[unlinkedInput].unlinked.map(resource => `${resource.resourceType}/${resource.id}`)
+    throw new Error(`Input ${unlinkedInput + 1} has resources that lead to no Patient: ${unlinked.join(', ')} (set returnReport to leave them out)`)
+  }
   
-  // PV1-25: Contract Effective Date - empty
-  fields.push('')
+  const batchSize = options.batchSize || groups.length || 1
+  const batches = []
+  for (let start = 0; start < groups.length; start += batchSize) {
+    batches.push(groups.slice(start, start + batchSize))
+  }
+  if (batches.length === 0) batches.push([])
   
-  // PV1-26: Contract Amount - empty
-  fields.push('')
+  const envelope = segment => applyEncodingCharacters(segment, delimiters)
+  const lines = [envelope(createBatchHeaderSegment('FHS', fileControlId, timestamp, options))]
+  const reports = []
   
-  // PV1-27: Contract Period - empty
-  fields.push('')
+  batches.forEach((batch, batchIndex) => {
+    const batchControlId = `${fileControlId}-${batchIndex + 1}`
+    lines.push(envelope(createBatchHeaderSegment('BHS', batchControlId, timestamp, options)))
+    
+    batch.forEach(({ resources, unlinked, messageOptions }, index) => {
+      const messageControlId = `${batchControlId}-${index + 1}`
+      let converted
+      try {
+        converted = convertFHIRToHL7(resources, { ...messageOptions, returnObject: false, splitMessages: false, messageControlId })
+      } catch (error) {
+        error.message = `Message ${messageControlId}: ${error.message}`
+        throw error
+      }
+      
+      if (options.returnReport) {
+        reports.push({ messageControlId, ...converted.report, unlinkedResources: unlinked.map(resource => `${resource.resourceType}/${resource.id}`) })
+        lines.push(converted.message)
+      } else {
+        lines.push(converted)
+      }
+    })
+    
+    // BTS-1: Batch Message Count
+    lines.push(envelope(`BTS|${batch.length}`))
+  })
   
-  // PV1-28: Interest Code - empty
-  fields.push('')
+  // FTS-1: File Batch Count
+  lines.push(envelope(`FTS|${batches.length}`))
   
-  // PV1-29: Transfer to Bad Debt Code - empty
-  fields.push('')
+  const file = lines.join('\r')
+  return options.returnReport ? { batch: file, reports } : file
+}
+
+/**
+ * In-memory store of the last known version of each Patient and Encounter,
+ * used by convertFHIRChangeToHL7 to detect events across calls. Any object
+ * with the same get/set methods (e.g. FileStateStore) can be used instead.
+ */
+export class MemoryStateStore {
+  constructor() {
+    this.resources = new Map()
+  }
   
-  // PV1-30: Transfer to Bad Debt Date - empty
-  fields.push('')
+  /**
+   * Gets the stored version of a resource
+   * @param {string} key - Resource key ('Encounter/123')
+   * @returns {Object|undefined} Stored FHIR resource
+   */
+  get(key) {
+    return this.resources.get(key)
+  }
   
-  // PV1-31: Bad Debt Agency Code - empty
-  fields.push('')
+  /**
+   * Stores the current version of a resource
+   * @param {string} key - Resource key ('Encounter/123')
+   * @param {Object} resource - FHIR resource
+   */
+  set(key, resource) {
+    // Keep a copy so later changes to the caller's object aren't mistaken for the stored version
+    this.resources.set(key, JSON.parse(JSON.stringify(resource)))
+  }
+}
+
+// Resource types whose versions decide the ADT event
+const STATEFUL_RESOURCE_TYPES = ['Patient', 'Encounter']
+
+// Encounter.status transitions (previous -> current) -> ADT trigger event
+const ENCOUNTER_STATUS_TRANSITIONS = [
+  { from: ['planned'], to: ['arrived', 'in-progress'], eventType: 'A01' }, // Admit/Visit Notification
+  { from: ['arrived', 'in-progress'], to: ['finished'], eventType: 'A03' }, // Discharge/End Visit
+  { from: ['finished'], to: ['arrived', 'in-progress'], eventType: 'A13' }, // Cancel Discharge/End Visit
+  { from: ['arrived', 'in-progress'], to: ['onleave'], eventType: 'A21' }, // Patient Goes on a Leave of Absence
+  { from: ['onleave'], to: ['arrived', 'in-progress'], eventType: 'A22' }, // Patient Returns from a Leave of Absence
+  { from: ['arrived', 'in-progress'], to: ['cancelled'], eventType: 'A11' }, // Cancel Admit/Visit Notification
+]
+
+/**
+ * Gets the resources of a resource, array of resources, or Bundle
+ * 
+ * Bundle entry fullUrls are recorded so that references can be resolved against them.
+ * @param {Object|Array} fhirResource - FHIR resource, array of resources, or Bundle
+ * @returns {Array} FHIR resources
+ */
+function getResourceList(fhirResource) {
+  if (fhirResource.resourceType === 'Bundle') {
+    const entries = (fhirResource.entry || []).filter(entry => entry.resource)
+    entries.forEach(entry => {
+      if (entry.fullUrl) RESOURCE_FULL_URLS.set(entry.resource, entry.fullUrl)
+    })
+    const resources = entries.map(entry => entry.resource)
+    return fhirResource.type === 'message' ? orderMessageResources(resources) : resources
+  }
+  if (Array.isArray(fhirResource)) {
+    return getMessageHeader(fhirResource) ? orderMessageResources(fhirResource) : fhirResource
+  }
+  return [fhirResource]
+}
+
+/**
+ * Finds the MessageHeader of FHIR input that is a message: a Bundle of type
+ * message, or an array of resources that holds a MessageHeader
+ * @param {Object|Array} fhirResource - FHIR input
+ * @returns {Object|undefined} MessageHeader resource
+ */
+function getMessageHeader(fhirResource) {
+  const resources = Array.isArray(fhirResource)
+    ? fhirResource
+    : fhirResource.resourceType === 'Bundle' && fhirResource.type === 'message'
+      ? (fhirResource.entry || []).map(entry => entry.resource)
+      : []
+  return resources.find(r => r?.resourceType === 'MessageHeader')
+}
+
+/**
+ * Orders the resources of a message for conversion: the MessageHeader
+ * is left out (it becomes MSH) and its focus resources come first, so that
+ * they are the Patient, Encounter, ... the message is built for
+ * @param {Array<Object>} resources - Resources of the Bundle entries, or the resources given as an array
+ * @returns {Array<Object>} Resources to convert
+ */
+function orderMessageResources(resources) {
+  const header = resources.find(r => r.resourceType === 'MessageHeader')
+  const others = resources.filter(r => r !== header)
+  if (!header) return others
+  
+  const focus = (header.focus || [])
+    .map(reference => resolveReference(others, reference, header))
+    .filter(Boolean)
+  return [...new Set([...focus, ...others])]
+}
+
+/**
+ * Fills in the MSH options that the MessageHeader of a message (see
+ * getMessageHeader) implies and the options leave out: MSH-3 from source,
+ * MSH-4 from sender, MSH-5 and MSH-6 from the first destination and its
+ * receiver, MSH-9 from a v2 event (table 0003) in eventCoding, and the message
+ * control ID from Bundle.identifier (or the MessageHeader id). The values are
+ * plain text, like the options, and are escaped when MSH is built.
+ * @param {Object|Array} fhirResource - FHIR input
+ * @param {Object} options - Conversion options
+ * @returns {Object} Options with the MessageHeader values added; the same options for other input
+ */
+function withMessageHeaderOptions(fhirResource, options) {
+  const header = getMessageHeader(fhirResource)
+  if (!header) {
+    return options
+  }
   
-  // PV1-32: Bad Debt Transfer Amount - empty
-  fields.push('')
+  // Facilities are named by the referenced Organization, or by the reference itself
+  const resources = getResourceList(fhirResource)
+  const facility = reference => {
+    if (!reference) return ''
+    const target = resolveReference(resources, reference, header)
+    const name = typeof target?.name === 'string' ? target.name : ''
+    return name || reference.display || reference.identifier?.value || target?.identifier?.[0]?.value
+  }
   
-  // PV1-33: Bad Debt Recovery Amount - empty
-  fields.push('')
+  const event = header.eventCoding?.system === 'http://terminology.hl7.org/CodeSystem/v2-0003' ? header.eventCoding.code : ''
+  const destination = header.destination?.[0]
   
-  // PV1-34: Delete Account Indicator - empty
-  fields.push('')
+  const headerOptions = {
+    sendingApplication: header.source?.name || header.source?.software,
+    sendingFacility: facility(header.sender),
+    receivingApplication: destination?.name,
+    receivingFacility: facility(destination?.receiver),
+    messageType: event ? Object.keys(MESSAGE_STRUCTURES).find(messageType => messageType.endsWith(`^${event}`)) : '',
+    messageControlId: fhirResource.identifier?.value || header.id,
+  }
   
-  // PV1-35: Delete Account Date - empty
-  fields.push('')
+  const merged = { ...options }
+  Object.entries(headerOptions).forEach(([key, value]) => {
+    if (value && !merged[key]) merged[key] = value
+  })
+  return merged
+}
+
+/**
+ * Wraps the resources being converted so that every element the conversion
+ * reads is recorded; the elements never read are the ones the message drops
+ * @param {Array<Object>} resources - FHIR resources being converted
+ * @returns {Object} { resources: wrapped resources, getUnreadElements() }
+ */
+function trackElementReads(resources) {
+  const readPaths = new Set()
+  const proxies = new WeakMap()
   
-  // PV1-36: Discharge Disposition
-  const dischargeDisposition = encounter.hospitalization?.dischargeDisposition?.coding?.[0]?.code
-  fields.push(dischargeDisposition || '')
+  const wrap = (target, path) => {
+    if (proxies.has(target)) return proxies.get(target)
+    
+    // Keys listed by a spread, Object.keys or JSON.stringify. Copying or serializing an element
+    // does not put it in a field, so reads of listed keys are not counted until a key is read by name.
+    let listedKeys = new Set()
+    
+    const proxy = new Proxy(target, {
+      ownKeys(object) {
+        const keys = Reflect.ownKeys(object)
+        listedKeys = new Set(keys)
+        return keys
+      },
+      get(object, key, receiver) {
+        const value = Reflect.get(object, key, receiver)
+        if (typeof key !== 'string' || !Object.prototype.hasOwnProperty.call(object, key)) return value
+        
+        const listed = listedKeys.delete(key)
+        if (!listed) listedKeys.clear()
+        
+        const childPath = Array.isArray(object) ? `${path}[${key}]` : `${path}.${key}`
+        const descriptor = Object.getOwnPropertyDescriptor(object, key)
+        if (value === null || typeof value !== 'object' || (!descriptor.writable && !descriptor.configurable)) {
+          // Frozen objects must be returned as they are, so they count as read in full
+          if (!listed) readPaths.add(childPath)
+          return value
+        }
+        return wrap(value, childPath)
+      },
+    })
+    proxies.set(target, proxy)
+    return proxy
+  }
   
-  // PV1-37: Discharged to Location - empty
-  fields.push('')
+  // Each unread path, with a path standing for its whole subtree when nothing in it was read.
+  // References to resources in the message (subject, encounter, ...) are carried by its structure.
+  const findUnread = (value, path, resource) => {
+    if (readPaths.has(path)) return []
+    if (value === null || typeof value !== 'object') return [path]
+    if (typeof value.reference === 'string' && resolveReference(resources, value, resource)) return []
+    
+    const children = Array.isArray(value)
+      ? value.map((item, index) => [`${path}[${index}]`, item])
+      : Object.entries(value).map(([key, item]) => [`${path}.${key}`, item])
+    const unread = children.map(([childPath, item]) => findUnread(item, childPath, resource))
+    const allUnread = children.length > 0 && unread.every((list, index) => list.length === 1 && list[0] === children[index][0])
+    return allUnread ? [path] : unread.flat()
+  }
   
-  // PV1-38: Diet Type - empty
-  fields.push('')
+  const wrapped = resources.map(resource => {
+    const proxy = wrap(resource, resource.resourceType)
+    if (RESOURCE_FULL_URLS.has(resource)) RESOURCE_FULL_URLS.set(proxy, RESOURCE_FULL_URLS.get(resource))
+    return proxy
+  })
   
-  // PV1-39: Servicing Facility - empty
-  fields.push('')
+  return {
+    resources: wrapped,
+    getUnreadElements: () => resources.flatMap(resource => {
+      // resourceType and id identify the resource rather than carry data
+      const { resourceType, id, ...elements } = resource
+      return findUnread(elements, resourceType, resource).map(path => ({ resource: id ? `${resourceType}/${id}` : resourceType, path }))
+    }),
+  }
+}
+
+/**
+ * Collects every Reference in a resource
+ * @param {Object} value - FHIR resource or element
+ * @returns {Array<Object>} References (objects with a reference string)
+ */
+function collectReferences(value) {
+  if (!value || typeof value !== 'object') return []
+  if (Array.isArray(value)) return value.flatMap(collectReferences)
   
-  // PV1-40: Bed Status
-  const bedStatus = encounter.location?.[0]?.status
-  // Map FHIR location status to HL7 bed status
-  const bedStatusMapping = {
-    'active': 'O', // Occupied
-    'reserved': 'R', // Reserved
-    'inactive': 'C', // Closed
+  const references = typeof value.reference === 'string' ? [value] : []
+  return [...references, ...Object.entries(value).filter(([key]) => key !== 'contained').flatMap(([, item]) => collectReferences(item))]
+}
+
+/**
+ * Finds the nearest resources of a type that a resource references, directly
+ * or through the resources it references (an Observation that only names its
+ * Encounter leads to the Encounter's Patient)
+ * @param {Array<Object>} resources - FHIR resources of one input
+ * @param {Object} resource - Resource to start from
+ * @param {string} resourceType - Resource type to find
+ * @param {Set<Object>} visited - Resources already followed
+ * @returns {Array<Object>} Resources of the type, at the shortest reference distance
+ */
+function findLinkedResources(resources, resource, resourceType, visited = new Set()) {
+  visited.add(resource)
+  const targets = collectReferences(resource)
+    .map(reference => resolveReference(resources, reference, resource))
+    .filter(target => target && !visited.has(target))
+  const direct = targets.filter(target => target.resourceType === resourceType)
+  return direct.length > 0 ? direct : targets.flatMap(target => findLinkedResources(resources, target, resourceType, visited))
+}
+
+/**
+ * Splits the resources of one input into the resources of each message: one
+ * per Patient, or one per Patient and Encounter pair
+ * 
+ * A resource goes with the Patients it references (subject, patient,
+ * beneficiary, ...) or reaches through other references. Resources that lead
+ * to no Patient (practitioners, organizations, locations) go with the groups
+ * whose resources reference them, and Patients linked to each other (merges)
+ * stay together. With several Patients, a resource that neither leads to a
+ * Patient nor is referenced is unlinked rather than guessed at; with a single
+ * Patient it belongs to that Patient.
+ * 
+ * Split by Encounter, a resource goes with the Encounters it leads to, and
+ * with every Encounter of its Patient when it leads to none (allergies,
+ * problems, next of kin).
+ * @param {Array<Object>} resources - FHIR resources of one input
+ * @param {boolean} byEncounter - Split each Patient's resources by Encounter too
+ * @returns {Object} { groups: resources of each message in input order, unlinked: resources in no group }
+ */
+function groupResources(resources, byEncounter = false) {
+  const patients = resources.filter(r => r.resourceType === 'Patient')
+  if (patients.length === 0) {
+    return { groups: [resources], unlinked: [] }
   }
-  fields.push(bedStatusMapping[bedStatus] || '')
   
-  // PV1-41: Account Status - empty
-  fields.push('')
+  // Each Patient leads its group unless it links to a Patient that came before it
+  const groupOf = new Map()
+  patients.forEach(patient => {
+    const linked = (patient.link || [])
+      .map(link => resolveReference(resources, link.other, patient))
+      .find(other => groupOf.has(other))
+    groupOf.set(patient, linked ? groupOf.get(linked) : patient)
+  })
   
-  // PV1-42: Pending Location - empty
-  fields.push('')
+  const groups = new Map([...new Set(groupOf.values())].map(leader => [leader, new Set()]))
+  const unowned = []
+  resources.forEach(resource => {
+    const owners = resource.resourceType === 'Patient'
+      ? [groupOf.get(resource)]
+      : [...new Set(findLinkedResources(resources, resource, 'Patient').map(patient => groupOf.get(patient)))]
+    if (owners.length === 0 && groups.size === 1) owners.push(...groups.keys())
+    
+    if (owners.length === 0) unowned.push(resource)
+    owners.forEach(leader => groups.get(leader).add(resource))
+  })
   
-  // PV1-43: Prior Temporary Location - empty
-  fields.push('')
+  // Shared resources follow the references of each group's resources
+  groups.forEach(group => {
+    const queue = [...group]
+    while (queue.length > 0) {
+      const resource = queue.shift()
+      collectReferences(resource)
+        .map(reference => resolveReference(resources, reference, resource))
+        .filter(target => unowned.includes(target) && !group.has(target))
+        .forEach(target => {
+          group.add(target)
+          queue.push(target)
+        })
+    }
+  })
   
-  // PV1-44: Admit Date/Time
-  if (encounter.period && encounter.period.start) {
-    fields.push(convertFHIRDateTimeToHL7(encounter.period.start))
-  } else {
-    fields.push('')
+  const patientGroups = [...groups.values()].map(group => resources.filter(resource => group.has(resource)))
+  return {
+    groups: byEncounter ? patientGroups.flatMap(splitResourcesByEncounter) : patientGroups,
+    unlinked: unowned.filter(resource => patientGroups.every(group => !group.includes(resource))),
+  }
+}
+
+/**
+ * Splits the resources of one Patient into the resources of each of its Encounters
+ * @param {Array<Object>} resources - FHIR resources of one Patient
+ * @returns {Array<Array<Object>>} Resources of each Encounter, in input order
+ */
+function splitResourcesByEncounter(resources) {
+  const encounters = resources.filter(r => r.resourceType === 'Encounter')
+  if (encounters.length <= 1) return [resources]
+  
+  const encountersOf = new Map(resources.map(resource => [
+    resource,
+    resource.resourceType === 'Encounter' ? [resource] : findLinkedResources(resources, resource, 'Encounter'),
+  ]))
+  return encounters.map(encounter => resources.filter(resource => {
+    const linked = encountersOf.get(resource)
+    return linked.length === 0 || linked.includes(encounter)
+  }))
+}
+
+/**
+ * Splits a FHIR history Bundle into the previous and current version of each resource
+ * @param {Object} bundle - Bundle of type 'history' (newest version of each resource first)
+ * @returns {Object} Object with previous and current resource arrays
+ */
+function splitHistoryBundle(bundle) {
+  const versions = new Map()
+  for (const entry of bundle.entry || []) {
+    const resource = entry.resource
+    if (!resource) continue
+    
+    const key = `${resource.resourceType}/${resource.id}`
+    versions.set(key, [...(versions.get(key) || []), resource])
   }
   
-  // PV1-45: Discharge Date/Time
-  if (encounter.period && encounter.period.end) {
-    fields.push(convertFHIRDateTimeToHL7(encounter.period.end))
-  } else {
-    fields.push('')
+  // Entries are normally newest first; meta.versionId/lastUpdated win when present
+  const newestFirst = (a, b) =>
+    (Number(b.meta?.versionId) || 0) - (Number(a.meta?.versionId) || 0) ||
+    String(b.meta?.lastUpdated || '').localeCompare(String(a.meta?.lastUpdated || ''))
+  
+  const previous = []
+  const current = []
+  for (const list of versions.values()) {
+    const [newest, prior] = [...list].sort(newestFirst)
+    current.push(newest)
+    if (prior) previous.push(prior)
   }
   
-  // PV1-46: Current Patient Balance - empty
-  fields.push('')
+  return { previous, current }
+}
+
+/**
+ * Compares two versions of a resource, ignoring meta and text
+ * @param {Object} a - FHIR resource
+ * @param {Object} b - FHIR resource
+ * @returns {boolean} True if the versions carry the same data
+ */
+function isSameResourceVersion(a, b) {
+  const content = ({ meta, text, ...rest }) => JSON.stringify(rest)
+  return content(a) === content(b)
+}
+
+/**
+ * Gets the location an Encounter is currently at
+ * @param {Object} encounter - FHIR Encounter resource
+ * @returns {Object|undefined} Encounter.location entry
+ */
+function getActiveEncounterLocation(encounter) {
+  const locations = (encounter?.location || []).filter(l => l.status !== 'completed' && l.status !== 'planned')
+  return locations.find(l => l.status === 'active') || locations[0]
+}
+
+/**
+ * Detects the ADT event between the previous and current versions of a Patient and Encounter
+ * 
+ * Without a previous Encounter the event comes from the current resources,
+ * as in convertFHIRToHL7. Otherwise Encounter.status transitions pick the
+ * event (e.g. in-progress -> finished is A03), a change of the active
+ * location is a transfer (A02) and any other change is an update (A08).
+ * @param {Object|Array} previous - Previous versions (resource, array of resources, or Bundle)
+ * @param {Object|Array} current - Current versions (resource, array of resources, or Bundle)
+ * @returns {string|null} ADT message type (e.g. 'ADT^A02'), or null when nothing changed
+ */
+export function detectADTEvent(previous, current) {
+  const previousResources = previous ? getResourceList(previous) : []
+  const currentResources = getResourceList(current)
+  const findPrevious = resource => previousResources.find(r =>
+    r.resourceType === resource.resourceType && r.id === resource.id
+  )
   
-  // PV1-47: Total Charges - empty
-  fields.push('')
+  const encounter = currentResources.find(r => r.resourceType === 'Encounter')
+  const previousEncounter = encounter && findPrevious(encounter)
   
-  // PV1-48: Total Adjustments - empty
-  fields.push('')
+  if (encounter && !previousEncounter) {
+    const patient = currentResources.find(r => r.resourceType === 'Patient')
+    return resolveTriggerEvent(currentResources, patient, { messageType: 'ADT' }).messageType
+  }
   
-  // PV1-49: Total Payments - empty
-  fields.push('')
+  if (encounter) {
+    if (encounter.status === 'entered-in-error' && previousEncounter.status !== 'entered-in-error') {
+      return 'ADT^A11' // Cancel Admit/Visit Notification
+    }
+    
+    const transition = ENCOUNTER_STATUS_TRANSITIONS.find(t =>
+      t.from.includes(previousEncounter.status) && t.to.includes(encounter.status)
+    )
+    if (transition) {
+      return `ADT^${transition.eventType}`
+    }
+    
+    const location = getActiveEncounterLocation(encounter)?.location
+    const previousLocation = getActiveEncounterLocation(previousEncounter)?.location
+    if (location && previousLocation && JSON.stringify(location) !== JSON.stringify(previousLocation)) {
+      return 'ADT^A02' // Transfer a Patient
+    }
+  }
   
-  // PV1-50: Alternate Visit ID
-  const altVisitId = encounter.identifier?.find(id => 
-    id.use === 'secondary' || id.type?.coding?.some(c => c.code === 'VN')
-  )
-  fields.push(altVisitId ? convertFHIRIdentifierToHL7(altVisitId) : '')
+  // Any other change to the Patient or Encounter is an update
+  const changed = currentResources
+    .filter(r => STATEFUL_RESOURCE_TYPES.includes(r.resourceType))
+    .some(resource => {
+      const prior = findPrevious(resource)
+      return !prior || !isSameResourceVersion(prior, resource)
+    })
   
-  return fields.join('|')
+  return changed ? 'ADT^A08' : null // Patient Update
 }
 
 /**
- * Converts FHIR RelatedPerson resource to HL7 NK1 segment
- * @param {Object} relatedPerson - FHIR RelatedPerson resource
- * @param {number} setId - Set ID for this NK1 segment
- * @returns {string} HL7 NK1 segment string
+ * Converts the current versions of FHIR resources to the ADT message for what changed
+ * 
+ * The previous versions come from options.previous, from the older versions in
+ * a history Bundle, or from options.stateStore, which is updated with the
+ * current Patient and Encounter after each call.
+ * @param {Object|Array} fhirResource - FHIR resource, array of resources, Bundle, or history Bundle
+ * @param {Object} options - Same options as convertFHIRToHL7, plus previous (previous versions) and stateStore (get/set store such as MemoryStateStore)
+ * @returns {string|HL7Message|null} HL7 message, or null when nothing changed
  */
-function convertRelatedPersonToNK1(relatedPerson, setId = 1) {
-  if (!relatedPerson || relatedPerson.resourceType !== 'RelatedPerson') {
-    return ''
+export function convertFHIRChangeToHL7(fhirResource, options = {}) {
+  if (!fhirResource) {
+    throw new Error('FHIR resource is required')
   }
   
-  const fields = ['NK1']
-  
-  // NK1-1: Set ID
-  fields.push(setId.toString())
+  const { previous: previousOption, stateStore, ...convertOptions } = options
   
-  // NK1-2: Name
-  if (relatedPerson.name && relatedPerson.name.length > 0) {
-    const names = relatedPerson.name.map(name => convertFHIRNameToHL7(name))
-    fields.push(names.join('~') || '')
-  } else {
-    fields.push('')
+  let resources = getResourceList(fhirResource)
+  let previous = previousOption ? getResourceList(previousOption) : []
+  if (fhirResource.resourceType === 'Bundle' && fhirResource.type === 'history') {
+    const history = splitHistoryBundle(fhirResource)
+    resources = history.current
+    previous = [...previous, ...history.previous]
   }
   
-  // NK1-3: Relationship
-  if (relatedPerson.relationship && relatedPerson.relationship.length > 0) {
-    const relationship = relatedPerson.relationship[0]
-    // Format: Code^Text^CodingSystem
-    const code = relationship.coding?.[0]?.code || ''
-    const display = relationship.coding?.[0]?.display || relationship.text || ''
-    const system = relationship.coding?.[0]?.system || ''
-    fields.push(`${code}^${display}^${system}`)
-  } else {
-    fields.push('')
+  const stateful = resources.filter(r => STATEFUL_RESOURCE_TYPES.includes(r.resourceType) && r.id)
+  if (stateStore) {
+    stateful.forEach(resource => {
+      const stored = stateStore.get(`${resource.resourceType}/${resource.id}`)
+      if (stored && !previous.some(r => r.resourceType === resource.resourceType && r.id === resource.id)) {
+        previous.push(stored)
+      }
+    })
   }
   
-  // NK1-4: Address
-  if (relatedPerson.address && relatedPerson.address.length > 0) {
-    const addresses = relatedPerson.address.map(addr => convertFHIRAddressToHL7(addr))
-    fields.push(addresses.join('~') || '')
-  } else {
-    fields.push('')
+  const messageType = convertOptions.messageType || detectADTEvent(previous, resources)
+  
+  let message = null
+  if (messageType) {
+    // A transfer sends the location the patient left in PV1-6
+    if (messageType === 'ADT^A02') {
+      resources = resources.map(resource => {
+        const prior = resource.resourceType === 'Encounter' &&
+          previous.find(r => r.resourceType === 'Encounter' && r.id === resource.id)
+        const priorLocation = prior && getActiveEncounterLocation(prior)
+        if (!priorLocation || resource.location?.some(l => l.status === 'completed')) {
+          return resource
+        }
+        const transfer = { ...resource, location: [{ ...priorLocation, status: 'completed' }, ...resource.location] }
+        // Keep the fullUrl so that urn:uuid references still resolve to the Encounter
+        if (RESOURCE_FULL_URLS.has(resource)) RESOURCE_FULL_URLS.set(transfer, RESOURCE_FULL_URLS.get(resource))
+        return transfer
+      })
+    }
+    
+    message = convertFHIRToHL7(resources, { ...convertOptions, messageType })
   }
   
-  // NK1-5: Phone Number
-  const homePhone = relatedPerson.telecom?.find(t => t.system === 'phone' && (t.use === 'home' || !t.use))
-  fields.push(homePhone?.value || '')
-  
-  // NK1-6: Business Phone Number
-  const workPhone = relatedPerson.telecom?.find(t => t.system === 'phone' && t.use === 'work')
-  fields.push(workPhone?.value || '')
-  
-  // NK1-7: Contact Role - empty
-  fields.push('')
-  
-  // NK1-8: Start Date
-  if (relatedPerson.period && relatedPerson.period.start) {
-    fields.push(convertFHIRDateTimeToHL7(relatedPerson.period.start))
-  } else {
-    fields.push('')
+  if (stateStore) {
+    stateful.forEach(resource => stateStore.set(`${resource.resourceType}/${resource.id}`, resource))
   }
   
-  // NK1-9: End Date
-  if (relatedPerson.period && relatedPerson.period.end) {
-    fields.push(convertFHIRDateTimeToHL7(relatedPerson.period.end))
-  } else {
-    fields.push('')
-  }
+  return message
+}
+
+/**
+ * Gets the unescaped components of every repetition of a field
+ * @param {HL7Segment} segment - Segment
+ * @param {number} fieldIndex - Field number (e.g. 5 for PID-5)
+ * @param {Object} delimiters - Message delimiters
+ * @returns {Array<Array<string>>} One array of components per repetition (empty repetitions removed)
+ */
+function getHL7Repetitions(segment, fieldIndex, delimiters) {
+  const field = segment?.getField(fieldIndex)
+  if (!field) return []
   
-  // NK1-10: Next of Kin / Associated Parties Job Title - empty
-  fields.push('')
+  return field.repetitions
+    .map(components => components.map(component => component.getValue(delimiters)))
+    .filter(components => components.some(value => value !== ''))
+}
+
+/**
+ * Gets the unescaped components of the first repetition of a field
+ * @param {HL7Segment} segment - Segment
+ * @param {number} fieldIndex - Field number
+ * @param {Object} delimiters - Message delimiters
+ * @returns {Array<string>} Components (empty array if the field is empty)
+ */
+function getHL7Components(segment, fieldIndex, delimiters) {
+  return getHL7Repetitions(segment, fieldIndex, delimiters)[0] || []
+}
+
+/**
+ * Gets the unescaped value of the first component of a field
+ * @param {HL7Segment} segment - Segment
+ * @param {number} fieldIndex - Field number
+ * @param {Object} delimiters - Message delimiters
+ * @returns {string} Value (empty string if the field is empty)
+ */
+function getHL7Value(segment, fieldIndex, delimiters) {
+  return getHL7Components(segment, fieldIndex, delimiters)[0] || ''
+}
+
+/**
+ * Converts HL7 date/time to FHIR date or dateTime format
+ * @param {string} hl7DateTime - HL7 date/time string (YYYY[MM[DD[HHMM[SS[.S+]]]]][+/-ZZZZ])
+ * @returns {string} FHIR date (YYYY, YYYY-MM, YYYY-MM-DD) or dateTime (YYYY-MM-DDTHH:MM:SS) string
+ */
+function convertHL7DateTimeToFHIR(hl7DateTime) {
+  if (!hl7DateTime) return ''
   
-  // NK1-11: Next of Kin / Associated Parties Job Code/Class - empty
-  fields.push('')
+  const match = hl7DateTime.trim().match(/^(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\.\d+)?([+-]\d{4})?$/)
+  if (!match) return ''
   
-  // NK1-12: Next of Kin / Associated Parties Employee Number - empty
-  fields.push('')
+  const [, year, month, day, hour, minute, second, fraction, offset] = match
   
-  // NK1-13: Organization Name - empty
-  fields.push('')
+  let fhirDate = year
+  if (month) fhirDate += `-${month}`
+  if (day) fhirDate += `-${day}`
   
-  // Continue with remaining fields (14-31) - empty for now
-  for (let i = 14; i <= 31; i++) {
-    fields.push('')
+  // FHIR dateTime needs hours, minutes and seconds once a time is present
+  if (day && hour) {
+    fhirDate += `T${hour}:${minute || '00'}:${second || '00'}${fraction || ''}`
+    if (offset) {
+      fhirDate += `${offset.substring(0, 3)}:${offset.substring(3)}`
+    }
   }
   
-  return fields.join('|')
+  return fhirDate
 }
 
 /**
- * Converts FHIR Observation resource to HL7 OBX segment
- * @param {Object} observation - FHIR Observation resource
- * @param {number} setId - Set ID for this OBX segment
- * @returns {string} HL7 OBX segment string
+ * Converts HL7 XPN components to FHIR HumanName
+ * @param {Array<string>} components - XPN components (Family^Given^Middle^Suffix^Prefix^Degree, ProfessionalSuffix in XPN-14)
+ * @returns {Object|null} FHIR HumanName or null if empty
  */
-function convertObservationToOBX(observation, setId = 1) {
-  if (!observation || observation.resourceType !== 'Observation') {
-    return ''
-  }
-  
-  const fields = ['OBX']
+function convertHL7NameToFHIR(components) {
+  const [family, given, middle, suffix, prefix, degree] = components
+  const suffixes = [suffix, degree, components[13]].filter(Boolean)
+  if (!family && !given) return null
   
-  // OBX-1: Set ID
-  fields.push(setId.toString())
+  const name = {}
+  if (family) name.family = family
   
-  // OBX-2: Value Type
-  let valueType = 'ST' // Default to string
-  if (observation.valueQuantity) {
-    valueType = 'NM' // Numeric
-  } else if (observation.valueCodeableConcept) {
-    valueType = 'CE' // Coded Entry
-  } else if (observation.valueDateTime || observation.valueDate) {
-    valueType = 'DT' // Date
-  } else if (observation.valueTime) {
-    valueType = 'TM' // Time
-  } else if (observation.valueString) {
-    valueType = 'ST' // String
-  } else if (observation.valueBoolean !== undefined) {
-    valueType = 'ST' // String (for boolean)
-  }
-  fields.push(valueType)
+  const givenNames = [given, ...(middle ? middle.split(' ') : [])].filter(Boolean)
+  if (givenNames.length > 0) name.given = givenNames
+  if (suffixes.length > 0) name.suffix = suffixes
+  if (prefix) name.prefix = [prefix]
   
-  // OBX-3: Observation Identifier
-  if (observation.code && observation.code.coding && observation.code.coding.length > 0) {
-    const coding = observation.code.coding[0]
-    // Format: Identifier^Text^NameOfCodingSystem
-    const code = coding.code || ''
-    const display = coding.display || observation.code.text || ''
-    const system = coding.system || ''
-    fields.push(`${code}^${display}^${system}`)
-  } else {
-    fields.push('')
-  }
+  return name
+}
+
+/**
+ * Converts HL7 address components to FHIR Address
+ * @param {Array<string>} components - Address components as written by convertFHIRAddressToHL7 (Street^City^State^Zip^Country)
+ * @returns {Object|null} FHIR Address or null if empty
+ */
+function convertHL7AddressToFHIR(components) {
+  const [street, city, state, postalCode, country] = components
+  if (!street && !city && !state && !postalCode && !country) return null
+  
+  const address = {}
+  if (street) address.line = [street]
+  if (city) address.city = city
+  if (state) address.state = state
+  if (postalCode) address.postalCode = postalCode
+  if (country) address.country = country
+  
+  return address
+}
+
+/**
+ * Converts HL7 CX components to FHIR Identifier
+ * @param {Array<string>} components - CX components (ID^CheckDigit^CheckDigitScheme^AssigningAuthority^IdentifierTypeCode^AssigningFacility)
+ * @returns {Object|null} FHIR Identifier or null if empty
+ */
+function convertHL7IdentifierToFHIR(components) {
+  const [value, , , assigningAuthority, typeCode] = components
+  if (!value) return null
   
-  // OBX-4: Observation Sub-ID - empty
-  fields.push('')
+  const identifier = {}
   
-  // OBX-5: Observation Value
-  let value = ''
-  if (observation.valueQuantity) {
-    value = observation.valueQuantity.value?.toString() || ''
-  } else if (observation.valueCodeableConcept) {
-    const coding = observation.valueCodeableConcept.coding?.[0]
-    value = coding?.code || observation.valueCodeableConcept.text || ''
-  } else if (observation.valueDateTime) {
-    value = convertFHIRDateTimeToHL7(observation.valueDateTime)
-  } else if (observation.valueDate) {
-    value = convertFHIRDateTimeToHL7(observation.valueDate)
-  } else if (observation.valueTime) {
-    value = observation.valueTime
-  } else if (observation.valueString) {
-    value = observation.valueString
-  } else if (observation.valueBoolean !== undefined) {
-    value = observation.valueBoolean ? 'Y' : 'N'
+  if (typeCode) {
+    identifier.type = {
+      coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0203', code: typeCode }],
+    }
   }
-  fields.push(value)
   
-  // OBX-6: Units
-  if (observation.valueQuantity && observation.valueQuantity.unit) {
-    // Format: Units^UnitsText^UnitsCodingSystem
-    const unit = observation.valueQuantity.unit || ''
-    const system = observation.valueQuantity.system || 'http://unitsofmeasure.org'
-    const code = observation.valueQuantity.code || ''
-    fields.push(`${unit}^${unit}^${system}^${code}`)
-  } else {
-    fields.push('')
+  // Only URIs can become Identifier.system; anything else is kept as the assigner
+  if (assigningAuthority) {
+    if (/^(urn:|https?:\/\/)/.test(assigningAuthority)) {
+      identifier.system = assigningAuthority
+    } else {
+      identifier.assigner = { display: assigningAuthority }
+    }
   }
   
-  // OBX-7: References Range - empty
-  fields.push('')
+  identifier.value = value
   
-  // OBX-8: Abnormal Flags
-  const interpretation = observation.interpretation?.[0]?.coding?.[0]?.code
-  // Map FHIR interpretation to HL7 abnormal flags
-  const flagMapping = {
-    'L': 'L', // Low
-    'LL': 'LL', // Critical Low
-    'H': 'H', // High
-    'HH': 'HH', // Critical High
-    'N': 'N', // Normal
-    'A': 'A', // Abnormal
+  return identifier
+}
+
+/**
+ * Converts HL7 XCN components to a FHIR Practitioner resource
+ * @param {Array<string>} components - XCN components (ID^Family^Given^Middle^Suffix^Prefix^Degree, ProfessionalSuffix in XCN-21)
+ * @returns {Object|null} FHIR Practitioner or null if empty
+ */
+function convertHL7PractitionerToFHIR(components) {
+  const id = components[0]
+  if (!id) return null
+  
+  // XCN-2..7 line up with XPN-1..6; XCN-21 is the XPN-14 professional suffix
+  const nameComponents = components.slice(1, 7)
+  nameComponents[13] = components[20]
+  
+  const practitioner = {
+    resourceType: 'Practitioner',
+    id,
   }
-  fields.push(flagMapping[interpretation] || '')
   
-  // OBX-9: Probability - empty
-  fields.push('')
+  const name = convertHL7NameToFHIR(nameComponents)
+  if (name) practitioner.name = [name]
   
-  // OBX-10: Nature of Abnormal Test - empty
-  fields.push('')
+  return practitioner
+}
+
+/**
+ * Converts HL7 CE/CWE components to FHIR CodeableConcept
+ * @param {Array<string>} components - CE components (Identifier^Text^NameOfCodingSystem)
+ * @returns {Object|null} FHIR CodeableConcept or null if empty
+ */
+function convertHL7CodedElementToFHIR(components) {
+  const [code, display, system, altCode, altDisplay, altSystem] = components
+  const originalText = components[8]
+  if (!code && !display) return originalText ? { text: originalText } : null
+  
+  if (!code) return { text: display }
+  
+  const codings = [[code, display, system], [altCode, altDisplay, altSystem]]
+    .filter(([tripletCode]) => tripletCode)
+    .map(([tripletCode, tripletDisplay, tripletSystem]) => {
+      const coding = {}
+      if (tripletSystem) coding.system = getCodingSystemURI(tripletSystem)
+      coding.code = tripletCode
+      if (tripletDisplay) coding.display = tripletDisplay
+      return coding
+    })
+  
+  return originalText ? { coding: codings, text: originalText } : { coding: codings }
+}
+
+/**
+ * Gets the FHIR coding system URI for an HL7 name of coding system (table 0396)
+ * @param {string} name - Name of coding system ('LN', 'HL70004')
+ * @returns {string} FHIR coding system URI, or the name itself when it is not a known name
+ */
+function getCodingSystemURI(name) {
+  const table = name.match(/^HL7(\d{4})$/)?.[1]
+  if (table) return `http://terminology.hl7.org/CodeSystem/v2-${table}`
+  return CODING_SYSTEM_URIS[name] || name
+}
+
+/**
+ * Converts HL7 administrative sex to FHIR gender
+ * @param {string} sex - HL7 administrative sex code (M, F, O, U)
+ * @returns {string} FHIR gender code
+ */
+function convertHL7GenderToFHIR(sex) {
+  return invertMapping(GENDER_MAP)[sex] || 'unknown'
+}
+
+/**
+ * Builds a FHIR extension holding US Core OMB category codes
+ * @param {string} url - Extension URL (us-core-race or us-core-ethnicity)
+ * @param {Array<Object>} codings - OMB category codings (CDC race and ethnicity when no system is given)
+ * @returns {Object} FHIR extension
+ */
+function buildOMBCategoryExtension(url, codings) {
+  return {
+    url,
+    extension: codings.map(coding => ({
+      url: 'ombCategory',
+      valueCoding: { system: 'urn:oid:2.16.840.1.113883.6.238', ...coding },
+    })),
+  }
+}
+
+/**
+ * Converts HL7 PID segment to FHIR Patient resource
+ * @param {HL7Segment} pid - PID segment
+ * @param {Object} delimiters - Message delimiters
+ * @returns {Object} FHIR Patient resource
+ */
+function convertPIDToPatient(pid, delimiters) {
+  if (!pid || pid.name !== 'PID') {
+    throw new Error('Invalid PID segment')
+  }
   
-  // OBX-11: Observation Result Status
-  const statusMapping = {
-    'registered': 'I', // Intermediate
-    'preliminary': 'P', // Preliminary
-    'final': 'F', // Final
-    'amended': 'C', // Corrected
-    'corrected': 'C', // Corrected
-    'cancelled': 'X', // Cancelled
-    'entered-in-error': 'E', // Error
-    'unknown': 'U', // Unknown
-  }
-  fields.push(statusMapping[observation.status] || 'F')
+  const patient = {
+    resourceType: 'Patient',
+    id: 'patient-1',
+  }
+  const extensions = []
   
-  // OBX-12: Date/Time of the Observation
-  if (observation.effectiveDateTime) {
-    fields.push(convertFHIRDateTimeToHL7(observation.effectiveDateTime))
-  } else if (observation.effectivePeriod?.start) {
-    fields.push(convertFHIRDateTimeToHL7(observation.effectivePeriod.start))
-  } else {
-    fields.push('')
+  // PID-3: Patient Identifier List
+  const identifiers = getHL7Repetitions(pid, 3, delimiters)
+    .map(components => convertHL7IdentifierToFHIR(components))
+    .filter(Boolean)
+  
+  // PID-18/19/20: Account number, SSN and driver's license are usually repeated in PID-3
+  const addIdentifier = (components, typeCode) => {
+    const identifier = convertHL7IdentifierToFHIR(components)
+    if (!identifier) return null
+    const existing = identifiers.find(id => id.value === identifier.value)
+    if (existing) return existing
+    if (!identifier.type) {
+      identifier.type = {
+        coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0203', code: typeCode }],
+      }
+    }
+    identifiers.push(identifier)
+    return identifier
+  }
+  addIdentifier(getHL7Components(pid, 18, delimiters), 'AN')
+  addIdentifier(getHL7Components(pid, 19, delimiters), 'SS')
+  const dlComponents = getHL7Components(pid, 20, delimiters)
+  const dl = addIdentifier(dlComponents, 'DL')
+  if (dl) {
+    // Issuing state and expiration follow the CX components
+    if (dlComponents[6]) {
+      dl.extension = [{ url: 'http://hl7.org/fhir/StructureDefinition/identifier-state', valueString: dlComponents[6] }]
+    }
+    if (dlComponents[7]) {
+      dl.period = { end: convertHL7DateTimeToFHIR(dlComponents[7]) }
+    }
   }
   
-  // OBX-13: Producer's ID - empty
-  fields.push('')
+  if (identifiers.length > 0) patient.identifier = identifiers
   
-  // OBX-14: Responsible Observer - empty
-  fields.push('')
+  // PID-5: Patient Name (PID-9 aliases are a subset of PID-5)
+  const names = getHL7Repetitions(pid, 5, delimiters)
+    .map(components => convertHL7NameToFHIR(components))
+    .filter(Boolean)
+  if (names.length > 0) patient.name = names
   
-  // OBX-15: Observation Method - empty
-  fields.push('')
+  // PID-6: Mother's Maiden Name
+  const mothersMaidenName = getHL7Value(pid, 6, delimiters)
+  if (mothersMaidenName) {
+    extensions.push({
+      url: 'http://hl7.org/fhir/StructureDefinition/patient-mothersMaidenName',
+      valueString: mothersMaidenName,
+    })
+  }
   
-  // OBX-16: Equipment Instance Identifier - empty
-  fields.push('')
+  // PID-7: Date/Time of Birth (FHIR birthDate is a date)
+  const birthDate = convertHL7DateTimeToFHIR(getHL7Value(pid, 7, delimiters))
+  if (birthDate) patient.birthDate = birthDate.split('T')[0]
   
-  // OBX-17: Date/Time of the Analysis - empty
-  fields.push('')
+  // PID-8: Administrative Sex
+  const sex = getHL7Value(pid, 8, delimiters)
+  if (sex) patient.gender = convertHL7GenderToFHIR(sex)
   
-  return fields.join('|')
-}
-
-/**
- * Converts FHIR AllergyIntolerance resource to HL7 AL1 segment
- * @param {Object} allergy - FHIR AllergyIntolerance resource
- * @param {number} setId - Set ID for this AL1 segment
- * @returns {string} HL7 AL1 segment string
- */
-function convertAllergyIntoleranceToAL1(allergy, setId = 1) {
-  if (!allergy || allergy.resourceType !== 'AllergyIntolerance') {
-    return ''
+  // PID-10: Race
+  const raceCodings = getHL7Repetitions(pid, 10, delimiters)
+    .map(c => convertHL7CodedElementToFHIR(c)?.coding?.[0])
+    .filter(Boolean)
+  if (raceCodings.length > 0) {
+    extensions.push(buildOMBCategoryExtension('http://hl7.org/fhir/us/core/StructureDefinition/us-core-race', raceCodings))
   }
   
-  const fields = ['AL1']
+  // PID-11: Patient Address
+  const addresses = getHL7Repetitions(pid, 11, delimiters)
+    .map(components => convertHL7AddressToFHIR(components))
+    .filter(Boolean)
   
-  // AL1-1: Set ID
-  fields.push(setId.toString())
+  // PID-12: County Code
+  const countyCode = getHL7Value(pid, 12, delimiters)
+  if (countyCode && addresses.length > 0) {
+    addresses[0].district = countyCode
+  }
+  if (addresses.length > 0) patient.address = addresses
   
-  // AL1-2: Allergen Type Code
-  const typeMapping = {
-    'allergy': 'DA', // Drug allergy
-    'intolerance': 'FA', // Food allergy
-    'environment': 'EA', // Environmental allergy
-    'biologic': 'MA', // Miscellaneous allergy
+  // PID-13/14: Home and Business Phone
+  const telecom = []
+  const homePhone = getHL7Value(pid, 13, delimiters)
+  if (homePhone) telecom.push({ system: 'phone', value: homePhone, use: 'home' })
+  const workPhone = getHL7Value(pid, 14, delimiters)
+  if (workPhone) telecom.push({ system: 'phone', value: workPhone, use: 'work' })
+  if (telecom.length > 0) patient.telecom = telecom
+  
+  // PID-15: Primary Language
+  const language = getHL7Value(pid, 15, delimiters)
+  if (language) {
+    patient.communication = [{ language: { coding: [{ code: language }] }, preferred: true }]
   }
-  const type = allergy.type || 'allergy'
-  fields.push(typeMapping[type] || 'MA')
   
-  // AL1-3: Allergen Code/Mnemonic/Description
-  if (allergy.code && allergy.code.coding && allergy.code.coding.length > 0) {
-    const coding = allergy.code.coding[0]
-    // Format: Code^Text^CodingSystem
-    const code = coding.code || ''
-    const display = coding.display || allergy.code.text || ''
-    const system = coding.system || ''
-    fields.push(`${code}^${display}^${system}`)
-  } else {
-    fields.push('')
+  // PID-16: Marital Status
+  const maritalStatus = getHL7Value(pid, 16, delimiters)
+  if (maritalStatus) {
+    patient.maritalStatus = {
+      coding: [{
+        system: 'http://terminology.hl7.org/CodeSystem/v3-MaritalStatus',
+        code: invertMapping(MARITAL_STATUS_MAP)[maritalStatus] || maritalStatus,
+      }],
+    }
   }
   
-  // AL1-4: Allergy Severity Code
-  const severityMapping = {
-    'mild': 'MI', // Mild
-    'moderate': 'MO', // Moderate
-    'severe': 'SV', // Severe
+  // PID-17: Religion
+  const religion = getHL7Value(pid, 17, delimiters)
+  if (religion) {
+    extensions.push({
+      url: 'http://hl7.org/fhir/StructureDefinition/patient-religion',
+      valueCodeableConcept: { coding: [{ code: religion }] },
+    })
   }
-  const severity = allergy.reaction?.[0]?.severity
-  fields.push(severityMapping[severity] || '')
   
-  // AL1-5: Allergy Reaction Code
-  if (allergy.reaction && allergy.reaction.length > 0) {
-    const reactions = allergy.reaction.map(r => {
-      if (r.manifestation && r.manifestation.length > 0) {
-        const manifestation = r.manifestation[0]
-        const code = manifestation.coding?.[0]?.code || ''
-        const display = manifestation.coding?.[0]?.display || manifestation.text || ''
-        return `${code}^${display}`
-      }
-      return ''
-    }).filter(r => r)
-    fields.push(reactions.join('~') || '')
-  } else {
-    fields.push('')
+  // PID-22: Ethnic Group
+  const ethnicityCodings = getHL7Repetitions(pid, 22, delimiters)
+    .map(c => convertHL7CodedElementToFHIR(c)?.coding?.[0])
+    .filter(Boolean)
+  if (ethnicityCodings.length > 0) {
+    extensions.push(buildOMBCategoryExtension('http://hl7.org/fhir/us/core/StructureDefinition/us-core-ethnicity', ethnicityCodings))
   }
   
-  // AL1-6: Identification Date
-  if (allergy.onsetDateTime) {
-    fields.push(convertFHIRDateTimeToHL7(allergy.onsetDateTime))
-  } else if (allergy.recordedDate) {
-    fields.push(convertFHIRDateTimeToHL7(allergy.recordedDate))
-  } else {
-    fields.push('')
+  // PID-23: Birth Place
+  const birthPlace = convertHL7AddressToFHIR(getHL7Components(pid, 23, delimiters))
+  if (birthPlace) {
+    extensions.push({ url: 'http://hl7.org/fhir/StructureDefinition/birthPlace', valueAddress: birthPlace })
   }
   
-  return fields.join('|')
+  // PID-24/25: Multiple Birth Indicator and Birth Order
+  const birthOrder = parseInt(getHL7Value(pid, 25, delimiters), 10)
+  if (birthOrder) {
+    patient.multipleBirthInteger = birthOrder
+  } else if (getHL7Value(pid, 24, delimiters)) {
+    patient.multipleBirthBoolean = getHL7Value(pid, 24, delimiters) === 'Y'
+  }
+  
+  // PID-26: Citizenship
+  const citizenship = getHL7Value(pid, 26, delimiters)
+  if (citizenship) {
+    extensions.push({
+      url: 'http://hl7.org/fhir/StructureDefinition/patient-citizenship',
+      valueCodeableConcept: { coding: [{ code: citizenship }] },
+    })
+  }
+  
+  // PID-29/30: Death Date and Indicator
+  const deathDateTime = convertHL7DateTimeToFHIR(getHL7Value(pid, 29, delimiters))
+  const deathIndicator = getHL7Value(pid, 30, delimiters)
+  if (deathDateTime) {
+    patient.deceasedDateTime = deathDateTime
+  } else if (deathIndicator) {
+    patient.deceasedBoolean = deathIndicator === 'Y'
+  }
+  
+  if (extensions.length > 0) patient.extension = extensions
+  
+  return patient
 }
 
 /**
- * Converts FHIR Condition resource to HL7 DG1 segment
- * @param {Object} condition - FHIR Condition resource
- * @param {number} setId - Set ID for this DG1 segment
- * @returns {string} HL7 DG1 segment string
+ * Converts HL7 PV1 segment to FHIR Encounter resource
+ * @param {HL7Segment} pv1 - PV1 segment
+ * @param {Object} delimiters - Message delimiters
+ * @param {string} eventType - Trigger event from MSH-9 (used to derive Encounter.status)
+ * @returns {Object} Object with encounter and the practitioners it references
  */
-function convertConditionToDG1(condition, setId = 1) {
-  if (!condition || condition.resourceType !== 'Condition') {
-    return ''
+function convertPV1ToEncounter(pv1, delimiters, eventType = '') {
+  if (!pv1 || pv1.name !== 'PV1') {
+    return { encounter: null, practitioners: [] }
   }
   
-  const fields = ['DG1']
-  
-  // DG1-1: Set ID
-  fields.push(setId.toString())
+  // PV1-2 N (not applicable) with nothing else is the placeholder sent when there is no visit
+  if (getHL7Value(pv1, 2, delimiters) === 'N' && pv1.fields.slice(3).every(field => !field?.toString(delimiters))) {
+    return { encounter: null, practitioners: [] }
+  }
   
-  // DG1-2: Diagnosis Coding Method - empty (usually ICD-10)
-  fields.push('')
+  const encounter = {
+    resourceType: 'Encounter',
+    id: 'encounter-1',
+  }
+  const practitioners = []
+  
+  // Encounter.status from the trigger event (the reverse of the default trigger event rules)
+  const statusByEvent = {
+    'A01': 'in-progress',
+    'A03': 'finished',
+    'A04': 'planned',
+    'A14': 'onleave',
+  }
+  encounter.status = statusByEvent[eventType] || (getHL7Value(pv1, 45, delimiters) ? 'finished' : 'in-progress')
   
-  // DG1-3: Diagnosis Code
-  if (condition.code && condition.code.coding && condition.code.coding.length > 0) {
-    const coding = condition.code.coding[0]
-    // Format: Identifier^Text^NameOfCodingSystem
-    const code = coding.code || ''
-    const display = coding.display || condition.code.text || ''
-    const system = coding.system || ''
-    fields.push(`${code}^${display}^${system}`)
-  } else {
-    fields.push('')
+  // PV1-2: Patient Class
+  const patientClass = getHL7Value(pv1, 2, delimiters)
+  encounter.class = {
+    system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode',
+    code: invertMapping(PATIENT_CLASS_MAP)[patientClass] || 'IMP',
   }
   
-  // DG1-4: Diagnosis Description
-  if (condition.code?.text) {
-    fields.push(condition.code.text)
-  } else {
-    fields.push('')
+  encounter.subject = { reference: 'Patient/patient-1' }
+  
+  // PV1-3: Assigned Patient Location
+  const locationComponents = getHL7Components(pv1, 3, delimiters)
+  if (locationComponents.length > 0) {
+    while (locationComponents.length > 1 && locationComponents[locationComponents.length - 1] === '') {
+      locationComponents.pop()
+    }
+    const location = { location: { display: locationComponents.join(delimiters.component) } }
+    
+    // PV1-40: Bed Status
+    const bedStatus = invertMapping(BED_STATUS_MAP)[getHL7Value(pv1, 40, delimiters)]
+    if (bedStatus) location.status = bedStatus
+    
+    encounter.location = [location]
   }
   
-  // DG1-5: Diagnosis Date/Time
-  if (condition.onsetDateTime) {
-    fields.push(convertFHIRDateTimeToHL7(condition.onsetDateTime))
-  } else if (condition.recordedDate) {
-    fields.push(convertFHIRDateTimeToHL7(condition.recordedDate))
-  } else {
-    fields.push('')
+  // PV1-5/19/50: Preadmit number, visit number and alternate visit ID
+  const identifiers = []
+  const visitNumber = convertHL7IdentifierToFHIR(getHL7Components(pv1, 19, delimiters))
+  if (visitNumber) {
+    if (!visitNumber.type) {
+      visitNumber.type = { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0203', code: 'VN' }] }
+    }
+    identifiers.push(visitNumber)
+  }
+  const preadmitNumber = getHL7Value(pv1, 5, delimiters)
+  if (preadmitNumber && !identifiers.some(id => id.value === preadmitNumber)) {
+    identifiers.push({
+      type: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0203', code: 'VN', display: 'Preadmit number' }] },
+      value: preadmitNumber,
+    })
+  }
+  const altVisitId = convertHL7IdentifierToFHIR(getHL7Components(pv1, 50, delimiters))
+  if (altVisitId && !identifiers.some(id => id.value === altVisitId.value)) {
+    identifiers.push({ use: 'secondary', ...altVisitId })
+  }
+  if (identifiers.length > 0) encounter.identifier = identifiers
+  
+  // PV1-7/8/9/17: Attending, referring, consulting and admitting doctors
+  const participants = []
+  const addParticipant = (components, typeCode) => {
+    const practitioner = convertHL7PractitionerToFHIR(components)
+    if (!practitioner) return
+    if (!practitioners.some(p => p.id === practitioner.id)) {
+      practitioners.push(practitioner)
+    }
+    participants.push({
+      type: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ParticipationType', code: typeCode }] }],
+      individual: { reference: `Practitioner/${practitioner.id}` },
+    })
   }
+  addParticipant(getHL7Components(pv1, 7, delimiters), 'ATND')
+  addParticipant(getHL7Components(pv1, 8, delimiters), 'REF')
+  getHL7Repetitions(pv1, 9, delimiters).forEach(components => addParticipant(components, 'CON'))
+  addParticipant(getHL7Components(pv1, 17, delimiters), 'ADM')
+  if (participants.length > 0) encounter.participant = participants
   
-  // DG1-6: Diagnosis Type
-  const category = condition.category?.[0]?.coding?.[0]?.code
-  const typeMapping = {
-    'encounter-diagnosis': 'A', // Admitting
-    'problem-list-item': 'F', // Final
-    'health-concern': 'W', // Working
+  // PV1-10: Hospital Service
+  const serviceType = getHL7Value(pv1, 10, delimiters)
+  if (serviceType) encounter.type = [{ coding: [{ code: serviceType }] }]
+  
+  // PV1-20: Financial Class
+  const financialClass = getHL7Value(pv1, 20, delimiters)
+  if (financialClass) encounter.classHistory = [{ class: { code: financialClass } }]
+  
+  // PV1-44/45: Admit and Discharge Date/Time
+  const admitDateTime = convertHL7DateTimeToFHIR(getHL7Value(pv1, 44, delimiters))
+  const dischargeDateTime = convertHL7DateTimeToFHIR(getHL7Value(pv1, 45, delimiters))
+  if (admitDateTime || dischargeDateTime) {
+    encounter.period = {}
+    if (admitDateTime) encounter.period.start = admitDateTime
+    if (dischargeDateTime) encounter.period.end = dischargeDateTime
   }
-  fields.push(typeMapping[category] || 'F')
   
-  // DG1-7: Major Diagnostic Category - empty
-  fields.push('')
+  // PV1-4/6/13/14/36: Hospitalization details
+  const hospitalization = {}
+  const preAdmissionIdentifier = getHL7Value(pv1, 6, delimiters)
+  if (preAdmissionIdentifier) hospitalization.preAdmissionIdentifier = { value: preAdmissionIdentifier }
   
-  // DG1-8: Diagnostic Related Group - empty
-  fields.push('')
+  // PV1-14 carries the FHIR admit source as-is; PV1-4 is the mapped admission type
+  const admitSource = getHL7Value(pv1, 14, delimiters) || invertMapping(ADMISSION_TYPE_MAP)[getHL7Value(pv1, 4, delimiters)]
+  if (admitSource) {
+    hospitalization.admitSource = {
+      coding: [{ system: 'http://terminology.hl7.org/CodeSystem/admit-source', code: admitSource }],
+    }
+  }
   
-  // DG1-9: DRG Approval Indicator - empty
-  fields.push('')
+  const reAdmission = getHL7Value(pv1, 13, delimiters)
+  if (reAdmission) hospitalization.reAdmission = { coding: [{ code: reAdmission }] }
   
-  // DG1-10: DRG Grouper Review Code - empty
-  fields.push('')
+  const dischargeDisposition = getHL7Value(pv1, 36, delimiters)
+  if (dischargeDisposition) hospitalization.dischargeDisposition = { coding: [{ code: dischargeDisposition }] }
   
-  // DG1-11: Outlier Type - empty
-  fields.push('')
+  if (Object.keys(hospitalization).length > 0) encounter.hospitalization = hospitalization
   
-  // DG1-12: Outlier Days - empty
-  fields.push('')
+  return { encounter, practitioners }
+}
+
+/**
+ * Converts HL7 NK1 segment to FHIR RelatedPerson resource
+ * @param {HL7Segment} nk1 - NK1 segment
+ * @param {Object} delimiters - Message delimiters
+ * @param {number} setId - Sequence number used for the resource id
+ * @returns {Object} FHIR RelatedPerson resource
+ */
+function convertNK1ToRelatedPerson(nk1, delimiters, setId = 1) {
+  const relatedPerson = {
+    resourceType: 'RelatedPerson',
+    id: `relatedperson-${setId}`,
+    patient: { reference: 'Patient/patient-1' },
+  }
   
-  // DG1-13: Outlier Cost - empty
-  fields.push('')
+  // NK1-3: Relationship
+  const relationship = convertHL7CodedElementToFHIR(getHL7Components(nk1, 3, delimiters))
+  if (relationship) relatedPerson.relationship = [relationship]
   
-  // DG1-14: Grouper Version And Type - empty
-  fields.push('')
+  // NK1-2: Name
+  const names = getHL7Repetitions(nk1, 2, delimiters)
+    .map(components => convertHL7NameToFHIR(components))
+    .filter(Boolean)
+  if (names.length > 0) relatedPerson.name = names
+  
+  // NK1-5/6: Home and Business Phone
+  const telecom = []
+  const homePhone = getHL7Value(nk1, 5, delimiters)
+  if (homePhone) telecom.push({ system: 'phone', value: homePhone, use: 'home' })
+  const workPhone = getHL7Value(nk1, 6, delimiters)
+  if (workPhone) telecom.push({ system: 'phone', value: workPhone, use: 'work' })
+  if (telecom.length > 0) relatedPerson.telecom = telecom
   
-  // DG1-15: Diagnosis Priority - empty
-  fields.push('')
+  // NK1-4: Address
+  const addresses = getHL7Repetitions(nk1, 4, delimiters)
+    .map(components => convertHL7AddressToFHIR(components))
+    .filter(Boolean)
+  if (addresses.length > 0) relatedPerson.address = addresses
+  
+  // NK1-8/9: Start and End Date
+  const start = convertHL7DateTimeToFHIR(getHL7Value(nk1, 8, delimiters))
+  const end = convertHL7DateTimeToFHIR(getHL7Value(nk1, 9, delimiters))
+  if (start || end) {
+    relatedPerson.period = {}
+    if (start) relatedPerson.period.start = start
+    if (end) relatedPerson.period.end = end
+  }
   
-  // DG1-16: Diagnosing Clinician
-  if (condition.asserter) {
-    // If it's a reference, we can't resolve it
-    if (condition.asserter.reference) {
-      fields.push('')
-    } else if (condition.asserter.resourceType === 'Practitioner') {
-      fields.push(convertFHIRPractitionerToHL7(condition.asserter))
-    } else {
-      fields.push('')
-    }
-  } else {
-    fields.push('')
+  return relatedPerson
+}
+
+/**
+ * Converts HL7 OBX segment to FHIR Observation resource
+ * @param {HL7Segment} obx - OBX segment
+ * @param {Object} delimiters - Message delimiters
+ * @param {number} setId - Sequence number used for the resource id
+ * @param {Object} encounter - FHIR Encounter the observation belongs to (optional)
+ * @returns {Object} FHIR Observation resource
+ */
+function convertOBXToObservation(obx, delimiters, setId = 1, encounter = null) {
+  const observation = {
+    resourceType: 'Observation',
+    id: `observation-${setId}`,
   }
   
-  // DG1-17: Diagnosis Classification - empty
-  fields.push('')
+  // OBX-11: Observation Result Status
+  const status = getHL7Value(obx, 11, delimiters)
+  observation.status = invertMapping(OBSERVATION_STATUS_MAP, { 'C': 'corrected' })[status] || 'final'
   
-  // DG1-18: Confidential Indicator - empty
-  fields.push('')
+  // OBX-3: Observation Identifier
+  const code = convertHL7CodedElementToFHIR(getHL7Components(obx, 3, delimiters))
+  observation.code = code || { text: 'unknown' }
   
-  // DG1-19: Attestation Date/Time - empty
-  fields.push('')
+  observation.subject = { reference: 'Patient/patient-1' }
+  if (encounter) observation.encounter = { reference: `Encounter/${encounter.id}` }
   
-  // DG1-20: Diagnosis Identifier - empty
-  fields.push('')
+  // OBX-12: Date/Time of the Observation
+  const effectiveDateTime = convertHL7DateTimeToFHIR(getHL7Value(obx, 12, delimiters))
+  if (effectiveDateTime) observation.effectiveDateTime = effectiveDateTime
+  
+  // OBX-2/5/6: Value Type, Observation Value and Units
+  const valueType = getHL7Value(obx, 2, delimiters)
+  const valueComponents = getHL7Components(obx, 5, delimiters)
+  const value = valueComponents[0] || ''
+  if (value) {
+    switch (valueType) {
+      case 'NM': {
+        const [unitCode, unit, system] = getHL7Components(obx, 6, delimiters)
+        observation.valueQuantity = { value: Number(value) }
+        if (unit || unitCode) observation.valueQuantity.unit = unit || unitCode
+        if (system) observation.valueQuantity.system = getCodingSystemURI(system)
+        if (unitCode) observation.valueQuantity.code = unitCode
+        break
+      }
+      case 'CE':
+      case 'CWE':
+        observation.valueCodeableConcept = convertHL7CodedElementToFHIR(valueComponents)
+        break
+      case 'DT':
+        observation.valueDate = convertHL7DateTimeToFHIR(value)
+        break
+      case 'TS':
+      case 'DTM':
+        observation.valueDateTime = convertHL7DateTimeToFHIR(value)
+        break
+      case 'TM':
+        observation.valueTime = value
+        break
+      default:
+        // Unescaped text is rebuilt from every component so embedded delimiters survive
+        observation.valueString = valueComponents.join(delimiters.component)
+    }
+  }
   
-  // DG1-21: Diagnosis Action Code - empty
-  fields.push('')
+  // OBX-8: Abnormal Flags
+  const abnormalFlag = getHL7Value(obx, 8, delimiters)
+  const interpretation = invertMapping(ABNORMAL_FLAG_MAP)[abnormalFlag]
+  if (interpretation) {
+    observation.interpretation = [{
+      coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation', code: interpretation }],
+    }]
+  }
   
-  return fields.join('|')
+  return observation
 }
 
 /**
- * Creates EVN segment for HL7 message
- * @param {string} eventType - Event type code (e.g., 'A01')
- * @param {string} recordedDateTime - Optional recorded date/time
- * @returns {string} EVN segment string
+ * Converts HL7 AL1 segment to FHIR AllergyIntolerance resource
+ * @param {HL7Segment} al1 - AL1 segment
+ * @param {Object} delimiters - Message delimiters
+ * @param {number} setId - Sequence number used for the resource id
+ * @returns {Object} FHIR AllergyIntolerance resource
  */
-function createEVNSegment(eventType = 'A01', recordedDateTime = null) {
-  const now = new Date()
-  const timestamp = recordedDateTime 
-    ? convertFHIRDateTimeToHL7(recordedDateTime)
-    : now.toISOString().replace(/[-:]/g, '').split('.')[0]
+function convertAL1ToAllergyIntolerance(al1, delimiters, setId = 1) {
+  const allergy = {
+    resourceType: 'AllergyIntolerance',
+    id: `allergy-${setId}`,
+    patient: { reference: 'Patient/patient-1' },
+  }
   
-  const fields = [
-    'EVN',
-    eventType, // Event Type Code
-    timestamp, // Recorded Date/Time
-    '', // Date/Time Planned Event
-    '', // Event Reason Code
-    'SendingUserID', // Operator ID
-    '', // Event Occurred
-    '', // Event Facility
-  ]
+  // AL1-2: Allergen Type Code
+  const type = invertMapping(ALLERGEN_TYPE_MAP)[getHL7Value(al1, 2, delimiters)]
+  if (type) allergy.type = type
+  
+  // AL1-3: Allergen Code/Mnemonic/Description
+  const code = convertHL7CodedElementToFHIR(getHL7Components(al1, 3, delimiters))
+  if (code) allergy.code = code
+  
+  // AL1-5: Allergy Reaction Code, AL1-4: Allergy Severity Code (first reaction)
+  const reactions = getHL7Repetitions(al1, 5, delimiters)
+    .map(components => convertHL7CodedElementToFHIR(components))
+    .filter(Boolean)
+    .map(manifestation => ({ manifestation: [manifestation] }))
+  const severity = invertMapping(ALLERGY_SEVERITY_MAP)[getHL7Value(al1, 4, delimiters)]
+  if (severity) {
+    if (reactions.length === 0) reactions.push({ manifestation: [{ text: 'unknown' }] })
+    reactions[0].severity = severity
+  }
+  if (reactions.length > 0) allergy.reaction = reactions
+  
+  // AL1-6: Identification Date
+  const identificationDate = convertHL7DateTimeToFHIR(getHL7Value(al1, 6, delimiters))
+  if (identificationDate) allergy.onsetDateTime = identificationDate
+  
+  return allergy
+}
+
+/**
+ * Converts HL7 DG1 segment to FHIR Condition resource
+ * @param {HL7Segment} dg1 - DG1 segment
+ * @param {Object} delimiters - Message delimiters
+ * @param {number} setId - Sequence number used for the resource id
+ * @param {Object} encounter - FHIR Encounter the diagnosis belongs to (optional)
+ * @returns {Object} Object with condition and the practitioner it references (if any)
+ */
+function convertDG1ToCondition(dg1, delimiters, setId = 1, encounter = null) {
+  const condition = {
+    resourceType: 'Condition',
+    id: `condition-${setId}`,
+    subject: { reference: 'Patient/patient-1' },
+  }
+  if (encounter) condition.encounter = { reference: `Encounter/${encounter.id}` }
   
-  return fields.join('|')
+  // DG1-6: Diagnosis Type
+  const category = invertMapping(DIAGNOSIS_TYPE_MAP)[getHL7Value(dg1, 6, delimiters)]
+  if (category) {
+    condition.category = [{
+      coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-category', code: category }],
+    }]
+  }
+  
+  // DG1-3: Diagnosis Code, DG1-4: Diagnosis Description
+  const code = convertHL7CodedElementToFHIR(getHL7Components(dg1, 3, delimiters)) || {}
+  const description = getHL7Value(dg1, 4, delimiters)
+  if (description) code.text = description
+  if (code.coding || code.text) condition.code = code
+  
+  // DG1-5: Diagnosis Date/Time
+  const onsetDateTime = convertHL7DateTimeToFHIR(getHL7Value(dg1, 5, delimiters))
+  if (onsetDateTime) condition.onsetDateTime = onsetDateTime
+  
+  // DG1-16: Diagnosing Clinician
+  const practitioner = convertHL7PractitionerToFHIR(getHL7Components(dg1, 16, delimiters))
+  if (practitioner) condition.asserter = { reference: `Practitioner/${practitioner.id}` }
+  
+  return { condition, practitioner }
+}
+
+// HL7 acknowledgment code (table 0008) -> FHIR MessageHeader.response.code
+const ACKNOWLEDGMENT_RESPONSE_CODES = {
+  'AA': 'ok',
+  'CA': 'ok',
+  'AE': 'fatal-error',
+  'CE': 'fatal-error',
+  'AR': 'transient-error',
+  'CR': 'transient-error',
+}
+
+// HL7 error severity (table 0516) -> FHIR OperationOutcome issue severity
+const ERROR_SEVERITIES = {
+  'E': 'error',
+  'F': 'fatal',
+  'W': 'warning',
+  'I': 'information',
 }
 
 /**
- * Determines HL7 message type based on resources
- * @param {Object} encounter - FHIR Encounter resource (optional)
- * @returns {Object} Object with messageType and eventType
+ * Converts an HL7 ACK to a FHIR response message Bundle: MSH becomes the
+ * MessageHeader, MSA its response and the ERR segments (or MSA-3) the
+ * OperationOutcome in response.details
+ * @param {HL7Message} hl7Message - Parsed ACK message
+ * @returns {Object} FHIR Bundle (type message)
  */
-function determineMessageType(encounter) {
-  if (!encounter) {
-    return { messageType: 'ADT^A08', eventType: 'A08' } // Patient Update
+function convertACKToFHIR(hl7Message) {
+  const { delimiters, segments } = hl7Message
+  
+  const msa = segments.find(segment => segment.name === 'MSA')
+  if (!msa) {
+    throw new Error('MSA segment is required for ACK conversion')
+  }
+  const acknowledgmentCode = getHL7Value(msa, 1, delimiters)
+  if (!ACKNOWLEDGMENT_RESPONSE_CODES[acknowledgmentCode]) {
+    throw new Error(`Unknown acknowledgment code in MSA-1: ${acknowledgmentCode}`)
   }
   
-  const status = encounter.status
-  const classCode = encounter.class?.code
+  // MSH has no endpoint URLs, which MessageHeader requires
+  const unknownEndpoint = { extension: [{ url: 'http://hl7.org/fhir/StructureDefinition/data-absent-reason', valueCode: 'unknown' }] }
+  const eventType = hl7Message.get('MSH-9.2')
+  const messageHeader = {
+    resourceType: 'MessageHeader',
+    id: 'messageheader-1',
+    eventCoding: eventType
+      ? { system: 'http://terminology.hl7.org/CodeSystem/v2-0003', code: eventType }
+      : { system: 'http://terminology.hl7.org/CodeSystem/v2-0076', code: 'ACK' },
+  }
   
-  // Based on encounter status
-  switch (status) {
-    case 'planned':
-      return { messageType: 'ADT^A04', eventType: 'A04' } // Patient Register
-    case 'arrived':
-    case 'in-progress':
-      return { messageType: 'ADT^A01', eventType: 'A01' } // Patient Admit
-    case 'finished':
-    case 'cancelled':
-      return { messageType: 'ADT^A03', eventType: 'A03' } // Patient Discharge
-    case 'onleave':
-      return { messageType: 'ADT^A14', eventType: 'A14' } // Pending Admit
-    default:
-      // Default based on class
-      if (classCode === 'IMP') {
-        return { messageType: 'ADT^A01', eventType: 'A01' } // Patient Admit
-      } else {
-        return { messageType: 'ADT^A08', eventType: 'A08' } // Patient Update
+  // MSH-5/MSH-6: Receiving Application and Facility
+  const receivingApplication = hl7Message.get('MSH-5.1')
+  const receivingFacility = hl7Message.get('MSH-6.1')
+  if (receivingApplication || receivingFacility) {
+    const destination = {}
+    if (receivingApplication) destination.name = receivingApplication
+    destination._endpoint = unknownEndpoint
+    if (receivingFacility) destination.receiver = { display: receivingFacility }
+    messageHeader.destination = [destination]
+  }
+  
+  // MSH-4: Sending Facility
+  const sendingFacility = hl7Message.get('MSH-4.1')
+  if (sendingFacility) messageHeader.sender = { display: sendingFacility }
+  
+  // MSH-3: Sending Application
+  const sendingApplication = hl7Message.get('MSH-3.1')
+  messageHeader.source = sendingApplication ? { name: sendingApplication, _endpoint: unknownEndpoint } : { _endpoint: unknownEndpoint }
+  
+  // MSA-1/MSA-2: Acknowledgment Code and the Message Control ID it answers
+  messageHeader.response = {
+    identifier: getHL7Value(msa, 2, delimiters),
+    code: ACKNOWLEDGMENT_RESPONSE_CODES[acknowledgmentCode],
+  }
+  
+  // ERR-2 location, ERR-3 error code, ERR-4 severity, ERR-7/ERR-8 diagnostic and user messages
+  const issues = segments
+    .filter(segment => segment.name === 'ERR')
+    .map(err => {
+      const issue = { severity: ERROR_SEVERITIES[getHL7Value(err, 4, delimiters)] || 'error', code: 'processing' }
+      const details = convertHL7CodedElementToFHIR(getHL7Components(err, 3, delimiters))
+      if (details) issue.details = details
+      const diagnostics = getHL7Value(err, 8, delimiters) || getHL7Value(err, 7, delimiters)
+      if (diagnostics) issue.diagnostics = diagnostics
+      const [segmentName, occurrence, field] = getHL7Components(err, 2, delimiters)
+      if (segmentName) {
+        issue.location = [formatHL7Location(segmentName, Number(occurrence) || 1, field ? Number(field) : null)]
       }
+      return issue
+    })
+  
+  // MSA-3: Text Message (withdrawn after 2.4, still sent by older systems)
+  const textMessage = getHL7Value(msa, 3, delimiters)
+  if (issues.length === 0 && textMessage) {
+    issues.push({
+      severity: messageHeader.response.code === 'ok' ? 'information' : 'error',
+      code: 'processing',
+      diagnostics: textMessage,
+    })
+  }
+  
+  const resources = [messageHeader]
+  if (issues.length > 0) {
+    resources.push({ resourceType: 'OperationOutcome', id: 'operationoutcome-1', issue: issues })
+    messageHeader.response.details = { reference: 'OperationOutcome/operationoutcome-1' }
   }
+  
+  const bundle = { resourceType: 'Bundle', type: 'message' }
+  
+  // MSH-10: Message Control ID; MSH-7: Date/Time of Message (an instant needs its offset)
+  const messageControlId = hl7Message.get('MSH-10')
+  if (messageControlId) bundle.identifier = { value: messageControlId }
+  const timestamp = convertHL7DateTimeToFHIR(hl7Message.get('MSH-7'))
+  if (/T.*[+-]\d{2}:\d{2}$/.test(timestamp)) bundle.timestamp = timestamp
+  
+  bundle.entry = resources.map(resource => ({
+    fullUrl: `urn:uuid:${resource.id}`,
+    resource,
+  }))
+  return bundle
 }
 
 /**
- * Converts FHIR resource(s) to HL7 message
- * @param {Object|Array|Object} fhirResource - FHIR resource, array of resources, or Bundle
- * @param {Object} options - Optional configuration for MSH segment
- * @returns {string} HL7 message string
+ * Converts an HL7 v2.x ADT message to a FHIR R4 Bundle, or an ACK to a FHIR
+ * response message
+ * @param {string|HL7Message} message - HL7 message string (segments separated by \r or \n) or HL7Message
+ * @returns {Object} FHIR Bundle (type collection) with the converted resources; for an ACK, a Bundle of type message
+ *   with the MessageHeader and its response
  */
-export function convertFHIRToHL7(fhirResource, options = {}) {
-  if (!fhirResource) {
-    throw new Error('FHIR resource is required')
+export function convertHL7ToFHIR(message) {
+  const hl7Message = message instanceof HL7Message ? message : HL7Message.parse(message)
+  const { delimiters, segments } = hl7Message
+  
+  if (hl7Message.get('MSH-9.1') === 'ACK') {
+    return convertACKToFHIR(hl7Message)
   }
   
-  // Handle Bundle
-  let resources = []
-  if (fhirResource.resourceType === 'Bundle' && fhirResource.entry) {
-    resources = fhirResource.entry.map(entry => entry.resource).filter(Boolean)
-  } else if (Array.isArray(fhirResource)) {
-    resources = fhirResource
-  } else {
-    resources = [fhirResource]
+  const eventType = hl7Message.get('MSH-9.2')
+  
+  const pid = segments.find(segment => segment.name === 'PID')
+  if (!pid) {
+    throw new Error('PID segment is required for FHIR conversion')
   }
   
-  // Find Patient resource
-  const patient = resources.find(r => r.resourceType === 'Patient')
-  if (!patient) {
-    throw new Error('Patient resource is required for HL7 conversion')
+  const resources = []
+  const practitioners = []
+  const addPractitioner = practitioner => {
+    if (practitioner && !practitioners.some(p => p.id === practitioner.id)) {
+      practitioners.push(practitioner)
+    }
   }
   
-  // Find other resources
-  const encounter = resources.find(r => r.resourceType === 'Encounter')
-  const relatedPersons = resources.filter(r => r.resourceType === 'RelatedPerson')
-  const observations = resources.filter(r => r.resourceType === 'Observation')
-  const allergies = resources.filter(r => r.resourceType === 'AllergyIntolerance')
-  const conditions = resources.filter(r => r.resourceType === 'Condition')
-  const practitioners = resources.filter(r => r.resourceType === 'Practitioner')
+  // PID -> Patient
+  resources.push(convertPIDToPatient(pid, delimiters))
   
-  // Determine message type
-  const { messageType, eventType } = determineMessageType(encounter)
+  // PV1 -> Encounter
+  const pv1 = segments.find(segment => segment.name === 'PV1')
+  const { encounter, practitioners: encounterPractitioners } = convertPV1ToEncounter(pv1, delimiters, eventType)
+  if (encounter) {
+    resources.push(encounter)
+    encounterPractitioners.forEach(addPractitioner)
+  }
   
-  // Build HL7 message
-  const segments = []
+  // NK1 -> RelatedPerson
+  segments
+    .filter(segment => segment.name === 'NK1')
+    .forEach((nk1, index) => resources.push(convertNK1ToRelatedPerson(nk1, delimiters, index + 1)))
   
-  // MSH segment
-  segments.push(createMSHSegment(messageType, null, options))
+  // AL1 -> AllergyIntolerance
+  segments
+    .filter(segment => segment.name === 'AL1')
+    .forEach((al1, index) => resources.push(convertAL1ToAllergyIntolerance(al1, delimiters, index + 1)))
   
-  // EVN segment
-  const recordedDateTime = encounter?.period?.start || patient.meta?.lastUpdated
-  segments.push(createEVNSegment(eventType, recordedDateTime))
+  // DG1 -> Condition
+  segments
+    .filter(segment => segment.name === 'DG1')
+    .forEach((dg1, index) => {
+      const { condition, practitioner } = convertDG1ToCondition(dg1, delimiters, index + 1, encounter)
+      resources.push(condition)
+      addPractitioner(practitioner)
+    })
   
-  // PID segment
-  segments.push(convertPatientToPID(patient))
+  // OBX -> Observation
+  segments
+    .filter(segment => segment.name === 'OBX')
+    .forEach((obx, index) => resources.push(convertOBXToObservation(obx, delimiters, index + 1, encounter)))
   
-  // PV1 segment (if encounter exists)
-  if (encounter) {
-    const pv1Segment = convertEncounterToPV1(encounter, practitioners)
-    if (pv1Segment) {
-      segments.push(pv1Segment)
-    }
+  resources.push(...practitioners)
+  
+  return {
+    resourceType: 'Bundle',
+    type: 'collection',
+    entry: resources.map(resource => ({
+      fullUrl: `urn:uuid:${resource.id}`,
+      resource,
+    })),
+  }
+}
+
+/**
+ * Splits an HL7 batch file into its messages, checking the BTS and FTS counts
+ * 
+ * A batch without FHS/FTS, or plain messages one after another, are read as
+ * a single batch.
+ * @param {string} batch - HL7 batch file (segments separated by \r or \n)
+ * @returns {Object} { fileControlId, batches: [{ batchControlId, messages }], messages }, each message an HL7 message string
+ */
+export function parseHL7Batch(batch) {
+  if (!batch || typeof batch !== 'string' || batch.trim() === '') {
+    throw new Error('HL7 batch is required')
   }
   
-  // NK1 segments (RelatedPerson)
-  relatedPersons.forEach((relatedPerson, index) => {
-    const nk1Segment = convertRelatedPersonToNK1(relatedPerson, index + 1)
-    if (nk1Segment) {
-      segments.push(nk1Segment)
+  const result = { fileControlId: '', batches: [], messages: [] }
+  let delimiters = DEFAULT_DELIMITERS
+  let current = null
+  let batchOpen = false
+  let message = null
+  let fileHeader = false
+  let fileTrailer = false
+  
+  const endMessage = () => {
+    if (!message) return
+    if (!current) {
+      current = { batchControlId: '', messages: [] }
+      result.batches.push(current)
     }
-  })
+    const text = message.join('\r')
+    current.messages.push(text)
+    result.messages.push(text)
+    message = null
+  }
   
-  // AL1 segments (AllergyIntolerance)
-  allergies.forEach((allergy, index) => {
-    const al1Segment = convertAllergyIntoleranceToAL1(allergy, index + 1)
-    if (al1Segment) {
-      segments.push(al1Segment)
+  // BTS-1 and FTS-1 are optional, but must match when present
+  const checkCount = (name, count, actual, what) => {
+    if (count !== '' && Number(count) !== actual) {
+      throw new Error(`${name}-1 says ${count} ${what} but there are ${actual}`)
     }
-  })
+  }
   
-  // DG1 segments (Condition/Diagnosis)
-  conditions.forEach((condition, index) => {
-    const dg1Segment = convertConditionToDG1(condition, index + 1)
-    if (dg1Segment) {
-      segments.push(dg1Segment)
+  batch.split(/\r\n|\r|\n/).filter(line => line.trim() !== '').forEach((line, index) => {
+    const name = line.slice(0, 3)
+    if (fileTrailer) {
+      throw new Error('HL7 batch file has segments after its FTS trailer')
     }
-  })
-  
-  // OBX segments (Observation)
-  observations.forEach((observation, index) => {
-    const obxSegment = convertObservationToOBX(observation, index + 1)
-    if (obxSegment) {
-      segments.push(obxSegment)
+    if (HEADER_SEGMENT_NAMES.includes(name)) {
+      delimiters = parseEncodingCharacters(line[3], line.substring(4).split(line[3])[0])
+    }
+    const segment = HL7Segment.parse(line, delimiters)
+    const value = field => segment.getField(field)?.getValue(delimiters) || ''
+    
+    switch (name) {
+      case 'FHS':
+        if (index > 0) throw new Error('FHS must be the first segment of an HL7 batch file')
+        fileHeader = true
+        result.fileControlId = value(11)
+        break
+      case 'BHS':
+        endMessage()
+        if (batchOpen) throw new Error(`Batch ${current.batchControlId} has no BTS trailer`)
+        current = { batchControlId: value(11), messages: [] }
+        result.batches.push(current)
+        batchOpen = true
+        break
+      case 'BTS':
+        endMessage()
+        if (!batchOpen) throw new Error('BTS segment without a BHS segment')
+        checkCount('BTS', value(1), current.messages.length, 'messages')
+        batchOpen = false
+        current = null
+        break
+      case 'FTS':
+        endMessage()
+        if (batchOpen) throw new Error(`Batch ${current.batchControlId} has no BTS trailer`)
+        if (!fileHeader) throw new Error('FTS segment without an FHS segment')
+        checkCount('FTS', value(1), result.batches.length, 'batches')
+        fileTrailer = true
+        break
+      case 'MSH':
+        endMessage()
+        message = [line]
+        break
+      default:
+        if (!message) throw new Error(`${name} segment is outside a message`)
+        message.push(line)
     }
   })
   
-  return segments.join('\r')
+  endMessage()
+  if (batchOpen) {
+    throw new Error(`Batch ${current.batchControlId} has no BTS trailer`)
+  }
+  if (fileHeader && !fileTrailer) {
+    throw new Error('HL7 batch file has no FTS trailer')
+  }
+  
+  return result
 }
 
 /**
@@ -1563,7 +6688,7 @@ export function getSampleFHIRBundle() {
             reference: 'Patient/patient-1',
           },
           period: {
-            start: '2024-01-01T10:00:00',
+            start: '2024-01-01T10:00:00Z',
           },
           location: [
             {
@@ -1671,7 +6796,7 @@ export function getSampleFHIRBundle() {
             system: 'http://unitsofmeasure.org',
             code: '/min',
           },
-          effectiveDateTime: '2024-01-01T10:30:00',
+          effectiveDateTime: '2024-01-01T10:30:00Z',
         },
       },
       {
@@ -1693,9 +6818,9 @@ export function getSampleFHIRBundle() {
               },
             ],
           },
-          severity: 'severe',
           reaction: [
             {
+              severity: 'severe',
               manifestation: [
                 {
                   coding: [
@@ -1750,21 +6875,949 @@ export function getSampleFHIRBundle() {
   }
 }
 
+// HL7 message structure -> segment grammar ([ ] optional, { } repeating), as defined in 2.5
+const MESSAGE_STRUCTURE_DEFINITIONS = {
+  'ADT_A01': 'MSH [{SFT}] EVN PID [PD1] [{ROL}] [{NK1}] PV1 [PV2] [{ROL}] [{DB1}] [{OBX}] [{AL1}] [{DG1}] [DRG] [{PR1 [{ROL}]}] [{GT1}] [{IN1 [IN2] [{IN3}] [{ROL}]}] [ACC] [UB1] [UB2] [PDA]',
+  'ADT_A02': 'MSH [{SFT}] EVN PID [PD1] [{ROL}] PV1 [PV2] [{ROL}] [{DB1}] [{OBX}] [PDA]',
+  'ADT_A03': 'MSH [{SFT}] EVN PID [PD1] [{ROL}] [{NK1}] PV1 [PV2] [{ROL}] [{DB1}] [{AL1}] [{DG1}] [DRG] [{PR1 [{ROL}]}] [{OBX}] [{GT1}] [{IN1 [IN2] [{IN3}] [{ROL}]}] [ACC] [PDA]',
+  'ADT_A05': 'MSH [{SFT}] EVN PID [PD1] [{ROL}] [{NK1}] PV1 [PV2] [{ROL}] [{DB1}] [{OBX}] [{AL1}] [{DG1}] [DRG] [{PR1 [{ROL}]}] [{GT1}] [{IN1 [IN2] [{IN3}] [{ROL}]}] [ACC] [UB1] [UB2]',
+  'ADT_A09': 'MSH [{SFT}] EVN PID [PD1] PV1 [PV2] [{DB1}] [{OBX}] [{DG1}]',
+  'ADT_A21': 'MSH [{SFT}] EVN PID [PD1] PV1 [PV2] [{DB1}] [{OBX}]',
+  'ADT_A30': 'MSH [{SFT}] EVN PID [PD1] MRG',
+  'ADT_A39': 'MSH [{SFT}] EVN {PID [PD1] MRG [PV1]}',
+  'ORU_R01': 'MSH [{SFT}] {[PID [PD1] [{NTE}] [{NK1}] [PV1 [PV2]]] {[ORC] OBR [{NTE}] [{TQ1 [{TQ2}]}] [CTD] [{OBX [{NTE}]}] [{FT1}] [{CTI}] [{SPM [{OBX}]}]}} [DSC]',
+  'ORM_O01': 'MSH [{NTE}] [PID [PD1] [{NTE}] [PV1 [PV2]] [{IN1 [IN2] [IN3]}] [GT1] [{AL1}]] {ORC [OBR [{NTE}] [CTD] [{DG1}] [{OBX [{NTE}]}]] [{FT1}] [{CTI}] [BLG]}',
+  'OML_O21': 'MSH [{SFT}] [{NTE}] [PID [PD1] [{NTE}] [{NK1}] [PV1 [PV2]] [{IN1 [IN2] [IN3]}] [GT1] [{AL1}]] {ORC [{TQ1 [{TQ2}]}] [OBR [TCD] [{NTE}] [CTD] [{DG1}] [{OBX [TCD] [{NTE}]}] [{SPM [{OBX}] [{SAC [{OBX}]}]}]] [{FT1}] [{CTI}] [BLG]}',
+  'VXU_V04': 'MSH [{SFT}] PID [PD1] [{NK1}] [PV1 [PV2]] [{GT1}] [{IN1 [IN2] [IN3]}] [{ORC [{TQ1 [TQ2]}] RXA [RXR] [{OBX [{NTE}]}]}]',
+  'SIU_S12': 'MSH [{SFT}] SCH [TQ1] [{NTE}] [{PID [PD1] [PV1] [PV2] [{OBX}] [{DG1}]}] {RGS [{AIS [{NTE}]}] [{AIG [{NTE}]}] [{AIL [{NTE}]}] [{AIP [{NTE}]}]}',
+  'MDM_T01': 'MSH [{SFT}] EVN PID PV1 TXA [{CON}]',
+  'MDM_T02': 'MSH [{SFT}] EVN PID PV1 TXA [{CON}] {OBX [{NTE}]}',
+  'ACK': 'MSH [{SFT}] MSA [{ERR}]',
+}
+
+// HL7 table -> allowed values, for the coded fields checked by validateHL7Message
+const HL7_TABLE_VALUES = {
+  '0001': ['A', 'F', 'M', 'N', 'O', 'U'], // Administrative sex
+  '0004': ['B', 'C', 'E', 'I', 'N', 'O', 'P', 'R', 'U'], // Patient class
+  '0008': ['AA', 'AE', 'AR', 'CA', 'CE', 'CR'], // Acknowledgment code
+  '0038': ['A', 'CA', 'CM', 'DC', 'ER', 'HD', 'IP', 'RP', 'SC'], // Order status
+  '0052': ['A', 'F', 'W'], // Diagnosis type
+  '0076': ['ACK', 'ADR', 'ADT', 'BAR', 'DFT', 'MDM', 'MFN', 'OML', 'ORL', 'ORM', 'ORR', 'ORU', 'QBP', 'RDE', 'RSP', 'SIU', 'SRM', 'SRR', 'VXU'], // Message type
+  '0085': ['C', 'D', 'F', 'I', 'N', 'O', 'P', 'R', 'S', 'U', 'W', 'X'], // Observation result status
+  '0103': ['D', 'P', 'T'], // Processing ID
+  '0105': ['L', 'O', 'P'], // Source of comment
+  '0119': ['AF', 'CA', 'CH', 'CN', 'CR', 'DC', 'DE', 'DF', 'DR', 'FU', 'HD', 'HR', 'LI', 'NA', 'NW', 'OC', 'OD', 'OE', 'OF', 'OH', 'OK', 'OP', 'OR', 'PA', 'PR', 'PY', 'RE', 'RF', 'RL', 'RO', 'RP', 'RQ', 'RR', 'RU', 'SC', 'SN', 'SR', 'SS', 'UA', 'UB', 'UC', 'UD', 'UF', 'UH', 'UM', 'UN', 'UR', 'UX', 'XO', 'XR', 'XX'], // Order control
+  '0123': ['A', 'C', 'F', 'I', 'O', 'P', 'R', 'S', 'X', 'Y', 'Z'], // Result status
+  '0125': ['AD', 'CE', 'CF', 'CK', 'CN', 'CP', 'CWE', 'CX', 'DT', 'DTM', 'ED', 'FT', 'ID', 'MO', 'NM', 'PN', 'RP', 'SN', 'ST', 'TM', 'TN', 'TS', 'TX', 'XAD', 'XCN', 'XON', 'XPN', 'XTN'], // Value type
+  '0127': ['AA', 'DA', 'EA', 'FA', 'LA', 'MA', 'MC', 'PA'], // Allergen type
+  '0128': ['MI', 'MO', 'SV', 'U'], // Allergy severity
+  '0136': ['N', 'Y'], // Yes/no indicator
+  '0155': ['AL', 'ER', 'NE', 'SU'], // Accept/application acknowledgment conditions
+  '0271': ['AU', 'DI', 'DO', 'IN', 'IP', 'LA', 'PA'], // Document completion status
+  '0272': ['R', 'U', 'V'], // Document confidentiality status
+  '0273': ['AR', 'AV', 'CA', 'OB', 'UN'], // Document availability status
+  '0322': ['CP', 'NA', 'PA', 'RE'], // Completion status
+  '0323': ['A', 'D', 'U', 'X'], // Action code
+}
+
+// Field or component (path as in HL7Message.get) -> conformance rules checked by validateHL7Message:
+// required, type (DTM, DT, TM, NM, SI, ID or IS; TS fields are checked as DTM), table and maxLength.
+// ID tables are HL7-defined, so unknown values are errors; IS tables are user-defined, so they are warnings.
+const HL7_FIELD_DEFINITIONS = {
+  'MSH-7': { required: true, type: 'DTM', maxLength: 26 },
+  'MSH-9': { required: true },
+  'MSH-9.1': { required: true, type: 'ID', table: '0076' },
+  'MSH-9.2': { required: true },
+  'MSH-10': { required: true, maxLength: 20 },
+  'MSH-11': { required: true },
+  'MSH-11.1': { type: 'ID', table: '0103' },
+  'MSH-12': { required: true },
+  'MSH-15': { type: 'ID', table: '0155' },
+  'MSH-16': { type: 'ID', table: '0155' },
+  'MSA-1': { required: true, type: 'ID', table: '0008' },
+  'MSA-2': { required: true, maxLength: 20 },
+  'EVN-2': { required: true, type: 'DTM', maxLength: 26 },
+  'EVN-6': { type: 'DTM' },
+  'PID-1': { type: 'SI' },
+  'PID-3': { required: true, maxLength: 250 },
+  'PID-3.1': { required: true },
+  'PID-5': { required: true, maxLength: 250 },
+  'PID-7': { type: 'DTM', maxLength: 26 },
+  'PID-8': { type: 'IS', table: '0001', maxLength: 1 },
+  'PID-24': { type: 'ID', table: '0136' },
+  'PID-29': { type: 'DTM' },
+  'PID-30': { type: 'ID', table: '0136' },
+  'NK1-1': { required: true, type: 'SI' },
+  'PV1-1': { type: 'SI' },
+  'PV1-2': { required: true, type: 'IS', table: '0004' },
+  'PV1-44': { type: 'DTM' },
+  'PV1-45': { type: 'DTM' },
+  'OBX-1': { type: 'SI' },
+  'OBX-2': { type: 'ID', table: '0125' },
+  'OBX-3': { required: true, maxLength: 250 },
+  'OBX-11': { required: true, type: 'ID', table: '0085' },
+  'OBX-14': { type: 'DTM' },
+  'AL1-1': { required: true, type: 'SI' },
+  'AL1-2': { type: 'IS', table: '0127' },
+  'AL1-3': { required: true },
+  'AL1-4': { type: 'IS', table: '0128' },
+  'DG1-1': { required: true, type: 'SI' },
+  'DG1-5': { type: 'DTM' },
+  'DG1-6': { required: true, type: 'IS', table: '0052' },
+  'GT1-1': { required: true, type: 'SI' },
+  'GT1-3': { required: true },
+  'IN1-1': { required: true, type: 'SI' },
+  'IN1-2': { required: true },
+  'IN1-3': { required: true },
+  'MRG-1': { required: true },
+  'ORC-1': { required: true, type: 'ID', table: '0119' },
+  'ORC-5': { type: 'ID', table: '0038' },
+  'ORC-9': { type: 'DTM' },
+  'OBR-1': { type: 'SI' },
+  'OBR-4': { required: true },
+  'OBR-7': { type: 'DTM' },
+  'OBR-22': { type: 'DTM' },
+  'OBR-25': { type: 'ID', table: '0123' },
+  'NTE-1': { type: 'SI' },
+  'NTE-2': { type: 'ID', table: '0105' },
+  'SPM-1': { type: 'SI' },
+  'SPM-4': { required: true },
+  'RXA-1': { required: true, type: 'NM' },
+  'RXA-2': { required: true, type: 'NM' },
+  'RXA-3': { required: true, type: 'DTM' },
+  'RXA-4': { required: true, type: 'DTM' },
+  'RXA-5': { required: true },
+  'RXA-6': { required: true, type: 'NM' },
+  'RXA-20': { type: 'ID', table: '0322' },
+  'RXA-21': { type: 'ID', table: '0323' },
+  'RXR-1': { required: true },
+  'RGS-1': { required: true, type: 'SI' },
+  'AIS-1': { required: true, type: 'SI' },
+  'AIS-3': { required: true },
+  'AIG-1': { required: true, type: 'SI' },
+  'AIG-3': { required: true },
+  'AIL-1': { required: true, type: 'SI' },
+  'AIP-1': { required: true, type: 'SI' },
+  'TXA-1': { required: true, type: 'SI' },
+  'TXA-2': { required: true },
+  'TXA-12': { required: true },
+  'TXA-17': { required: true, type: 'ID', table: '0271' },
+  'TXA-18': { type: 'ID', table: '0272' },
+  'TXA-19': { type: 'ID', table: '0273' },
+}
+
+// HL7 data type -> value format
+const HL7_DATA_TYPE_FORMATS = {
+  DTM: /^\d{4}(\d{2}(\d{2}(\d{2}(\d{2}(\d{2}(\.\d{1,4})?)?)?)?)?)?([+-]\d{4})?$/,
+  DT: /^\d{4}(\d{2}(\d{2})?)?$/,
+  TM: /^\d{2}(\d{2}(\d{2}(\.\d{1,4})?)?)?([+-]\d{4})?$/,
+  NM: /^[+-]?(\d+(\.\d*)?|\.\d+)$/,
+  SI: /^\d{1,4}$/,
+}
+
+// OBX-2 value type -> data type whose format OBX-5 must have
+const OBSERVATION_VALUE_FORMATS = { NM: 'NM', DT: 'DT', DTM: 'DTM', TS: 'DTM', TM: 'TM' }
+
+/**
+ * Parses a segment grammar such as 'MSH EVN PID [{NK1}] PV1' into nested groups
+ * @param {string} grammar - Segment grammar ([ ] optional, { } repeating)
+ * @returns {Array<Object>} Items: { name } for a segment, { items, optional, repeating } for a group
+ */
+function parseSegmentGrammar(grammar) {
+  const tokens = grammar.match(/[[\]{}]|[A-Z0-9]{3}/g) || []
+  let index = 0
+  
+  const parseItems = closing => {
+    const items = []
+    while (index < tokens.length && tokens[index] !== closing) {
+      const token = tokens[index++]
+      if (token === '[') {
+        items.push({ items: parseItems(']'), optional: true })
+      } else if (token === '{') {
+        items.push({ items: parseItems('}'), repeating: true })
+      } else {
+        items.push({ name: token })
+      }
+    }
+    index++
+    return items
+  }
+  
+  return parseItems(null)
+}
+
 /**
- * Validates that a resource is a valid FHIR resource
- * @param {Object} resource - Resource to validate
- * @returns {boolean} True if resource appears valid
+ * Matches segment names against grammar items, greedily
+ * @param {Array<Object>} items - Grammar items from parseSegmentGrammar
+ * @param {Array<string>} names - Segment names of the message
+ * @param {number} position - Index of the first segment to match
+ * @param {Object} failure - Furthest required segment that didn't match ({ position, expected }), updated in place
+ * @returns {number} Index after the matched segments, or -1 if the items don't match
  */
-export function validateFHIRResource(resource) {
-  if (!resource || typeof resource !== 'object') {
-    return false
+function matchSegmentGrammar(items, names, position, failure) {
+  for (const item of items) {
+    let next
+    if (item.name) {
+      next = names[position] === item.name ? position + 1 : -1
+      if (next === -1 && position >= failure.position) {
+        failure.position = position
+        failure.expected = item.name
+      }
+    } else {
+      next = matchSegmentGrammar(item.items, names, position, failure)
+      while (item.repeating && next !== -1 && next < names.length) {
+        const again = matchSegmentGrammar(item.items, names, next, failure)
+        if (again <= next) break
+        next = again
+      }
+      if (next === -1 && item.optional) next = position
+    }
+    
+    if (next === -1) return -1
+    position = next
+  }
+  return position
+}
+
+/**
+ * Formats a location in a message for validation results and reports (e.g. 'PID-5', 'OBX[2]-5', 'PID-3[2].1')
+ * @param {string} name - Segment name
+ * @param {number} occurrence - Occurrence of the segment (1-based)
+ * @param {number} field - Field number (optional)
+ * @param {number} repetition - Field repetition (1-based, optional)
+ * @param {number} component - Component number (optional)
+ * @returns {string} Location
+ */
+function formatHL7Location(name, occurrence, field = null, repetition = 1, component = null) {
+  let location = occurrence > 1 ? `${name}[${occurrence}]` : name
+  if (field !== null) location += `-${field}${repetition > 1 ? `[${repetition}]` : ''}`
+  if (component !== null) location += `.${component}`
+  return location
+}
+
+/**
+ * Checks a value against an HL7 data type and table
+ * @param {string} value - Unescaped value
+ * @param {Object} definition - Field definition (type, table, maxLength)
+ * @param {Object} tables - HL7 table -> allowed values
+ * @returns {Object|null} Problem ({ code, message, warning }) or null if the value conforms
+ */
+function checkHL7Value(value, definition, tables) {
+  const format = HL7_DATA_TYPE_FORMATS[definition.type]
+  if (format && !format.test(value)) {
+    return { code: 102, message: `'${value}' is not a valid ${definition.type} value` }
+  }
+  
+  const allowed = definition.table && tables[definition.table]
+  if (allowed && !allowed.includes(value)) {
+    return { code: 103, message: `'${value}' is not in table ${definition.table}`, warning: definition.type === 'IS' }
+  }
+  
+  return null
+}
+
+/**
+ * Validates an HL7 message against its message structure and the field rules
+ * of its HL7 version
+ * 
+ * Checks the segment order against the message structure (MSH-9.3, or the
+ * structure of MSH-9), required segments, fields and components, DTM, DT, TM,
+ * NM and SI formats (OBX-5 by OBX-2), coded values against their tables, and
+ * maximum lengths. Z segments are ignored. Structures follow the 2.5 standard;
+ * field counts and withdrawn fields follow the version.
+ * @param {string|HL7Message} message - HL7 message
+ * @param {Object} options - version: HL7 version to validate against (default MSH-12);
+ *   profile: conformance profile adding to or overriding the built-in rules
+ *   ({ structures: { ADT_A01: 'MSH EVN PID ...' }, fields: { 'PID-7': { required: true } }, tables: { '0001': [...] } })
+ * @returns {Object} { valid, errors, warnings }; each entry has location, code (HL7 table 0357) and message
+ */
+export function validateHL7Message(message, options = {}) {
+  const errors = []
+  const warnings = []
+  const report = (problem, location) => {
+    const { warning, ...entry } = problem
+    const list = warning ? warnings : errors
+    list.push({ location, ...entry })
+  }
+  
+  let parsed
+  try {
+    parsed = message instanceof HL7Message ? message : HL7Message.parse(message)
+  } catch (error) {
+    errors.push({ location: 'MSH', code: 100, message: error.message })
+    return { valid: false, errors, warnings }
+  }
+  
+  const profile = options.profile || {}
+  const fields = { ...HL7_FIELD_DEFINITIONS, ...profile.fields }
+  const tables = { ...HL7_TABLE_VALUES, ...profile.tables }
+  const structures = { ...MESSAGE_STRUCTURE_DEFINITIONS, ...profile.structures }
+  
+  // HL7 version
+  const versionId = options.version || parsed.get('MSH-12.1')
+  const version = HL7_VERSION_PROFILES[versionId]
+  if (!version) {
+    errors.push({ location: 'MSH-12', code: 203, message: `Unsupported HL7 version '${versionId}'` })
+  } else if (options.version && parsed.get('MSH-12.1') !== options.version) {
+    warnings.push({ location: 'MSH-12', code: 203, message: `Message declares version '${parsed.get('MSH-12.1')}', validated as ${options.version}` })
+  }
+  
+  // Segment order
+  const [type, event, declaredStructure] = ['MSH-9.1', 'MSH-9.2', 'MSH-9.3'].map(path => parsed.get(path))
+  const structure = declaredStructure || MESSAGE_STRUCTURES[`${type}^${event}`] || (type === 'ACK' ? 'ACK' : '')
+  const counts = {}
+  const located = parsed.segments.map(segment => {
+    counts[segment.name] = (counts[segment.name] || 0) + 1
+    return { segment, occurrence: counts[segment.name] }
+  })
+  const ordered = located.filter(({ segment }) => !segment.name.startsWith('Z'))
+  
+  if (!structures[structure]) {
+    warnings.push({ location: 'MSH-9', code: 200, message: `No structure definition for ${structure || `${type}^${event}`}; segment order not checked` })
+  } else {
+    const names = ordered.map(({ segment }) => segment.name)
+    const failure = { position: -1, expected: null }
+    const end = matchSegmentGrammar(parseSegmentGrammar(structures[structure]), names, 0, failure)
+    const locationOf = index => (ordered[index] ? formatHL7Location(ordered[index].segment.name, ordered[index].occurrence) : 'MSH')
+    
+    if (end === -1) {
+      const found = names[failure.position]
+      errors.push({
+        location: locationOf(failure.position),
+        code: 100,
+        message: `Segment ${failure.expected} is required${found ? ` before ${found}` : ' at the end of the message'} in ${structure}`,
+      })
+    } else if (end < names.length) {
+      errors.push({ location: locationOf(end), code: 100, message: `Segment ${names[end]} is not allowed here in ${structure}` })
+    }
+  }
+  
+  // Fields
+  const delimiters = parsed.delimiters
+  const definitions = Object.entries(fields).map(([path, definition]) => ({ ...parseHL7Path(path), definition }))
+  
+  located.forEach(({ segment, occurrence }) => {
+    const name = segment.name
+    
+    definitions.filter(d => d.segment === name).forEach(({ field, component, definition }) => {
+      const fld = segment.getField(field)
+      const repetitions = fld && fld.toString(delimiters) !== '' ? fld.repetitions : []
+      
+      if (repetitions.length === 0) {
+        if (definition.required && component === null) {
+          errors.push({ location: formatHL7Location(name, occurrence, field), code: 101, message: 'Required field is missing' })
+        }
+        return
+      }
+      
+      repetitions.forEach((components, index) => {
+        const location = formatHL7Location(name, occurrence, field, index + 1, component)
+        const node = component === null ? components[0] : components[component - 1]
+        const value = node ? node.getValue(delimiters) : ''
+        const text = component === null ? new HL7Field([components]).toString(delimiters) : value
+        
+        if (value === '') {
+          if (definition.required) {
+            errors.push({ location, code: 101, message: `Required ${component === null ? 'field' : 'component'} is missing` })
+          }
+          return
+        }
+        
+        const problem = checkHL7Value(value, definition, tables)
+        if (problem) report(problem, location)
+        
+        if (definition.maxLength && text.length > definition.maxLength) {
+          warnings.push({ location, code: 102, message: `Value is ${text.length} characters long, more than ${definition.maxLength}` })
+        }
+      })
+    })
+    
+    // OBX-5 has the data type named in OBX-2
+    const valueType = name === 'OBX' ? segment.getField(2)?.getValue(delimiters) : ''
+    if (valueType && OBSERVATION_VALUE_FORMATS[valueType]) {
+      const observationValues = segment.getField(5)?.repetitions || []
+      observationValues.forEach((components, index) => {
+        const value = components[0].getValue(delimiters)
+        const problem = value && checkHL7Value(value, { type: OBSERVATION_VALUE_FORMATS[valueType] }, tables)
+        if (problem) report(problem, formatHL7Location(name, occurrence, 5, index + 1))
+      })
+    }
+    
+    // Fields the version doesn't define or has withdrawn
+    if (version) {
+      const lastField = segment.fields.reduce((last, fld, index) => (fld && fld.toString(delimiters) !== '' ? index : last), 0)
+      const fieldCount = version.fieldCounts[name]
+      if (fieldCount !== undefined && lastField > fieldCount) {
+        warnings.push({ location: formatHL7Location(name, occurrence, lastField), code: 102, message: `${name} has no field ${lastField} in ${version.versionId}` })
+      }
+      version.withdrawnFields
+        .filter(path => path.startsWith(`${name}-`) && segment.getField(Number(path.split('-')[1]))?.toString(delimiters))
+        .forEach(path => {
+          warnings.push({ location: formatHL7Location(name, occurrence, Number(path.split('-')[1])), code: 102, message: `${path} is withdrawn in ${version.versionId}` })
+        })
+    }
+  })
+  
+  return { valid: errors.length === 0, errors, warnings }
+}
+
+// Elements of every R4 resource, and of every R4 domain resource on top of those
+const FHIR_R4_RESOURCE_ELEMENTS = {
+  id: 'id',
+  meta: 'Meta',
+  implicitRules: 'uri',
+  language: 'code',
+}
+const FHIR_R4_DOMAIN_RESOURCE_ELEMENTS = {
+  ...FHIR_R4_RESOURCE_ELEMENTS,
+  text: 'Narrative',
+  contained: 'Resource 0..*',
+  extension: 'Extension 0..*',
+  modifierExtension: 'Extension 0..*',
+}
+
+// Elements of every R4 data type element and backbone element
+const FHIR_R4_ELEMENT_ELEMENTS = {
+  id: 'string',
+  extension: 'Extension 0..*',
+}
+const FHIR_R4_BACKBONE_ELEMENTS = {
+  ...FHIR_R4_ELEMENT_ELEMENTS,
+  modifierExtension: 'Extension 0..*',
+}
+
+// Types allowed for Extension.value[x] (the open type)
+const FHIR_R4_OPEN_TYPES = [
+  'base64Binary', 'boolean', 'canonical', 'code', 'date', 'dateTime', 'decimal', 'id', 'instant', 'integer', 'markdown',
+  'oid', 'positiveInt', 'string', 'time', 'unsignedInt', 'uri', 'url', 'uuid', 'Address', 'Age', 'Annotation',
+  'Attachment', 'CodeableConcept', 'Coding', 'ContactPoint', 'Count', 'Distance', 'Duration', 'HumanName',
+  'Identifier', 'Money', 'Period', 'Quantity', 'Range', 'Ratio', 'Reference', 'SampledData', 'Signature', 'Timing',
+].join('|')
+
+// R4 data type -> elements ('Type min..max', default 0..1; choice types list their types as 'A|B')
+const FHIR_R4_DATA_TYPES = {
+  Extension: { url: 'uri 1..1', 'value[x]': FHIR_R4_OPEN_TYPES },
+  Coding: { system: 'uri', version: 'string', code: 'code', display: 'string', userSelected: 'boolean' },
+  CodeableConcept: { coding: 'Coding 0..*', text: 'string' },
+  Identifier: { use: 'code', type: 'CodeableConcept', system: 'uri', value: 'string', period: 'Period', assigner: 'Reference' },
+  HumanName: {
+    use: 'code', text: 'string', family: 'string', given: 'string 0..*', prefix: 'string 0..*', suffix: 'string 0..*', period: 'Period',
+  },
+  Address: {
+    use: 'code', type: 'code', text: 'string', line: 'string 0..*', city: 'string', district: 'string', state: 'string',
+    postalCode: 'string', country: 'string', period: 'Period',
+  },
+  ContactPoint: { system: 'code', value: 'string', use: 'code', rank: 'positiveInt', period: 'Period' },
+  Period: { start: 'dateTime', end: 'dateTime' },
+  Reference: { reference: 'string', type: 'uri', identifier: 'Identifier', display: 'string' },
+  Quantity: { value: 'decimal', comparator: 'code', unit: 'string', system: 'uri', code: 'code' },
+  Range: { low: 'Quantity', high: 'Quantity' },
+  Ratio: { numerator: 'Quantity', denominator: 'Quantity' },
+  SampledData: {
+    origin: 'Quantity 1..1', period: 'decimal 1..1', factor: 'decimal', lowerLimit: 'decimal', upperLimit: 'decimal',
+    dimensions: 'positiveInt 1..1', data: 'string',
+  },
+  Attachment: {
+    contentType: 'code', language: 'code', data: 'base64Binary', url: 'url', size: 'unsignedInt', hash: 'base64Binary',
+    title: 'string', creation: 'dateTime',
+  },
+  Annotation: { 'author[x]': 'Reference|string', time: 'dateTime', text: 'markdown 1..1' },
+  Meta: {
+    versionId: 'id', lastUpdated: 'instant', source: 'uri', profile: 'canonical 0..*', security: 'Coding 0..*', tag: 'Coding 0..*',
+  },
+  Narrative: { status: 'code 1..1', div: 'xhtml 1..1' },
+}
+
+// Quantity profiles, checked as Quantity
+;['Age', 'Count', 'Distance', 'Duration', 'Money'].forEach(type => {
+  FHIR_R4_DATA_TYPES[type] = FHIR_R4_DATA_TYPES.Quantity
+})
+
+// Resource type -> R4 elements; backbone elements are { card, elements }
+const FHIR_R4_RESOURCE_DEFINITIONS = {
+  Patient: {
+    identifier: 'Identifier 0..*',
+    active: 'boolean',
+    name: 'HumanName 0..*',
+    telecom: 'ContactPoint 0..*',
+    gender: 'code',
+    birthDate: 'date',
+    'deceased[x]': 'boolean|dateTime',
+    address: 'Address 0..*',
+    maritalStatus: 'CodeableConcept',
+    'multipleBirth[x]': 'boolean|integer',
+    photo: 'Attachment 0..*',
+    contact: {
+      card: '0..*',
+      elements: {
+        relationship: 'CodeableConcept 0..*', name: 'HumanName', telecom: 'ContactPoint 0..*', address: 'Address',
+        gender: 'code', organization: 'Reference', period: 'Period',
+      },
+    },
+    communication: { card: '0..*', elements: { language: 'CodeableConcept 1..1', preferred: 'boolean' } },
+    generalPractitioner: 'Reference 0..*',
+    managingOrganization: 'Reference',
+    link: { card: '0..*', elements: { other: 'Reference 1..1', type: 'code 1..1' } },
+  },
+  Encounter: {
+    identifier: 'Identifier 0..*',
+    status: 'code 1..1',
+    statusHistory: { card: '0..*', elements: { status: 'code 1..1', period: 'Period 1..1' } },
+    class: 'Coding 1..1',
+    classHistory: { card: '0..*', elements: { class: 'Coding 1..1', period: 'Period 1..1' } },
+    type: 'CodeableConcept 0..*',
+    serviceType: 'CodeableConcept',
+    priority: 'CodeableConcept',
+    subject: 'Reference',
+    episodeOfCare: 'Reference 0..*',
+    basedOn: 'Reference 0..*',
+    participant: {
+      card: '0..*',
+      elements: { type: 'CodeableConcept 0..*', period: 'Period', individual: 'Reference' },
+    },
+    appointment: 'Reference 0..*',
+    period: 'Period',
+    length: 'Duration',
+    reasonCode: 'CodeableConcept 0..*',
+    reasonReference: 'Reference 0..*',
+    diagnosis: {
+      card: '0..*',
+      elements: { condition: 'Reference 1..1', use: 'CodeableConcept', rank: 'positiveInt' },
+    },
+    account: 'Reference 0..*',
+    hospitalization: {
+      card: '0..1',
+      elements: {
+        preAdmissionIdentifier: 'Identifier', origin: 'Reference', admitSource: 'CodeableConcept',
+        reAdmission: 'CodeableConcept', dietPreference: 'CodeableConcept 0..*', specialCourtesy: 'CodeableConcept 0..*',
+        specialArrangement: 'CodeableConcept 0..*', destination: 'Reference', dischargeDisposition: 'CodeableConcept',
+      },
+    },
+    location: {
+      card: '0..*',
+      elements: { location: 'Reference 1..1', status: 'code', physicalType: 'CodeableConcept', period: 'Period' },
+    },
+    serviceProvider: 'Reference',
+    partOf: 'Reference',
+  },
+  Observation: {
+    identifier: 'Identifier 0..*',
+    basedOn: 'Reference 0..*',
+    partOf: 'Reference 0..*',
+    status: 'code 1..1',
+    category: 'CodeableConcept 0..*',
+    code: 'CodeableConcept 1..1',
+    subject: 'Reference',
+    focus: 'Reference 0..*',
+    encounter: 'Reference',
+    'effective[x]': 'dateTime|Period|Timing|instant',
+    issued: 'instant',
+    performer: 'Reference 0..*',
+    'value[x]': 'Quantity|CodeableConcept|string|boolean|integer|Range|Ratio|SampledData|time|dateTime|Period',
+    dataAbsentReason: 'CodeableConcept',
+    interpretation: 'CodeableConcept 0..*',
+    note: 'Annotation 0..*',
+    bodySite: 'CodeableConcept',
+    method: 'CodeableConcept',
+    specimen: 'Reference',
+    device: 'Reference',
+    referenceRange: {
+      card: '0..*',
+      elements: {
+        low: 'Quantity', high: 'Quantity', type: 'CodeableConcept', appliesTo: 'CodeableConcept 0..*', age: 'Range',
+        text: 'string',
+      },
+    },
+    hasMember: 'Reference 0..*',
+    derivedFrom: 'Reference 0..*',
+    component: {
+      card: '0..*',
+      elements: {
+        code: 'CodeableConcept 1..1',
+        'value[x]': 'Quantity|CodeableConcept|string|boolean|integer|Range|Ratio|SampledData|time|dateTime|Period',
+        dataAbsentReason: 'CodeableConcept',
+        interpretation: 'CodeableConcept 0..*',
+        referenceRange: 'Observation.referenceRange',
+      },
+    },
+  },
+  Condition: {
+    identifier: 'Identifier 0..*',
+    clinicalStatus: 'CodeableConcept',
+    verificationStatus: 'CodeableConcept',
+    category: 'CodeableConcept 0..*',
+    severity: 'CodeableConcept',
+    code: 'CodeableConcept',
+    bodySite: 'CodeableConcept 0..*',
+    subject: 'Reference 1..1',
+    encounter: 'Reference',
+    'onset[x]': 'dateTime|Age|Period|Range|string',
+    'abatement[x]': 'dateTime|Age|Period|Range|string',
+    recordedDate: 'dateTime',
+    recorder: 'Reference',
+    asserter: 'Reference',
+    stage: {
+      card: '0..*',
+      elements: { summary: 'CodeableConcept', assessment: 'Reference 0..*', type: 'CodeableConcept' },
+    },
+    evidence: { card: '0..*', elements: { code: 'CodeableConcept 0..*', detail: 'Reference 0..*' } },
+    note: 'Annotation 0..*',
+  },
+  AllergyIntolerance: {
+    identifier: 'Identifier 0..*',
+    clinicalStatus: 'CodeableConcept',
+    verificationStatus: 'CodeableConcept',
+    type: 'code',
+    category: 'code 0..*',
+    criticality: 'code',
+    code: 'CodeableConcept',
+    patient: 'Reference 1..1',
+    encounter: 'Reference',
+    'onset[x]': 'dateTime|Age|Period|Range|string',
+    recordedDate: 'dateTime',
+    recorder: 'Reference',
+    asserter: 'Reference',
+    lastOccurrence: 'dateTime',
+    note: 'Annotation 0..*',
+    reaction: {
+      card: '0..*',
+      elements: {
+        substance: 'CodeableConcept', manifestation: 'CodeableConcept 1..*', description: 'string', onset: 'dateTime',
+        severity: 'code', exposureRoute: 'CodeableConcept', note: 'Annotation 0..*',
+      },
+    },
+  },
+  RelatedPerson: {
+    identifier: 'Identifier 0..*',
+    active: 'boolean',
+    patient: 'Reference 1..1',
+    relationship: 'CodeableConcept 0..*',
+    name: 'HumanName 0..*',
+    telecom: 'ContactPoint 0..*',
+    gender: 'code',
+    birthDate: 'date',
+    address: 'Address 0..*',
+    photo: 'Attachment 0..*',
+    period: 'Period',
+    communication: { card: '0..*', elements: { language: 'CodeableConcept 1..1', preferred: 'boolean' } },
+  },
+  Practitioner: {
+    identifier: 'Identifier 0..*',
+    active: 'boolean',
+    name: 'HumanName 0..*',
+    telecom: 'ContactPoint 0..*',
+    address: 'Address 0..*',
+    gender: 'code',
+    birthDate: 'date',
+    photo: 'Attachment 0..*',
+    qualification: {
+      card: '0..*',
+      elements: { identifier: 'Identifier 0..*', code: 'CodeableConcept 1..1', period: 'Period', issuer: 'Reference' },
+    },
+    communication: 'CodeableConcept 0..*',
+  },
+  Bundle: {
+    identifier: 'Identifier',
+    type: 'code 1..1',
+    timestamp: 'instant',
+    total: 'unsignedInt',
+    link: { card: '0..*', elements: { relation: 'string 1..1', url: 'uri 1..1' } },
+    entry: {
+      card: '0..*',
+      elements: {
+        link: 'Bundle.link',
+        fullUrl: 'uri',
+        resource: 'Resource',
+        search: { card: '0..1', elements: { mode: 'code', score: 'decimal' } },
+        request: {
+          card: '0..1',
+          elements: {
+            method: 'code 1..1', url: 'uri 1..1', ifNoneMatch: 'string', ifModifiedSince: 'instant', ifMatch: 'string',
+            ifNoneExist: 'string',
+          },
+        },
+        response: {
+          card: '0..1',
+          elements: {
+            status: 'string 1..1', location: 'uri', etag: 'string', lastModified: 'instant', outcome: 'Resource',
+          },
+        },
+      },
+    },
+    signature: 'Signature',
+  },
+}
+
+// Element path -> codes of its required value set
+const FHIR_R4_REQUIRED_CODES = {
+  'Patient.gender': ['male', 'female', 'other', 'unknown'],
+  'Patient.contact.gender': ['male', 'female', 'other', 'unknown'],
+  'Patient.link.type': ['replaced-by', 'replaces', 'refer', 'seealso'],
+  'RelatedPerson.gender': ['male', 'female', 'other', 'unknown'],
+  'Practitioner.gender': ['male', 'female', 'other', 'unknown'],
+  'Encounter.status': ['planned', 'arrived', 'triaged', 'in-progress', 'onleave', 'finished', 'cancelled', 'entered-in-error', 'unknown'],
+  'Encounter.statusHistory.status': ['planned', 'arrived', 'triaged', 'in-progress', 'onleave', 'finished', 'cancelled', 'entered-in-error', 'unknown'],
+  'Encounter.location.status': ['planned', 'active', 'reserved', 'completed'],
+  'Observation.status': ['registered', 'preliminary', 'final', 'amended', 'corrected', 'cancelled', 'entered-in-error', 'unknown'],
+  'AllergyIntolerance.type': ['allergy', 'intolerance'],
+  'AllergyIntolerance.category': ['food', 'medication', 'environment', 'biologic'],
+  'AllergyIntolerance.criticality': ['low', 'high', 'unable-to-assess'],
+  'AllergyIntolerance.reaction.severity': ['mild', 'moderate', 'severe'],
+  'Bundle.type': ['document', 'message', 'transaction', 'transaction-response', 'batch', 'batch-response', 'history', 'searchset', 'collection'],
+  'Bundle.entry.search.mode': ['match', 'include', 'outcome'],
+  'Bundle.entry.request.method': ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'PATCH'],
+  'Identifier.use': ['usual', 'official', 'temp', 'secondary', 'old'],
+  'HumanName.use': ['usual', 'official', 'temp', 'nickname', 'anonymous', 'old', 'maiden'],
+  'Address.use': ['home', 'work', 'temp', 'old', 'billing'],
+  'Address.type': ['postal', 'physical', 'both'],
+  'ContactPoint.system': ['phone', 'fax', 'email', 'pager', 'url', 'sms', 'other'],
+  'ContactPoint.use': ['home', 'work', 'temp', 'old', 'mobile'],
+  'Quantity.comparator': ['<', '<=', '>=', '>'],
+  'Narrative.status': ['generated', 'extensions', 'additional', 'empty'],
+}
+
+// R4 primitive type -> check of its JSON value (regular expressions apply to strings)
+const FHIR_R4_PRIMITIVE_FORMATS = {
+  boolean: value => typeof value === 'boolean',
+  integer: value => Number.isInteger(value) && Math.abs(value) <= 2147483647,
+  positiveInt: value => Number.isInteger(value) && value > 0 && value <= 2147483647,
+  unsignedInt: value => Number.isInteger(value) && value >= 0 && value <= 2147483647,
+  decimal: value => typeof value === 'number' && Number.isFinite(value),
+  string: /\S/,
+  markdown: /\S/,
+  xhtml: /^\s*<div[\s>][\s\S]*<\/div>\s*$/,
+  code: /^[^\s]+( [^\s]+)*$/,
+  id: /^[A-Za-z0-9\-.]{1,64}$/,
+  uri: /^\S+$/,
+  url: /^\S+$/,
+  canonical: /^\S+$/,
+  base64Binary: /^(\s*([0-9a-zA-Z+/=]){4}\s*)+$/,
+  date: /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/,
+  dateTime: /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01])(T([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?(Z|[+-]((0\d|1[0-3]):[0-5]\d|14:00)))?)?)?$/,
+  instant: /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])T([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?(Z|[+-]((0\d|1[0-3]):[0-5]\d|14:00))$/,
+  time: /^([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?$/,
+}
+
+/**
+ * Parses an element definition such as 'HumanName 0..*' or 'boolean|dateTime'
+ * @param {string|Object} definition - Element definition, or { card, elements } for a backbone element
+ * @returns {Object} { types, min, max, elements }
+ */
+function parseFHIRElementDefinition(definition) {
+  if (typeof definition === 'object') {
+    const [min, max] = definition.card.split('..')
+    return { types: ['BackboneElement'], min: Number(min), max, elements: definition.elements }
+  }
+  const [types, card = '0..1'] = definition.split(' ')
+  const [min, max] = card.split('..')
+  return { types: types.split('|'), min: Number(min), max }
+}
+
+/**
+ * Finds the definition of a backbone element referenced by path ('Observation.referenceRange')
+ * @param {string} path - Resource type followed by backbone element names
+ * @returns {Object|undefined} Backbone element definition
+ */
+function findFHIRBackboneDefinition(path) {
+  const [resourceType, ...names] = path.split('.')
+  return names.reduce((definition, name) => definition?.elements?.[name], { elements: FHIR_R4_RESOURCE_DEFINITIONS[resourceType] })
+}
+
+/**
+ * Checks a JSON value against an R4 primitive type
+ * @param {string} type - Primitive type name
+ * @param {*} value - JSON value
+ * @returns {string|null} Problem description, or null when the value is valid
+ */
+function checkFHIRPrimitive(type, value) {
+  const format = FHIR_R4_PRIMITIVE_FORMATS[type]
+  const valid = typeof format === 'function'
+    ? format(value)
+    : typeof value === 'string' && format.test(value)
+  if (valid) {
+    return null
+  }
+  if (type === 'dateTime' && typeof value === 'string' && FHIR_R4_PRIMITIVE_FORMATS.dateTime.test(`${value}Z`)) {
+    return `dateTime '${value}' has a time but no timezone`
   }
+  return `${JSON.stringify(value)} is not a valid ${type}`
+}
+
+/**
+ * Validates the elements of a complex value against their R4 definitions
+ * @param {Object} value - JSON object
+ * @param {Object} definitions - Element name -> definition
+ * @param {string} path - FHIRPath location of the value
+ * @param {string} definitionPath - Definition path used to look up required codes ('Patient.contact')
+ * @param {Array<Object>} issues - OperationOutcome issues to add to
+ */
+function validateFHIRElements(value, definitions, path, definitionPath, issues) {
+  const addIssue = (code, diagnostics, location) => {
+    issues.push({ severity: 'error', code, diagnostics, expression: [location] })
+  }
+  
+  // Match each JSON property to its element; choice elements appear as name + type ('valueQuantity')
+  const properties = {}
+  Object.keys(value).forEach(key => {
+    if (key === 'resourceType' && FHIR_R4_RESOURCE_DEFINITIONS[definitionPath]) {
+      return
+    }
+    const name = key.startsWith('_') ? key.slice(1) : key
+    const element = definitions[name]
+      ? name
+      : Object.keys(definitions).find(elementName => {
+        if (!elementName.endsWith('[x]') || !name.startsWith(elementName.slice(0, -3))) {
+          return false
+        }
+        const type = name.slice(elementName.length - 3)
+        return parseFHIRElementDefinition(definitions[elementName]).types
+          .some(allowed => allowed.charAt(0).toUpperCase() + allowed.slice(1) === type)
+      })
+    if (!element) {
+      addIssue('structure', `Unknown element '${key}'`, `${path}.${key}`)
+    } else if (key.startsWith('_')) {
+      // Primitive extensions only carry id and extension
+      [].concat(value[key]).filter(item => item !== null).forEach(item => {
+        if (typeof item !== 'object' || Array.isArray(item)) {
+          addIssue('structure', `'${key}' must be an object`, `${path}.${name}`)
+        } else {
+          validateFHIRElements(item, FHIR_R4_ELEMENT_ELEMENTS, `${path}.${name}`, 'Element', issues)
+        }
+      })
+    } else {
+      properties[element] = [...(properties[element] || []), key]
+    }
+  })
   
-  // Check for resourceType (required in all FHIR resources)
+  Object.entries(definitions).forEach(([elementName, rawDefinition]) => {
+    let definition = parseFHIRElementDefinition(rawDefinition)
+    if (definition.types[0].includes('.')) {
+      definition = parseFHIRElementDefinition(findFHIRBackboneDefinition(definition.types[0]))
+    }
+    const keys = properties[elementName] || []
+    const choice = elementName.endsWith('[x]')
+    const name = choice ? elementName.slice(0, -3) : elementName
+    
+    if (keys.length === 0) {
+      if (definition.min > 0) {
+        addIssue('required', `Missing required element '${elementName}'`, `${path}.${name}`)
+      }
+      return
+    }
+    if (keys.length > 1) {
+      addIssue('structure', `Only one of ${keys.join(', ')} is allowed`, `${path}.${name}`)
+      return
+    }
+    
+    const key = keys[0]
+    const type = choice
+      ? definition.types.find(allowed => allowed.charAt(0).toUpperCase() + allowed.slice(1) === key.slice(name.length))
+      : definition.types[0]
+    const location = choice ? `${path}.${name}.ofType(${type})` : `${path}.${name}`
+    const elementValue = value[key]
+    
+    // Cardinality: repeating elements are JSON arrays, others are single values
+    if (definition.max === '*') {
+      if (!Array.isArray(elementValue)) {
+        addIssue('structure', `'${key}' must be an array`, location)
+        return
+      }
+      if (elementValue.length === 0) {
+        addIssue('required', `'${key}' must not be an empty array`, location)
+        return
+      }
+      if (elementValue.length < definition.min) {
+        addIssue('required', `'${key}' needs at least ${definition.min} items`, location)
+      }
+    } else if (Array.isArray(elementValue)) {
+      addIssue('structure', `'${key}' must be a single value, not an array`, location)
+      return
+    }
+    
+    [].concat(elementValue).forEach((item, index) => {
+      const itemLocation = definition.max === '*' ? `${location}[${index}]` : location
+      if (item === null || item === undefined) {
+        addIssue('required', `'${key}' must not be null`, itemLocation)
+      } else if (type === 'Resource') {
+        validateFHIRResourceStructure(item, itemLocation, issues)
+      } else if (FHIR_R4_PRIMITIVE_FORMATS[type]) {
+        const problem = checkFHIRPrimitive(type, item)
+        const codes = FHIR_R4_REQUIRED_CODES[`${definitionPath}.${name}`]
+        if (problem) {
+          addIssue('value', problem, itemLocation)
+        } else if (codes && !codes.includes(item)) {
+          addIssue('code-invalid', `'${item}' is not one of ${codes.join(', ')}`, itemLocation)
+        }
+      } else if (typeof item !== 'object' || Array.isArray(item)) {
+        addIssue('structure', `'${key}' must be an object`, itemLocation)
+      } else if (Object.keys(item).length === 0) {
+        addIssue('required', `'${key}' must not be empty`, itemLocation)
+      } else if (definition.elements) {
+        validateFHIRElements(item, { ...FHIR_R4_BACKBONE_ELEMENTS, ...definition.elements }, itemLocation, `${definitionPath}.${name}`, issues)
+      } else if (FHIR_R4_DATA_TYPES[type]) {
+        validateFHIRElements(item, { ...FHIR_R4_ELEMENT_ELEMENTS, ...FHIR_R4_DATA_TYPES[type] }, itemLocation, type, issues)
+      }
+    })
+  })
+}
+
+/**
+ * Validates a resource (and the resources it contains) against its R4 structure
+ * @param {Object} resource - FHIR resource
+ * @param {string|null} path - FHIRPath location of the resource, or null for the top-level resource
+ * @param {Array<Object>} issues - OperationOutcome issues to add to
+ */
+function validateFHIRResourceStructure(resource, path, issues) {
+  if (!resource || typeof resource !== 'object' || Array.isArray(resource)) {
+    issues.push({ severity: 'fatal', code: 'structure', diagnostics: 'Resource must be a JSON object', expression: [path || 'Resource'] })
+    return
+  }
   if (!resource.resourceType || typeof resource.resourceType !== 'string') {
-    return false
+    issues.push({ severity: 'fatal', code: 'required', diagnostics: 'Missing resourceType', expression: [path || 'Resource'] })
+    return
+  }
+  
+  const { resourceType } = resource
+  const definitions = FHIR_R4_RESOURCE_DEFINITIONS[resourceType]
+  if (!definitions) {
+    issues.push({
+      severity: 'information',
+      code: 'not-supported',
+      diagnostics: `Structure of ${resourceType} resources is not checked`,
+      expression: [path || resourceType],
+    })
+    return
   }
   
-  // Basic structure check
-  return true
+  const baseElements = resourceType === 'Bundle' ? FHIR_R4_RESOURCE_ELEMENTS : FHIR_R4_DOMAIN_RESOURCE_ELEMENTS
+  validateFHIRElements(resource, { ...baseElements, ...definitions }, path || resourceType, resourceType, issues)
+}
+
+/**
+ * Validates a FHIR resource against the R4 structure of Patient, Encounter, Observation, Condition,
+ * AllergyIntolerance, RelatedPerson, Practitioner and Bundle: cardinality, required elements,
+ * choice types, primitive formats and required code values. Bundle entries and contained
+ * resources are checked too; other resource types only need a resourceType.
+ * @param {Object} resource - FHIR resource
+ * @returns {Object} OperationOutcome listing each issue with its FHIRPath location
+ */
+export function validateFHIRStructure(resource) {
+  const issues = []
+  validateFHIRResourceStructure(resource, null, issues)
+  
+  return {
+    resourceType: 'OperationOutcome',
+    issue: issues.length > 0
+      ? issues
+      : [{ severity: 'information', code: 'informational', diagnostics: 'No issues found' }],
+  }
+}
+
+/**
+ * Validates that a resource is a valid FHIR R4 resource
+ * @param {Object} resource - Resource to validate
+ * @returns {boolean} True if validateFHIRStructure finds no errors
+ */
+export function validateFHIRResource(resource) {
+  return validateFHIRStructure(resource).issue.every(issue => issue.severity !== 'error' && issue.severity !== 'fatal')
 }
@@ -0,0 +1,57 @@
+/**
+ * File-backed state store for convertFHIRChangeToHL7 (Node.js only)
+ *
+ * Keeps the last known version of each Patient and Encounter in a JSON file so
+ * that event detection works across calls and process restarts.
+ */
+
+import { existsSync, readFileSync, writeFileSync, renameSync } from 'node:fs'
+
+export class FileStateStore {
+  /**
+   * @param {string} filePath - JSON file holding the stored resources (created on first write)
+   */
+  constructor(filePath) {
+    if (!filePath) {
+      throw new Error('File path is required for FileStateStore')
+    }
+    this.filePath = filePath
+    this.cache = null
+  }
+  
+  /**
+   * Reads every stored resource from the file (once; later reads use the cached copy)
+   * @returns {Object} Stored resources keyed by 'ResourceType/id'
+   */
+  read() {
+    if (!this.cache) {
+      this.cache = existsSync(this.filePath) ? JSON.parse(readFileSync(this.filePath, 'utf8')) : {}
+    }
+    return this.cache
+  }
+  
+  /**
+   * Gets the stored version of a resource
+   * @param {string} key - Resource key ('Encounter/123')
+   * @returns {Object|undefined} Stored FHIR resource
+   */
+  get(key) {
+    return this.read()[key]
+  }
+  
+  /**
+   * Stores the current version of a resource
+   * @param {string} key - Resource key ('Encounter/123')
+   * @param {Object} resource - FHIR resource
+   */
+  set(key, resource) {
+    // Stored as a copy, like MemoryStateStore, so later changes to the resource don't reach the cache
+    const resources = { ...this.read(), [key]: JSON.parse(JSON.stringify(resource)) }
+    
+    // Write to a temporary file first so a crash never leaves a truncated store
+    const tempPath = `${this.filePath}.tmp`
+    writeFileSync(tempPath, JSON.stringify(resources, null, 2))
+    renameSync(tempPath, this.filePath)
+    this.cache = resources
+  }
+}